@@ -0,0 +1,170 @@
+/**
+ * Angular bindings for mfe-store
+ * Optional - signals for Angular 17+, and RxJS observables for async pipes and effects
+ */
+
+import { DestroyRef, inject, signal } from '@angular/core';
+import type { Signal } from '@angular/core';
+import { Observable } from 'rxjs';
+import type { Store } from './store';
+import type { HistoryFilter } from './history';
+import type { AllState, ValueState } from './bindings';
+import { createAllSource, createValueSource, readHistory, watchHistory } from './bindings';
+
+export type { AllState, ValueState } from './bindings';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface StoreSignalOptions {
+  /** Stops following the store when destroyed (default: injected from the current context) */
+  destroyRef?: DestroyRef;
+}
+
+export interface StoreSignal<V> {
+  value: Signal<V | undefined>;
+  /** Write through the store - rejects when a validator throws, and reports it as `error` */
+  set: (value: V) => Promise<void>;
+  loading: Signal<boolean>;
+  /** The last failed load or write */
+  error: Signal<Error | undefined>;
+}
+
+export interface StoreAllSignal<T extends Record<string, unknown>> {
+  values: Signal<Partial<T>>;
+  loading: Signal<boolean>;
+  error: Signal<Error | undefined>;
+}
+
+export interface HistorySignal {
+  undo: () => Promise<boolean>;
+  redo: () => Promise<boolean>;
+  canUndo: Signal<boolean>;
+  canRedo: Signal<boolean>;
+}
+
+// ============================================================================
+// Signals
+// ============================================================================
+
+/**
+ * Signals for a single key. Call in an injection context, e.g. a field initializer,
+ * or pass a `destroyRef`.
+ */
+export const storeSignal = <T extends Record<string, unknown>, K extends keyof T>(
+  store: Store<T>,
+  key: K,
+  initialValue?: T[K],
+  options: StoreSignalOptions = {}
+): StoreSignal<T[K]> => {
+  const destroyRef = options.destroyRef ?? inject(DestroyRef);
+  const source = createValueSource(store, key, initialValue);
+  const initial = source.read();
+  const value = signal(initial.value);
+  const loading = signal(initial.loading);
+  const error = signal(initial.error);
+
+  destroyRef.onDestroy(
+    source.watch((state) => {
+      value.set(state.value);
+      loading.set(state.loading);
+      error.set(state.error);
+    })
+  );
+
+  return {
+    value: value.asReadonly(),
+    set: (next) => source.write(() => store.set(key, next)),
+    loading: loading.asReadonly(),
+    error: error.asReadonly(),
+  };
+};
+
+/**
+ * Signals of every value in the store
+ */
+export const storeAllSignal = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  options: StoreSignalOptions = {}
+): StoreAllSignal<T> => {
+  const destroyRef = options.destroyRef ?? inject(DestroyRef);
+  const source = createAllSource(store);
+  const initial = source.read();
+  const values = signal(initial.values);
+  const loading = signal(initial.loading);
+  const error = signal(initial.error);
+
+  destroyRef.onDestroy(
+    source.watch((state) => {
+      values.set(state.values);
+      loading.set(state.loading);
+      error.set(state.error);
+    })
+  );
+
+  return {
+    values: values.asReadonly(),
+    loading: loading.asReadonly(),
+    error: error.asReadonly(),
+  };
+};
+
+/**
+ * The store's undo/redo history, optionally limited to some keys
+ */
+export const historySignal = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter?: HistoryFilter<T>,
+  options: StoreSignalOptions = {}
+): HistorySignal => {
+  const destroyRef = options.destroyRef ?? inject(DestroyRef);
+  const initial = readHistory(store, filter);
+  const canUndo = signal(initial.canUndo);
+  const canRedo = signal(initial.canRedo);
+
+  destroyRef.onDestroy(
+    watchHistory(store, filter, (state) => {
+      canUndo.set(state.canUndo);
+      canRedo.set(state.canRedo);
+    })
+  );
+
+  return {
+    undo: () => store.history.undo(filter),
+    redo: () => store.history.redo(filter),
+    canUndo: canUndo.asReadonly(),
+    canRedo: canRedo.asReadonly(),
+  };
+};
+
+// ============================================================================
+// Observables
+// ============================================================================
+
+/**
+ * `{ value, loading, error }` for a single key - emits straight away, then on every change.
+ * Each subscriber follows the store until it unsubscribes.
+ */
+export const fromStoreValue = <T extends Record<string, unknown>, K extends keyof T>(
+  store: Store<T>,
+  key: K,
+  initialValue?: T[K]
+): Observable<ValueState<T[K]>> =>
+  new Observable((subscriber) => {
+    const source = createValueSource(store, key, initialValue);
+    subscriber.next(source.read());
+    return source.watch((state) => subscriber.next(state));
+  });
+
+/**
+ * `{ values, loading, error }` for the whole store - emits straight away, then on every change
+ */
+export const fromStoreAll = <T extends Record<string, unknown>>(
+  store: Store<T>
+): Observable<AllState<T>> =>
+  new Observable((subscriber) => {
+    const source = createAllSource(store);
+    subscriber.next(source.read());
+    return source.watch((state) => subscriber.next(state));
+  });
@@ -0,0 +1,164 @@
+/**
+ * Framework-neutral state behind the Vue, Svelte, Solid and Angular bindings
+ * Each binding wraps these in its own reactive primitive, so they all load, update and
+ * report errors the way the React hooks do
+ */
+
+import type { Store, Unsubscribe } from './store';
+import type { HistoryFilter } from './history';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface ValueState<V> {
+  value: V | undefined;
+  /** True until the key has been read from storage */
+  loading: boolean;
+  /** The last failed load or write */
+  error: Error | undefined;
+}
+
+export interface AllState<T extends Record<string, unknown>> {
+  values: Partial<T>;
+  loading: boolean;
+  error: Error | undefined;
+}
+
+export interface HistoryState {
+  canUndo: boolean;
+  canRedo: boolean;
+}
+
+export interface ValueSource<V> {
+  /** Current state - refreshed from the store's cache while nothing watches it */
+  read: () => ValueState<V>;
+  /** Load the key and follow its changes, reporting every new state */
+  watch: (onChange: (state: ValueState<V>) => void) => Unsubscribe;
+  /** Run a write, reporting its failure as `error` - the returned promise still rejects */
+  write: <R>(operation: () => Promise<R>) => Promise<R>;
+}
+
+export interface AllSource<T extends Record<string, unknown>> {
+  read: () => AllState<T>;
+  watch: (onChange: (state: AllState<T>) => void) => Unsubscribe;
+}
+
+// ============================================================================
+// Single key
+// ============================================================================
+
+/**
+ * State of one key for one binding. Starts from the cached value (or `initialValue`),
+ * so nothing flashes empty when the store is ready.
+ */
+export const createValueSource = <T extends Record<string, unknown>, K extends keyof T>(
+  store: Store<T>,
+  key: K,
+  initialValue?: T[K]
+): ValueSource<T[K]> => {
+  const cached = () => ({ value: store.peek(key) ?? initialValue, loading: !store.isReady(key) });
+  let state: ValueState<T[K]> = { ...cached(), error: undefined };
+  let listener: ((state: ValueState<T[K]>) => void) | undefined;
+
+  const update = (next: Partial<ValueState<T[K]>>): void => {
+    state = { ...state, ...next };
+    listener?.(state);
+  };
+
+  return {
+    read: () => (listener ? state : (state = { ...state, ...cached() })),
+    watch: (onChange) => {
+      let active = true;
+      listener = onChange;
+
+      const unsubscribe = store.subscribe(key, (value) => update({ value }));
+      store.get(key).then(
+        (value) => active && update({ value, loading: false, error: undefined }),
+        (error) => active && update({ loading: false, error: error as Error })
+      );
+
+      return () => {
+        active = false;
+        listener = undefined;
+        unsubscribe();
+      };
+    },
+    write: async (operation) => {
+      try {
+        const result = await operation();
+        update({ error: undefined });
+        return result;
+      } catch (error) {
+        update({ error: error as Error });
+        throw error;
+      }
+    },
+  };
+};
+
+// ============================================================================
+// Every key
+// ============================================================================
+
+/** State of every value in the store, kept current as any key changes */
+export const createAllSource = <T extends Record<string, unknown>>(
+  store: Store<T>
+): AllSource<T> => {
+  const cached = () => ({
+    values: store.isReady() ? store.getSnapshot() : {},
+    loading: !store.isReady(),
+  });
+  let state: AllState<T> = { ...cached(), error: undefined };
+  let watching = false;
+
+  return {
+    read: () => (watching ? state : (state = { ...state, ...cached() })),
+    watch: (onChange) => {
+      let active = true;
+      watching = true;
+      const update = (next: Partial<AllState<T>>): void => {
+        state = { ...state, ...next };
+        onChange(state);
+      };
+
+      const unsubscribe = store.subscribeAll((value, _oldValue, key) => {
+        const values = { ...state.values };
+        if (value === undefined) {
+          delete values[key];
+        } else {
+          values[key] = value;
+        }
+        update({ values });
+      });
+      store.ready().then(
+        () => active && update({ values: store.getSnapshot(), loading: false, error: undefined }),
+        (error) => active && update({ loading: false, error: error as Error })
+      );
+
+      return () => {
+        active = false;
+        watching = false;
+        unsubscribe();
+      };
+    },
+  };
+};
+
+// ============================================================================
+// History
+// ============================================================================
+
+export const readHistory = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter?: HistoryFilter<T>
+): HistoryState => ({
+  canUndo: store.history.canUndo(filter),
+  canRedo: store.history.canRedo(filter),
+});
+
+export const watchHistory = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter: HistoryFilter<T> | undefined,
+  onChange: (state: HistoryState) => void
+): Unsubscribe => store.history.subscribe(() => onChange(readHistory(store, filter)));
@@ -0,0 +1,730 @@
+/**
+ * Cross-origin bridge for mfe-store
+ * Shares a store with micro frontends on other origins (e.g. in iframes) over postMessage
+ */
+
+import type {
+  ErrorListener,
+  Listener,
+  SetOptions,
+  Store,
+  StoreSnapshot,
+  StoreTransaction,
+  Subscribe,
+  Unsubscribe,
+  UpdateMeta,
+} from './store';
+import { AccessError, ConnectionError, QuotaError, ValidationError } from './errors';
+import type { StoreOperation } from './errors';
+import { createScopedStore } from './scope';
+import { createHistory } from './history';
+import { createLeaderElection } from './leader';
+import { idleSync } from './sync';
+import { createInspector, runSafely } from './inspect';
+import { createKeyMatcher, isPattern, withSelector } from './listeners';
+import type { ChangeListener, KeyPattern, SubscribeOptions } from './listeners';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export type KeyPermission = 'read' | 'write' | 'readwrite';
+
+export interface ExposeStoreOptions<T extends Record<string, unknown>> {
+  /** Exact origins allowed to talk to the store, e.g. 'https://checkout.example.com' */
+  allowedOrigins: string[];
+  /** Keys the other side may access - keys not listed are neither readable nor writable */
+  keys: { [K in keyof T]?: KeyPermission };
+  /** Distinguishes several stores exposed on the same window (default: 'default') */
+  name?: string;
+}
+
+export interface ConnectStoreOptions {
+  /** Name the host exposed the store under (default: 'default') */
+  name?: string;
+  /** Milliseconds to wait for the host to connect or answer a request (default: 10000) */
+  timeout?: number;
+}
+
+type BridgeMethod =
+  | 'get'
+  | 'read'
+  | 'set'
+  | 'delete'
+  | 'getAll'
+  | 'clear'
+  | 'transaction'
+  | 'compareAndSet';
+
+/** A value with the revision the host's store has for it */
+interface VersionedValue {
+  value: unknown;
+  revision: number;
+}
+
+interface StagedWrite {
+  type: 'set' | 'delete';
+  key: string;
+  value?: unknown;
+  options?: SetOptions;
+}
+
+type BridgeMessage =
+  | { kind: 'connect'; connection: string }
+  | { kind: 'connected'; connection: string; permissions: Record<string, KeyPermission> }
+  | { kind: 'disconnect'; connection: string }
+  | { kind: 'request'; connection: string; id: number; method: BridgeMethod; args: unknown[] }
+  | {
+      kind: 'response';
+      connection: string;
+      id: number;
+      ok: boolean;
+      result?: unknown;
+      error?: BridgeError;
+    }
+  | { kind: 'subscribe'; connection: string; key: string }
+  | { kind: 'unsubscribe'; connection: string; key: string }
+  | { kind: 'change'; connection: string; key: string; value: unknown; oldValue: unknown };
+
+type Envelope = BridgeMessage & { bridge: typeof BRIDGE_TAG; name: string };
+
+interface PendingRequest {
+  resolve: (value: unknown) => void;
+  reject: (error: Error) => void;
+  timer: ReturnType<typeof setTimeout>;
+}
+
+interface BridgeError {
+  name: string;
+  message: string;
+  /** Set for access and validation errors */
+  key?: string;
+  scope?: string;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const BRIDGE_TAG = 'mfe-store-bridge';
+const CONNECT_RETRY_INTERVAL = 100;
+const MAX_UPDATE_ATTEMPTS = 10;
+
+const isEnvelope = (data: unknown, name: string): data is Envelope =>
+  typeof data === 'object' &&
+  data !== null &&
+  (data as Envelope).bridge === BRIDGE_TAG &&
+  (data as Envelope).name === name;
+
+// Rebuild typed errors so `instanceof` works on the other side
+const createError = ({ name, message, key, scope }: BridgeError): Error => {
+  switch (name) {
+    case 'AccessError':
+      return new AccessError(message, key!, scope);
+    case 'ValidationError':
+      return new ValidationError(message, key!);
+    case 'QuotaError':
+      return new QuotaError(message);
+    case 'ConnectionError':
+      return new ConnectionError(message);
+    default:
+      return Object.assign(new Error(message), { name });
+  }
+};
+
+const toBridgeError = (error: unknown): BridgeError => ({
+  name: (error as Error)?.name ?? 'Error',
+  message: (error as Error)?.message ?? String(error),
+  ...(error instanceof AccessError ? { key: error.key, scope: error.scope } : {}),
+  ...(error instanceof ValidationError ? { key: error.key } : {}),
+});
+
+const canRead = (permission: KeyPermission | undefined): boolean =>
+  permission === 'read' || permission === 'readwrite';
+
+const canWrite = (permission: KeyPermission | undefined): boolean =>
+  permission === 'write' || permission === 'readwrite';
+
+// ============================================================================
+// Host side
+// ============================================================================
+
+/**
+ * Serve `store` to windows on `allowedOrigins`. Every message is checked against the allowed
+ * origins and every key against its permission. Returns a function that stops serving.
+ */
+export const exposeStore = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  options: ExposeStoreOptions<T>
+): Unsubscribe => {
+  const { allowedOrigins, keys: permissions, name = 'default' } = options;
+  const permissionMap = permissions as Record<string, KeyPermission | undefined>;
+  // Pushed subscriptions per `${connection}:${key}`
+  const subscriptions = new Map<string, Unsubscribe>();
+
+  const assertAccess = (key: string, access: 'read' | 'write'): void => {
+    const allowed = access === 'read' ? canRead(permissionMap[key]) : canWrite(permissionMap[key]);
+    if (!allowed) {
+      const ability = access === 'read' ? 'readable' : 'writable';
+      throw new AccessError(`Key "${key}" is not ${ability} over the bridge`, key);
+    }
+  };
+
+  const writableKeys = (): string[] =>
+    Object.keys(permissionMap).filter((key) => canWrite(permissionMap[key]));
+
+  const handlers: Record<BridgeMethod, (args: unknown[]) => Promise<unknown>> = {
+    get: async ([key]) => {
+      assertAccess(key as string, 'read');
+      return store.get(key as keyof T);
+    },
+    // The value for remote update(), with the revision compareAndSet checks it against
+    read: async ([key]): Promise<VersionedValue> => {
+      assertAccess(key as string, 'read');
+      const value = await store.get(key as keyof T);
+      return { value, revision: store.revision(key as keyof T) ?? 0 };
+    },
+    set: async ([key, value, setOptions]) => {
+      assertAccess(key as string, 'write');
+      await store.set(key as keyof T, value as T[keyof T], setOptions as SetOptions);
+    },
+    delete: async ([key]) => {
+      assertAccess(key as string, 'write');
+      await store.delete(key as keyof T);
+    },
+    getAll: async () => {
+      const all = await store.getAll();
+      return Object.fromEntries(
+        Object.entries(all).filter(([key]) => canRead(permissionMap[key]))
+      );
+    },
+    // A remote clear only removes the keys the other side may write
+    clear: async () => {
+      await store.transaction((tx) => {
+        writableKeys().forEach((key) => tx.delete(key as keyof T));
+      });
+    },
+    transaction: async ([writes]) => {
+      (writes as StagedWrite[]).forEach(({ key }) => assertAccess(key, 'write'));
+      await store.transaction((tx) => {
+        (writes as StagedWrite[]).forEach(({ type, key, value, options: setOptions }) => {
+          if (type === 'set') {
+            tx.set(key as keyof T, value as T[keyof T], setOptions);
+          } else {
+            tx.delete(key as keyof T);
+          }
+        });
+      });
+    },
+    // Write `next` only if the key is still at the revision the other side read - the building
+    // block of remote update(). Compared in the host's write transaction, so nothing slips in
+    compareAndSet: async ([key, expected, next, setOptions]) => {
+      assertAccess(key as string, 'read');
+      assertAccess(key as string, 'write');
+      return store.update(
+        key as keyof T,
+        (_, { revision }) => {
+          if (revision !== expected) {
+            throw Object.assign(new Error(`Key "${key}" changed concurrently`), {
+              name: 'ConflictError',
+            });
+          }
+          return next as T[keyof T] | undefined;
+        },
+        setOptions as SetOptions
+      );
+    },
+  };
+
+  const unsubscribeConnection = (connection: string): void => {
+    subscriptions.forEach((unsubscribe, id) => {
+      if (id.startsWith(`${connection}:`)) {
+        unsubscribe();
+        subscriptions.delete(id);
+      }
+    });
+  };
+
+  const onMessage = (event: MessageEvent) => {
+    const message = event.data;
+    if (!isEnvelope(message, name)) return;
+    if (!allowedOrigins.includes(event.origin)) return;
+
+    const source = event.source as Window | null;
+    if (!source) return;
+
+    const reply = (response: BridgeMessage): void => {
+      source.postMessage({ ...response, bridge: BRIDGE_TAG, name }, event.origin);
+    };
+    const { connection } = message;
+
+    switch (message.kind) {
+      case 'connect':
+        reply({
+          kind: 'connected',
+          connection,
+          permissions: permissionMap as Record<string, KeyPermission>,
+        });
+        break;
+      case 'request': {
+        const { id, method, args } = message;
+        const handler = handlers[method];
+        (handler ? handler(args) : Promise.reject(new Error(`Unknown method "${method}"`))).then(
+          (result) => reply({ kind: 'response', connection, id, ok: true, result }),
+          (error) =>
+            reply({ kind: 'response', connection, id, ok: false, error: toBridgeError(error) })
+        );
+        break;
+      }
+      case 'subscribe': {
+        const { key } = message;
+        const id = `${connection}:${key}`;
+        if (!canRead(permissionMap[key]) || subscriptions.has(id)) break;
+        subscriptions.set(
+          id,
+          store.subscribe(key as keyof T, (value, oldValue) => {
+            // A removed iframe or closed popup never sends `disconnect`
+            if (source.closed) {
+              unsubscribeConnection(connection);
+              return;
+            }
+            reply({ kind: 'change', connection, key, value, oldValue });
+          })
+        );
+        break;
+      }
+      case 'unsubscribe':
+        subscriptions.get(`${connection}:${message.key}`)?.();
+        subscriptions.delete(`${connection}:${message.key}`);
+        break;
+      case 'disconnect':
+        unsubscribeConnection(connection);
+        break;
+    }
+  };
+
+  window.addEventListener('message', onMessage);
+
+  return () => {
+    window.removeEventListener('message', onMessage);
+    subscriptions.forEach((unsubscribe) => unsubscribe());
+    subscriptions.clear();
+  };
+};
+
+// ============================================================================
+// Child side
+// ============================================================================
+
+/**
+ * Connect to a store exposed by `target` (e.g. `window.parent`) on `origin`.
+ * Returns the regular Store API; every call is proxied to the host over postMessage.
+ */
+export const connectStore = <T extends Record<string, unknown>>(
+  target: Window,
+  origin: string,
+  options: ConnectStoreOptions = {}
+): Store<T> => {
+  const { name = 'default', timeout = 10000 } = options;
+  const connection = Math.random().toString(36).slice(2);
+
+  // Values pushed by the host for watched keys
+  const cache = new Map<keyof T, T[keyof T]>();
+  const listeners = new Map<keyof T, Set<Listener<T[keyof T]>>>();
+  // Pattern and store-wide listeners, with the keys they care about
+  const wildcardListeners = new Set<{
+    match: (key: keyof T) => boolean;
+    listener: ChangeListener<T>;
+  }>();
+  // Keys the host pushes changes for, with the number of reasons to keep watching
+  const watched = new Map<keyof T, number>();
+  // Keys whose value is known, even when the host has none
+  const loadedKeys = new Set<keyof T>();
+  const pending = new Map<number, PendingRequest>();
+  let nextId = 0;
+  let preloaded = false;
+  let snapshot: Partial<T> | null = null;
+  let permissions: Record<string, KeyPermission> = {};
+  let onConnected: ((granted: Record<string, KeyPermission>) => void) | null = null;
+  let stopConnecting: ((error: Error) => void) | null = null;
+  // Children of the same host elect their own leader
+  const election = createLeaderElection(`bridge:${origin}:${name}`);
+  // Reports the changes the host pushes for subscribed keys
+  const inspector = createInspector<T>();
+  // Failed requests, whether the host refused them or never answered
+  const errorListeners = new Set<ErrorListener<T>>();
+
+  const reporting = <R>(
+    operation: StoreOperation,
+    key: keyof T | undefined,
+    promise: Promise<R>
+  ): Promise<R> =>
+    promise.catch((error) => {
+      errorListeners.forEach((listener) => runSafely(() => listener({ error, operation, key })));
+      throw error;
+    });
+
+  const post = (message: BridgeMessage): void => {
+    target.postMessage({ ...message, bridge: BRIDGE_TAG, name }, origin);
+  };
+
+  // Keep saying hello until the host answers - it may not have loaded yet
+  const connected = new Promise<void>((resolve, reject) => {
+    const startedAt = Date.now();
+    const retry = setInterval(() => {
+      if (Date.now() - startedAt > timeout) {
+        clearInterval(retry);
+        reject(new Error(`No store "${name}" answered from ${origin}`));
+      } else {
+        post({ kind: 'connect', connection });
+      }
+    }, CONNECT_RETRY_INTERVAL);
+
+    onConnected = (granted) => {
+      clearInterval(retry);
+      permissions = granted;
+      onConnected = null;
+      resolve();
+    };
+    stopConnecting = (error) => {
+      clearInterval(retry);
+      onConnected = null;
+      reject(error);
+    };
+    post({ kind: 'connect', connection });
+  });
+  // Callers see the failure through their own requests
+  connected.catch(() => undefined);
+
+  const request = async <R>(method: BridgeMethod, args: unknown[] = []): Promise<R> => {
+    await connected;
+    return new Promise<R>((resolve, reject) => {
+      const id = nextId++;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Bridge request "${method}" timed out`));
+      }, timeout);
+      pending.set(id, { resolve: resolve as (value: unknown) => void, reject, timer });
+      post({ kind: 'request', connection, id, method, args });
+    });
+  };
+
+  const cacheSet = (key: keyof T, value: T[keyof T] | undefined): void => {
+    if (value === undefined) {
+      cache.delete(key);
+    } else {
+      cache.set(key, value);
+    }
+    snapshot = null;
+  };
+
+  const onMessage = (event: MessageEvent) => {
+    const message = event.data;
+    if (event.source !== target || event.origin !== origin) return;
+    if (!isEnvelope(message, name) || message.connection !== connection) return;
+
+    if (message.kind === 'connected') {
+      onConnected?.(message.permissions);
+    } else if (message.kind === 'response') {
+      const entry = pending.get(message.id);
+      if (!entry) return;
+      pending.delete(message.id);
+      clearTimeout(entry.timer);
+      if (message.ok) {
+        entry.resolve(message.result);
+      } else {
+        entry.reject(createError(message.error!));
+      }
+    } else if (message.kind === 'change') {
+      const key = message.key as keyof T;
+      const value = message.value as T[keyof T];
+      const oldValue = message.oldValue as T[keyof T] | undefined;
+      cacheSet(key, value);
+      if (watched.has(key)) {
+        loadedKeys.add(key);
+      }
+      listeners.get(key)?.forEach((listener) => listener(value, oldValue));
+      wildcardListeners.forEach(({ match, listener }) => {
+        if (match(key)) {
+          listener(value, oldValue, key);
+        }
+      });
+      inspector.emit({
+        type: value === undefined ? 'delete' : 'set',
+        key,
+        value,
+        oldValue,
+        origin: 'broadcast',
+      });
+    }
+  };
+
+  window.addEventListener('message', onMessage);
+
+  const watch = (key: keyof T): Unsubscribe => {
+    const count = watched.get(key) ?? 0;
+    watched.set(key, count + 1);
+    if (count === 0) {
+      connected.then(
+        () => post({ kind: 'subscribe', connection, key: key as string }),
+        () => undefined
+      );
+    }
+
+    return () => {
+      const remaining = (watched.get(key) ?? 1) - 1;
+      if (remaining > 0) {
+        watched.set(key, remaining);
+        return;
+      }
+      watched.delete(key);
+      // Without pushes the cached value would go stale
+      cacheSet(key, undefined);
+      loadedKeys.delete(key);
+      post({ kind: 'unsubscribe', connection, key: key as string });
+    };
+  };
+
+  const remember = (key: keyof T, value: T[keyof T] | undefined): void => {
+    if (watched.has(key)) {
+      cacheSet(key, value);
+      loadedKeys.add(key);
+    }
+  };
+
+  // Public API
+  const get = async <K extends keyof T>(key: K): Promise<T[K] | undefined> => {
+    const value = await request<T[K] | undefined>('get', [key]);
+    remember(key, value);
+    return value;
+  };
+
+  const set = async <K extends keyof T>(key: K, value: T[K], setOptions?: SetOptions) => {
+    await request('set', [key, value, setOptions]);
+  };
+
+  const del = async <K extends keyof T>(key: K) => {
+    await request('delete', [key]);
+  };
+
+  const subscribeKey = <K extends keyof T>(key: K, listener: Listener<T[K]>): Unsubscribe => {
+    if (!listeners.has(key)) {
+      listeners.set(key, new Set());
+    }
+    listeners.get(key)!.add(listener as Listener<T[keyof T]>);
+    const unwatch = watch(key);
+
+    return () => {
+      const keyListeners = listeners.get(key);
+      if (keyListeners?.delete(listener as Listener<T[keyof T]>)) {
+        if (keyListeners.size === 0) {
+          listeners.delete(key);
+        }
+        unwatch();
+      }
+    };
+  };
+
+  // The host only pushes watched keys, so watch every readable key that matches
+  const subscribeMatching = (
+    match: (key: keyof T) => boolean,
+    listener: ChangeListener<T>
+  ): Unsubscribe => {
+    const entry = { match, listener };
+    let unwatches: Unsubscribe[] = [];
+    let active = true;
+    wildcardListeners.add(entry);
+    connected.then(
+      () => {
+        if (active) {
+          unwatches = readableKeys().filter(match).map(watch);
+        }
+      },
+      () => undefined
+    );
+
+    return () => {
+      if (!active) return;
+      active = false;
+      wildcardListeners.delete(entry);
+      unwatches.forEach((unwatch) => unwatch());
+    };
+  };
+
+  const subscribe = ((
+    key: keyof T | KeyPattern,
+    listener: Listener<unknown>,
+    subscribeOptions?: SubscribeOptions<unknown, unknown>
+  ): Unsubscribe => {
+    if (isPattern(key)) {
+      return subscribeMatching(createKeyMatcher(key.pattern), listener as ChangeListener<T>);
+    }
+    const notify = subscribeOptions ? withSelector(listener, subscribeOptions) : listener;
+    return subscribeKey(key, notify);
+  }) as Subscribe<T>;
+
+  const subscribeAll = (listener: ChangeListener<T>): Unsubscribe =>
+    subscribeMatching(() => true, listener);
+
+  const getAll = async (): Promise<Partial<T>> => {
+    const all = await request<Partial<T>>('getAll');
+    // A watched key missing from the result has no value on the host
+    watched.forEach((_, key) => remember(key, all[key]));
+    return all;
+  };
+
+  const clear = async () => {
+    await request('clear');
+  };
+
+  const transaction = async <R>(fn: (tx: StoreTransaction<T>) => R | Promise<R>): Promise<R> => {
+    const staged = new Map<keyof T, StagedWrite>();
+
+    const result = await fn({
+      get: async (key) => {
+        const write = staged.get(key);
+        if (write) {
+          return write.type === 'set' ? (write.value as T[typeof key]) : undefined;
+        }
+        return get(key);
+      },
+      set: (key, value, setOptions) => {
+        staged.set(key, { type: 'set', key: key as string, value, options: setOptions });
+      },
+      delete: (key) => {
+        staged.set(key, { type: 'delete', key: key as string });
+      },
+    });
+
+    if (staged.size > 0) {
+      await request('transaction', [Array.from(staged.values())]);
+    }
+    return result;
+  };
+
+  // Optimistic: compute locally, then let the host write only if nothing changed meanwhile
+  const update = async <K extends keyof T>(
+    key: K,
+    updater: (value: T[K] | undefined, meta: UpdateMeta) => T[K] | undefined,
+    setOptions?: SetOptions
+  ): Promise<T[K] | undefined> => {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const { value, revision } = await request<VersionedValue>('read', [key]);
+      remember(key, value as T[K] | undefined);
+      const next = updater(value as T[K] | undefined, { revision });
+      try {
+        return await request<T[K] | undefined>('compareAndSet', [key, revision, next, setOptions]);
+      } catch (error) {
+        if ((error as Error).name !== 'ConflictError') throw error;
+      }
+    }
+    throw new Error(`Gave up updating "${String(key)}" after ${MAX_UPDATE_ATTEMPTS} conflicts`);
+  };
+
+  const readableKeys = (): Array<keyof T> =>
+    Object.keys(permissions).filter((key) => canRead(permissions[key])) as Array<keyof T>;
+
+  // Preloaded keys stay watched, so peek never returns a stale value
+  const ready = async (keys?: Array<keyof T>): Promise<void> => {
+    await connected;
+    const targetKeys = keys ?? readableKeys();
+    targetKeys.filter((key) => !watched.has(key)).forEach((key) => watch(key));
+    await Promise.all(targetKeys.map((key) => get(key)));
+    if (!keys) {
+      preloaded = true;
+    }
+  };
+
+  // A key the host has no value for is ready too, once the host has said so
+  const isReady = (key?: keyof T): boolean =>
+    preloaded || (key !== undefined && watched.has(key) && loadedKeys.has(key));
+
+  const peek = <K extends keyof T>(key: K): T[K] | undefined => cache.get(key) as T[K] | undefined;
+
+  const getSnapshot = (): Partial<T> => {
+    if (!snapshot) {
+      snapshot = Object.fromEntries(cache) as Partial<T>;
+    }
+    return snapshot;
+  };
+
+  const dehydrate = async (): Promise<StoreSnapshot<T>> => ({ values: await getAll() });
+
+  const hydrate = ({ values }: StoreSnapshot<T>): void => {
+    (Object.keys(values) as Array<keyof T>).forEach((key) => {
+      cacheSet(key, values[key]);
+      loadedKeys.add(key);
+    });
+  };
+
+  const destroy = (): void => {
+    stopConnecting?.(new Error('Store connection destroyed'));
+    post({ kind: 'disconnect', connection });
+    election.destroy();
+    window.removeEventListener('message', onMessage);
+    pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Store connection destroyed'));
+    });
+    pending.clear();
+    listeners.clear();
+    errorListeners.clear();
+    watched.clear();
+    loadedKeys.clear();
+    cache.clear();
+    snapshot = null;
+  };
+
+  const store: Store<T> = {
+    get: (key) => reporting('get', key, get(key)),
+    set: (key, value, setOptions) => reporting('set', key, set(key, value, setOptions)),
+    delete: (key) => reporting('delete', key, del(key)),
+    subscribe,
+    subscribeAll,
+    getAll: () => reporting('getAll', undefined, getAll()),
+    clear: () => reporting('clear', undefined, clear()),
+    transaction: (fn) => reporting('transaction', undefined, transaction(fn)),
+    update: (key, updater, updateOptions) =>
+      reporting('update', key, update(key, updater, updateOptions)),
+    ready,
+    isReady,
+    peek,
+    // Revisions stay on the host - a remote update() is checked against them there
+    revision: () => undefined,
+    getSnapshot,
+    dehydrate,
+    hydrate,
+    // Namespacing only - the host's `keys` permissions are what restrict access
+    scope: (scopeName) => createScopedStore(store, scopeName),
+    // Writes are recorded by the host's store - enable history there
+    history: createHistory<T>({ limit: 0 }, async () => undefined).history,
+    onLeader: election.onLeader,
+    isLeader: election.isLeader,
+    // The host's store syncs its own keys
+    sync: idleSync,
+    inspect: inspector.inspect,
+    // Only this page's requests - listen on the host's store for everything else
+    onError: (listener) => {
+      errorListeners.add(listener);
+      return () => {
+        errorListeners.delete(listener);
+      };
+    },
+    // Derived keys are defined on the host's store, then read here like any other key
+    derive: () => {
+      throw new Error('Derive keys on the host store - connected stores read them like any key');
+    },
+    // Writes go to the host as they are made - its store decides whether to buffer them
+    flush: () => Promise.resolve(),
+    collection: () => {
+      throw new Error('Collections are only available on the host store');
+    },
+    exportSnapshot: () =>
+      Promise.reject(new Error('Snapshots are only available on the host store')),
+    importSnapshot: () =>
+      Promise.reject(new Error('Snapshots are only available on the host store')),
+    destroy,
+  };
+
+  return store;
+};
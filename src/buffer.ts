@@ -0,0 +1,127 @@
+/**
+ * Write-behind buffer for mfe-store
+ * Collects high-frequency writes and persists the latest value per key in batches
+ */
+
+import type { BroadcastChange } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface WriteBehindOptions<T extends Record<string, unknown>> {
+  /** Only buffer writes to these keys - the rest persist straight away (default: every key) */
+  keys?: Array<keyof T>;
+  /**
+   * Milliseconds between flushes (default: once per animation frame, which pauses in
+   * background tabs - pass an interval for writes made by background work)
+   */
+  interval?: number;
+}
+
+/** Buffered writes to one key, merged into the latest */
+export interface BufferedWrite<T> {
+  /** The latest write, with the value the key held before the first one as `oldValue` */
+  change: BroadcastChange<T>;
+  /** Whether the key held a value before the first write */
+  present: boolean;
+  stack?: string;
+}
+
+// Interval used instead of animation frames where there are none, e.g. on the server
+const FRAME_INTERVAL = 16;
+
+// ============================================================================
+// Buffer
+// ============================================================================
+
+/**
+ * Buffer writes until the next flush, then hand them to `commit` as one batch.
+ * Batches commit one after another, so a later write to a key always lands last.
+ */
+export const createWriteBuffer = <T extends Record<string, unknown>>(
+  options: WriteBehindOptions<T>,
+  commit: (writes: BufferedWrite<T>[]) => Promise<void>
+) => {
+  const { keys, interval } = options;
+  const pending = new Map<keyof T, BufferedWrite<T>>();
+  // Batches handed to commit that haven't finished yet
+  const committing = new Set<Map<keyof T, BufferedWrite<T>>>();
+  // Settles once every batch so far has committed or failed
+  let flushed: Promise<void> = Promise.resolve();
+  let cancel: (() => void) | null = null;
+
+  const buffers = (key: keyof T): boolean => !keys || keys.includes(key);
+
+  /** True while a write to `key` is buffered or being committed */
+  const isPending = (key: keyof T): boolean =>
+    pending.has(key) || Array.from(committing).some((batch) => batch.has(key));
+
+  const pendingKeys = (): Array<keyof T> => {
+    const found = new Set(pending.keys());
+    committing.forEach((batch) => batch.forEach((_, key) => found.add(key)));
+    return Array.from(found);
+  };
+
+  const unschedule = (): void => {
+    cancel?.();
+    cancel = null;
+  };
+
+  const schedule = (): void => {
+    if (cancel) return;
+    const run = (): void => {
+      cancel = null;
+      // Failures are reported by commit
+      flush().catch(() => undefined);
+    };
+    if (interval === undefined && typeof requestAnimationFrame === 'function') {
+      const frame = requestAnimationFrame(run);
+      cancel = () => cancelAnimationFrame(frame);
+    } else {
+      const timer = setTimeout(run, interval ?? FRAME_INTERVAL);
+      cancel = () => clearTimeout(timer);
+    }
+  };
+
+  const add = (change: BroadcastChange<T>, present: boolean, stack?: string): void => {
+    const previous = pending.get(change.key);
+    pending.set(
+      change.key,
+      previous
+        ? {
+            change: { ...change, oldValue: previous.change.oldValue },
+            present: previous.present,
+            stack,
+          }
+        : { change, present, stack }
+    );
+    schedule();
+  };
+
+  /**
+   * Commit everything buffered so far. Rejects when this batch fails; with nothing
+   * buffered, waits for batches already committing.
+   */
+  const flush = (): Promise<void> => {
+    unschedule();
+    if (pending.size === 0) return flushed;
+
+    const batch = new Map(pending);
+    pending.clear();
+    committing.add(batch);
+    const done = flushed
+      .then(() => commit(Array.from(batch.values())))
+      .finally(() => committing.delete(batch));
+    flushed = done.catch(() => undefined);
+    return done;
+  };
+
+  /** Drop buffered writes that haven't started committing, e.g. before a clear */
+  const discard = (): void => {
+    unschedule();
+    pending.clear();
+  };
+
+  return { buffers, isPending, pendingKeys, add, flush, discard };
+};
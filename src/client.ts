@@ -0,0 +1,151 @@
+/**
+ * Store client for mfe-store
+ * Dependency-free - reads, writes and watches a store by channel name over the event protocol,
+ * for bundles that can't or shouldn't ship a store of their own
+ */
+
+import {
+  PROTOCOL_VERSION,
+  changeEventName,
+  channelEventName,
+  createId,
+  errorEventName,
+  requestEventName,
+  responseEventName,
+} from './protocol';
+import type {
+  ChangeEventDetail,
+  ChangeMeta,
+  ErrorEventDetail,
+  RequestEventDetail,
+  ResponseEventDetail,
+} from './protocol';
+
+export { PROTOCOL_VERSION } from './protocol';
+export type {
+  ChangeEventDetail,
+  ChangeMeta,
+  ErrorEventDetail,
+  RequestEventDetail,
+  ResponseEventDetail,
+} from './protocol';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface ClientOptions {
+  /** Milliseconds to wait for a store to answer (default: 5000) */
+  timeout?: number;
+}
+
+/** `meta` is missing for changes sent by stores that predate the protocol */
+export type ClientListener<V> = (
+  value: V | undefined,
+  oldValue: V | undefined,
+  meta?: ChangeMeta
+) => void;
+
+export type ClientChangeListener<T extends Record<string, unknown>> = (
+  value: T[keyof T] | undefined,
+  oldValue: T[keyof T] | undefined,
+  key: keyof T,
+  meta?: ChangeMeta
+) => void;
+
+export interface StoreClient<T extends Record<string, unknown>> {
+  get<K extends keyof T>(key: K): Promise<T[K] | undefined>;
+  set<K extends keyof T>(key: K, value: T[K]): Promise<void>;
+  delete<K extends keyof T>(key: K): Promise<void>;
+  subscribe<K extends keyof T>(key: K, listener: ClientListener<T[K]>): () => void;
+  subscribeAll(listener: ClientChangeListener<T>): () => void;
+  /** Hear about operations that failed in the store, whoever started them */
+  onError(listener: (detail: ErrorEventDetail) => void): () => void;
+}
+
+// ============================================================================
+// Client
+// ============================================================================
+
+/**
+ * Talk to the store on `channelName` - whichever bundle created it. Requests reject when
+ * no store on the page answers in time, or with the store's error, e.g. a failed validator.
+ */
+export const createClient = <T extends Record<string, unknown> = Record<string, unknown>>(
+  channelName: string,
+  options: ClientOptions = {}
+): StoreClient<T> => {
+  const { timeout = 5000 } = options;
+
+  const request = (
+    type: RequestEventDetail['type'],
+    key: string,
+    value?: unknown
+  ): Promise<ResponseEventDetail> => {
+    if (typeof window === 'undefined') {
+      return Promise.reject(new Error('mfe-store client is not available on the server'));
+    }
+
+    const id = createId();
+    const responseName = responseEventName(channelName);
+
+    return new Promise((resolve, reject) => {
+      const finish = (): void => {
+        clearTimeout(timer);
+        window.removeEventListener(responseName, onResponse);
+      };
+      const onResponse = (event: Event): void => {
+        const response = (event as CustomEvent<ResponseEventDetail>).detail;
+        if (response?.id !== id) return;
+        finish();
+        if (response.ok) {
+          resolve(response);
+        } else {
+          const error = new Error(response.error?.message);
+          error.name = response.error?.name ?? 'Error';
+          reject(error);
+        }
+      };
+      const timer = setTimeout(() => {
+        finish();
+        reject(new Error(`No store answered on channel "${channelName}"`));
+      }, timeout);
+
+      window.addEventListener(responseName, onResponse);
+      const detail = { protocol: PROTOCOL_VERSION, type, id, key, value } as RequestEventDetail;
+      window.dispatchEvent(
+        new CustomEvent(requestEventName(channelName), { detail, cancelable: true })
+      );
+    });
+  };
+
+  const listen = <D = ChangeEventDetail>(eventName: string, handler: (detail: D) => void) => {
+    if (typeof window === 'undefined') {
+      return () => {};
+    }
+    const onChange = (event: Event): void => {
+      handler((event as CustomEvent<D>).detail);
+    };
+    window.addEventListener(eventName, onChange);
+    return () => window.removeEventListener(eventName, onChange);
+  };
+
+  return {
+    get: async (key) => (await request('get', key as string)).value as T[typeof key] | undefined,
+    set: async (key, value) => {
+      await request('set', key as string, value);
+    },
+    delete: async (key) => {
+      await request('delete', key as string);
+    },
+    subscribe: (key, listener) =>
+      listen(changeEventName(channelName, key as string), ({ value, oldValue, meta }) =>
+        listener(value as T[typeof key], oldValue as T[typeof key], meta)
+      ),
+    subscribeAll: (listener) =>
+      listen(channelEventName(channelName), ({ key, value, oldValue, meta }) =>
+        listener(value as T[keyof T], oldValue as T[keyof T], key, meta)
+      ),
+    onError: (listener) => listen<ErrorEventDetail>(errorEventName(channelName), listener),
+  };
+};
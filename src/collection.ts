@@ -0,0 +1,139 @@
+/**
+ * Collections for mfe-store
+ * Records kept in their own object store, written one at a time and queried by index
+ */
+
+import type {
+  CollectionOperation,
+  CollectionQuery,
+  CollectionStorage,
+  RecordChange,
+} from './storage';
+import type { Unsubscribe } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface CollectionOptions<R extends object> {
+  /** Property holding each record's key - a number, string, date or array of them */
+  keyPath: keyof R & string;
+  /**
+   * Properties to query with `where`. Records whose value isn't a valid key - booleans,
+   * null or a missing property - are left out of that index.
+   */
+  indexes?: Array<keyof R & string>;
+}
+
+export type RecordListener<R> = (change: RecordChange<R>) => void;
+
+/**
+ * Records matched so far - each call returns a new query, and nothing is read until `toArray`
+ */
+export interface CollectionQueryBuilder<R> {
+  /** Return at most `count` records */
+  limit: (count: number) => CollectionQueryBuilder<R>;
+  /** Skip the first `count` matching records */
+  offset: (count: number) => CollectionQueryBuilder<R>;
+  /** Matching records, in index order */
+  toArray: () => Promise<R[]>;
+}
+
+export interface WhereClause<R> {
+  equals: (value: IDBValidKey) => CollectionQueryBuilder<R>;
+  /** Records whose value lies between `lower` and `upper`, both included */
+  between: (lower: IDBValidKey, upper: IDBValidKey) => CollectionQueryBuilder<R>;
+}
+
+export interface Collection<R extends object> {
+  get: (key: IDBValidKey) => Promise<R | undefined>;
+  /** Insert a record - rejects with a ConstraintError when its key is already taken */
+  add: (record: R) => Promise<void>;
+  /** Insert a record, or replace the one with the same key */
+  put: (record: R) => Promise<void>;
+  remove: (key: IDBValidKey) => Promise<void>;
+  /** Query by one of the `indexes` */
+  where: (index: keyof R & string) => WhereClause<R>;
+  /** Every record, in key order */
+  all: () => CollectionQueryBuilder<R>;
+  /** Remove every record */
+  clear: () => Promise<void>;
+  /** Hear about every record added, updated or removed - in this tab or another */
+  subscribe: (listener: RecordListener<R>) => Unsubscribe;
+}
+
+/** What a collection needs from the store */
+export interface CollectionHost {
+  storage: CollectionStorage;
+  /** Send changed records to the other tabs */
+  broadcast: (changes: RecordChange[]) => void;
+  /** Report a failed call, which still rejects */
+  reporting: <V>(promise: Promise<V>) => Promise<V>;
+}
+
+// ============================================================================
+// Collection
+// ============================================================================
+
+export const createCollection = <R extends object>(
+  options: CollectionOptions<R>,
+  { storage, broadcast, reporting }: CollectionHost
+) => {
+  const indexes: string[] = options.indexes ?? [];
+  const listeners = new Set<RecordListener<R>>();
+
+  /** Tell subscribers about changes made here or, through a broadcast, in another tab */
+  const notify = (changes: RecordChange[]): void => {
+    changes.forEach((change) => {
+      listeners.forEach((listener) => listener(change as RecordChange<R>));
+    });
+  };
+
+  const publish = (changes: RecordChange[]): void => {
+    if (changes.length === 0) return;
+    notify(changes);
+    broadcast(changes);
+  };
+
+  const write = (operations: CollectionOperation[]): Promise<void> =>
+    reporting(storage.write(operations).then(publish));
+
+  const query = (base: CollectionQuery): CollectionQueryBuilder<R> => ({
+    limit: (count) => query({ ...base, limit: count }),
+    offset: (count) => query({ ...base, offset: count }),
+    toArray: () => reporting(storage.query(base) as Promise<R[]>),
+  });
+
+  const where = (index: keyof R & string): WhereClause<R> => {
+    if (!indexes.includes(index)) {
+      throw new Error(`"${index}" is not one of the collection's indexes`);
+    }
+    return {
+      equals: (value) => query({ index, range: { lower: value, upper: value } }),
+      between: (lower, upper) => query({ index, range: { lower, upper } }),
+    };
+  };
+
+  const collection: Collection<R> = {
+    get: (key) => reporting(storage.get(key) as Promise<R | undefined>),
+    add: (record) => write([{ type: 'add', value: record }]),
+    put: (record) => write([{ type: 'put', value: record }]),
+    remove: (key) => write([{ type: 'remove', key }]),
+    where,
+    all: () => query({}),
+    clear: () => reporting(storage.clear().then(publish)),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+
+  // The store was destroyed
+  const close = (): void => {
+    listeners.clear();
+  };
+
+  return { collection, notify, close };
+};
@@ -0,0 +1,181 @@
+/**
+ * Derived keys for mfe-store
+ * Read-only virtual keys computed from other keys, recomputed whenever one of them changes
+ */
+
+import type { ChangeMeta } from './protocol';
+import type { Unsubscribe } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface DeriveOptions {
+  /**
+   * Only recompute when a dependency's value actually changed (`Object.is`), instead of on
+   * every write to it - subscribers aren't notified when nothing changed (default: false)
+   */
+  memoize?: boolean;
+  /**
+   * Write the computed value to storage, so stores that don't derive the key - and later
+   * sessions - can read it (default: false)
+   */
+  persist?: boolean;
+}
+
+/** Values of `deps`, in order */
+export type DependencyValues<
+  T extends Record<string, unknown>,
+  D extends ReadonlyArray<keyof T>,
+> = {
+  [I in keyof D]: D[I] extends keyof T ? T[D[I]] | undefined : never;
+};
+
+type ChangeSource = Pick<ChangeMeta, 'origin' | 'tab'>;
+
+/** What derived keys need from the store */
+export interface DerivationHost<T extends Record<string, unknown>> {
+  /** Read a dependency, loading it from storage if needed */
+  get: (key: keyof T) => Promise<T[keyof T] | undefined>;
+  /** Read a dependency that is already loaded */
+  peek: (key: keyof T) => T[keyof T] | undefined;
+  /** Cache a computed value and notify its subscribers, as a change from `source` */
+  apply: (key: keyof T, value: T[keyof T] | undefined, source?: ChangeSource) => void;
+  /** Write a computed value to storage */
+  persist: (key: keyof T, value: T[keyof T] | undefined) => Promise<void>;
+  /** Report a computation or persist that failed */
+  fail: (key: keyof T, error: unknown) => void;
+}
+
+interface Derivation<T extends Record<string, unknown>> {
+  deps: Array<keyof T>;
+  compute: (...values: unknown[]) => T[keyof T] | undefined;
+  options: DeriveOptions;
+  /** Dependency values of the last computation */
+  inputs?: unknown[];
+  /** Initial load of the dependencies, until they are all in the cache */
+  loading?: Promise<void>;
+  ready: boolean;
+  /** Thrown by the last computation - the previous value is kept */
+  error?: unknown;
+}
+
+// ============================================================================
+// Derivations
+// ============================================================================
+
+export const createDerivations = <T extends Record<string, unknown>>(
+  host: DerivationHost<T>
+) => {
+  const derivations = new Map<keyof T, Derivation<T>>();
+  // Keys being recomputed, so a cycle between derived keys stops instead of recursing
+  const computing = new Set<keyof T>();
+
+  const isDerived = (key: keyof T): boolean => derivations.has(key);
+
+  const evaluate = (key: keyof T, source?: ChangeSource): void => {
+    const derivation = derivations.get(key)!;
+    const { inputs, options } = derivation;
+    const values = derivation.deps.map(host.peek);
+    if (options.memoize && inputs && values.every((value, i) => Object.is(value, inputs[i]))) {
+      return;
+    }
+    if (computing.has(key)) return;
+
+    computing.add(key);
+    let value: T[keyof T] | undefined;
+    try {
+      derivation.inputs = values;
+      value = derivation.compute(...values);
+      derivation.error = undefined;
+    } catch (error) {
+      // The write that changed a dependency already succeeded - report this through get()
+      derivation.error = error;
+      host.fail(key, error);
+      return;
+    } finally {
+      computing.delete(key);
+    }
+
+    host.apply(key, value, source);
+    if (options.persist) {
+      // The key still works in memory if storage fails - the next change retries
+      host.persist(key, value).catch((error) => host.fail(key, error));
+    }
+  };
+
+  const load = (key: keyof T): Promise<void> => {
+    const derivation = derivations.get(key)!;
+    derivation.loading ??= Promise.all(derivation.deps.map((dep) => host.get(dep))).then(
+      () => {
+        // Removed while loading
+        if (derivations.get(key) !== derivation) return;
+        derivation.ready = true;
+        evaluate(key);
+      },
+      (error) => {
+        derivation.loading = undefined;
+        throw error;
+      }
+    );
+    return derivation.loading;
+  };
+
+  /**
+   * Define `key` as computed from `deps`. Resolves the initial value in the background;
+   * returns a function that removes the derived key.
+   */
+  const derive = (
+    key: keyof T,
+    deps: Array<keyof T>,
+    compute: (...values: unknown[]) => T[keyof T] | undefined,
+    options: DeriveOptions = {}
+  ): Unsubscribe => {
+    if (deps.includes(key)) {
+      throw new Error(`Derived key "${String(key)}" can't depend on itself`);
+    }
+    if (derivations.has(key)) {
+      throw new Error(`"${String(key)}" is already derived`);
+    }
+
+    const derivation: Derivation<T> = { deps, compute, options, ready: false };
+    derivations.set(key, derivation);
+    // Failures surface through get() on the derived key
+    load(key).catch(() => undefined);
+
+    return () => {
+      if (derivations.get(key) === derivation) {
+        derivations.delete(key);
+      }
+    };
+  };
+
+  /** Current value of a derived key, once its dependencies have loaded */
+  const get = async (key: keyof T): Promise<T[keyof T] | undefined> => {
+    const derivation = derivations.get(key)!;
+    if (!derivation.ready) {
+      await load(key);
+    }
+    if (derivation.error !== undefined) {
+      throw derivation.error;
+    }
+    return host.peek(key);
+  };
+
+  /** Recompute every key derived from `changed` */
+  const changed = (changed: keyof T, source: ChangeSource): void => {
+    derivations.forEach((derivation, key) => {
+      if (derivation.ready && derivation.deps.includes(changed)) {
+        evaluate(key, source);
+      }
+    });
+  };
+
+  const keys = (): Array<keyof T> => Array.from(derivations.keys());
+
+  const clear = (): void => {
+    derivations.clear();
+  };
+
+  return { derive, isDerived, get, changed, keys, clear };
+};
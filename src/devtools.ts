@@ -0,0 +1,353 @@
+/**
+ * Devtools for mfe-store
+ * Optional - an embeddable overlay listing every store on the page, with live values,
+ * a timeline of changes, editing and time travel
+ */
+
+import { listStores, subscribeToStores } from './inspect';
+import type { InspectEvent, RegisteredStore } from './inspect';
+import type { Unsubscribe } from './store';
+
+export { listStores, subscribeToStores } from './inspect';
+export type { InspectEvent, InspectListener, InspectOrigin, RegisteredStore } from './inspect';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface DevtoolsOptions {
+  /** Element to render into (default: a panel fixed to the bottom right of the page) */
+  container?: HTMLElement;
+  /** Timeline entries kept per store, oldest dropped first (default: 200) */
+  limit?: number;
+  /** Start minimized (default: false) */
+  collapsed?: boolean;
+}
+
+type Values = Record<string, unknown>;
+
+interface TimelineEntry {
+  event: InspectEvent<Values>;
+  /** Every value of the store right after the event, for time travel */
+  values: Values;
+}
+
+interface Inspected {
+  entry: RegisteredStore;
+  values: Values;
+  timeline: TimelineEntry[];
+  unsubscribe: Unsubscribe;
+}
+
+// ============================================================================
+// Rendering helpers
+// ============================================================================
+
+const STYLES = `
+  :host { all: initial; }
+  .panel { font: 12px/1.4 ui-monospace, Menlo, monospace; color: #e5e7eb; background: #111827;
+    border: 1px solid #374151; border-radius: 6px; width: 420px; max-height: 70vh;
+    display: flex; flex-direction: column; box-shadow: 0 8px 24px rgba(0,0,0,.3); }
+  header { display: flex; gap: 8px; align-items: center; padding: 6px 8px;
+    border-bottom: 1px solid #374151; }
+  header strong { flex: 1; }
+  section { padding: 6px 8px; overflow: auto; border-bottom: 1px solid #374151; }
+  h2 { font-size: 11px; text-transform: uppercase; color: #9ca3af; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 2px 4px; vertical-align: top; word-break: break-all; cursor: pointer; }
+  tr:hover td { background: #1f2937; }
+  li { list-style: none; padding: 2px 0; border-bottom: 1px solid #1f2937; }
+  ul { margin: 0; padding: 0; }
+  .broadcast { color: #93c5fd; }
+  .local { color: #86efac; }
+  .error { color: #fca5a5; }
+  textarea, input, select { width: 100%; box-sizing: border-box; font: inherit;
+    background: #1f2937; color: inherit; border: 1px solid #374151; }
+  button { font: inherit; background: #374151; color: inherit; border: 0; border-radius: 3px;
+    padding: 1px 6px; cursor: pointer; }
+  pre { margin: 2px 0; white-space: pre-wrap; color: #9ca3af; }
+`;
+
+// Values may hold user data, so everything goes through textContent
+const h = (
+  tag: string,
+  props: Record<string, string | ((event: Event) => void)> = {},
+  children: Array<Node | string> = []
+): HTMLElement => {
+  const element = document.createElement(tag);
+  Object.entries(props).forEach(([name, value]) => {
+    if (typeof value === 'function') {
+      element.addEventListener(name, value);
+    } else {
+      element.setAttribute(name, value);
+    }
+  });
+  element.append(...children);
+  return element;
+};
+
+const preview = (value: unknown, length = 80): string => {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+};
+
+const applyEvent = (values: Values, event: InspectEvent<Values>): Values => {
+  if (event.type === 'clear') return {};
+
+  const next = { ...values };
+  if (event.type === 'set') {
+    next[event.key as string] = event.value;
+  } else {
+    delete next[event.key as string];
+  }
+  return next;
+};
+
+// ============================================================================
+// Overlay
+// ============================================================================
+
+/**
+ * Mount the devtools overlay. Stores created before or after mounting are listed until
+ * they are destroyed; their timelines start when the overlay first sees them.
+ * Returns a function that removes the overlay.
+ */
+export const mountDevtools = (options: DevtoolsOptions = {}): Unsubscribe => {
+  const { limit = 200 } = options;
+  const inspected = new Map<RegisteredStore, Inspected>();
+  let selected: RegisteredStore | null = null;
+  let collapsed = options.collapsed ?? false;
+  let frame: number | undefined;
+
+  const host = options.container ?? document.body.appendChild(h('div'));
+  if (!options.container) {
+    host.style.cssText = 'position: fixed; right: 12px; bottom: 12px; z-index: 2147483647;';
+  }
+  // Keep page styles out, and ours in - a container mounted into before keeps its shadow root
+  const root = host.shadowRoot ?? host.attachShadow({ mode: 'open' });
+
+  const scheduleRender = (): void => {
+    if (frame !== undefined) return;
+    frame = requestAnimationFrame(() => {
+      frame = undefined;
+      render();
+    });
+  };
+
+  const attach = (entry: RegisteredStore): void => {
+    const state: Inspected = {
+      entry,
+      values: {},
+      timeline: [],
+      unsubscribe: entry.store.inspect((event) => {
+        state.values = applyEvent(state.values, event);
+        state.timeline.push({ event, values: state.values });
+        if (state.timeline.length > limit) {
+          state.timeline.splice(0, state.timeline.length - limit);
+        }
+        scheduleRender();
+      }),
+    };
+    inspected.set(entry, state);
+
+    // Changes seen while loading are newer than what getAll read
+    entry.store
+      .getAll()
+      .then((all) => {
+        state.values = { ...all, ...state.values };
+        state.timeline.forEach((item) => {
+          item.values = { ...all, ...item.values };
+        });
+        scheduleRender();
+      })
+      .catch(() => undefined);
+  };
+
+  const syncStores = (): void => {
+    const current = listStores();
+    current.filter((entry) => !inspected.has(entry)).forEach(attach);
+    inspected.forEach((state, entry) => {
+      if (!current.includes(entry)) {
+        state.unsubscribe();
+        inspected.delete(entry);
+      }
+    });
+    if (!selected || !inspected.has(selected)) {
+      selected = current[0] ?? null;
+    }
+    scheduleRender();
+  };
+
+  // Edits go through the store, so validators, other tabs and the timeline all see them
+  const save = async (): Promise<void> => {
+    if (!selected) return;
+    try {
+      if (!keyInput.value) {
+        throw new Error('Enter a key');
+      }
+      await selected.store.set(keyInput.value, JSON.parse(jsonInput.value));
+      errorLine.textContent = '';
+    } catch (error) {
+      errorLine.textContent = (error as Error).message;
+    }
+  };
+
+  const remove = async (): Promise<void> => {
+    if (!selected || !keyInput.value) return;
+    try {
+      await selected.store.delete(keyInput.value);
+      openEditor('', undefined);
+    } catch (error) {
+      errorLine.textContent = (error as Error).message;
+    }
+  };
+
+  // Restore every value to what it was right after `entry`. Derived keys follow their
+  // dependencies, so they are left to recompute rather than written.
+  const travel = async (entry: TimelineEntry): Promise<void> => {
+    const state = selected && inspected.get(selected);
+    if (!state) return;
+    const target = entry.values;
+    const writable = (key: string): boolean => !state.entry.isDerived?.(key);
+    try {
+      await state.entry.store.transaction((tx) => {
+        Object.keys(state.values)
+          .filter((key) => writable(key) && !(key in target))
+          .forEach((key) => tx.delete(key));
+        Object.entries(target)
+          .filter(([key]) => writable(key))
+          .filter(([key, value]) => JSON.stringify(state.values[key]) !== JSON.stringify(value))
+          .forEach(([key, value]) => tx.set(key, value));
+      });
+      errorLine.textContent = '';
+    } catch (error) {
+      errorLine.textContent = (error as Error).message;
+    }
+  };
+
+  const openEditor = (key: string, value: unknown): void => {
+    keyInput.value = key;
+    jsonInput.value = value === undefined ? '' : JSON.stringify(value, null, 2);
+    errorLine.textContent = '';
+  };
+
+  const renderStores = (): void => {
+    const stores = Array.from(inspected.keys());
+    storeSelect.replaceChildren(
+      ...stores.map((entry, index) => {
+        const option = h('option', { value: String(index) }, [entry.name]) as HTMLOptionElement;
+        option.selected = entry === selected;
+        return option;
+      })
+    );
+  };
+
+  const renderValues = (state: Inspected): Node[] =>
+    Object.entries(state.values).map(([key, value]) =>
+      h('tr', { 'data-key': key, click: () => openEditor(key, value) }, [
+        h('td', {}, [key]),
+        h('td', {}, [preview(value)]),
+      ])
+    );
+
+  const renderTimeline = (state: Inspected): Node[] =>
+    state.timeline
+      .slice()
+      .reverse()
+      .map((entry) => {
+        const { event } = entry;
+        const summary = [
+          `${new Date(event.timestamp).toLocaleTimeString()} `,
+          h('span', { class: event.origin }, [event.origin]),
+          ` ${event.type}`,
+          event.key === undefined ? '' : ` ${String(event.key)}`,
+          event.type === 'set' ? ` = ${preview(event.value, 40)}` : '',
+          ' ',
+          h('button', { 'data-testid': 'devtools-travel', click: () => void travel(entry) }, [
+            'Travel here',
+          ]),
+        ];
+        return h('li', { 'data-type': event.type, 'data-origin': event.origin }, [
+          event.stack
+            ? h('details', {}, [h('summary', {}, summary), h('pre', {}, [event.stack])])
+            : h('div', {}, summary),
+        ]);
+      });
+
+  // Only the lists are rebuilt, so typing in the editor isn't interrupted by changes
+  const render = (): void => {
+    const state = selected && inspected.get(selected);
+    renderStores();
+    valuesTable.replaceChildren(...(state ? renderValues(state) : []));
+    timelineList.replaceChildren(...(state ? renderTimeline(state) : []));
+    body.hidden = collapsed;
+    toggleButton.textContent = collapsed ? 'Open' : 'Minimize';
+  };
+
+  const storeSelect = h('select', {
+    'data-testid': 'devtools-stores',
+    change: (event) => {
+      selected = Array.from(inspected.keys())[Number((event.target as HTMLSelectElement).value)];
+      openEditor('', undefined);
+      render();
+    },
+  });
+  const valuesTable = h('table', { 'data-testid': 'devtools-values' });
+  const keyInput = h('input', {
+    'data-testid': 'devtools-key',
+    placeholder: 'key',
+  }) as HTMLInputElement;
+  const jsonInput = h('textarea', {
+    'data-testid': 'devtools-json',
+    rows: '4',
+    placeholder: 'JSON value',
+  }) as HTMLTextAreaElement;
+  const errorLine = h('div', { class: 'error', 'data-testid': 'devtools-error' });
+  const timelineList = h('ul', { 'data-testid': 'devtools-timeline' });
+  const toggleButton = h('button', {
+    'data-testid': 'devtools-toggle',
+    click: () => {
+      collapsed = !collapsed;
+      render();
+    },
+  });
+  const body = h('div', {}, [
+    h('section', {}, [storeSelect]),
+    h('section', {}, [h('h2', {}, ['Values']), valuesTable]),
+    h('section', {}, [
+      h('h2', {}, ['Edit']),
+      keyInput,
+      jsonInput,
+      errorLine,
+      h('button', { 'data-testid': 'devtools-save', click: () => void save() }, ['Save']),
+      ' ',
+      h('button', { 'data-testid': 'devtools-delete', click: () => void remove() }, ['Delete']),
+    ]),
+    h('section', {}, [h('h2', {}, ['Timeline']), timelineList]),
+  ]);
+
+  root.append(
+    h('style', {}, [STYLES]),
+    h('div', { class: 'panel', 'data-testid': 'devtools' }, [
+      h('header', {}, [h('strong', {}, ['mfe-store']), toggleButton]),
+      body,
+    ])
+  );
+
+  const unsubscribeStores = subscribeToStores(syncStores);
+  syncStores();
+
+  return () => {
+    unsubscribeStores();
+    inspected.forEach((state) => state.unsubscribe());
+    inspected.clear();
+    if (frame !== undefined) {
+      cancelAnimationFrame(frame);
+    }
+    if (options.container) {
+      root.replaceChildren();
+    } else {
+      host.remove();
+    }
+  };
+};
@@ -0,0 +1,220 @@
+/**
+ * Encryption at rest for mfe-store
+ * Wraps a storage adapter so selected keys are stored as AES-GCM ciphertext
+ */
+
+import type { RecordMeta, StorageAdapter, StoredRecord, WriteOperation } from './storage';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface EncryptionKey {
+  /** Stored next to every ciphertext, so the right key is picked when decrypting */
+  id: string;
+  /** AES-GCM key, e.g. from crypto.subtle.generateKey or importKey */
+  key: CryptoKey;
+}
+
+export interface EncryptionOptions<T extends Record<string, unknown> = Record<string, unknown>> {
+  /** Keys whose values are encrypted - values must be JSON-serializable */
+  keys: Array<keyof T>;
+  /** Key used for every new write */
+  current: EncryptionKey;
+  /** Retired keys that can still decrypt existing values until they are rewritten */
+  previous?: EncryptionKey[];
+}
+
+interface EncryptedValue {
+  __mfeEncrypted: 1;
+  /** Id of the EncryptionKey used */
+  kid: string;
+  /** Base64 initialization vector */
+  iv: string;
+  /** Base64 ciphertext */
+  data: string;
+}
+
+// ============================================================================
+// Crypto helpers
+// ============================================================================
+
+const IV_LENGTH = 12;
+const MAX_WRITE_ATTEMPTS = 5;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Base64 keeps ciphertext JSON-safe for Web Storage backends
+const toBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text: string) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const isEncryptedValue = (value: unknown): value is EncryptedValue =>
+  typeof value === 'object' &&
+  value !== null &&
+  (value as EncryptedValue).__mfeEncrypted === 1;
+
+// The storage key is bound as additional data, so ciphertext can't be moved to another key
+const encryptValue = async (
+  storageKey: string,
+  value: unknown,
+  { id, key }: EncryptionKey
+): Promise<EncryptedValue> => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(storageKey) },
+    key,
+    encoder.encode(JSON.stringify(value))
+  );
+  return { __mfeEncrypted: 1, kid: id, iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+const decryptValue = async (
+  storageKey: string,
+  { iv, data }: EncryptedValue,
+  key: CryptoKey
+): Promise<unknown> => {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(storageKey) },
+    key,
+    fromBase64(data)
+  );
+  return JSON.parse(decoder.decode(plaintext));
+};
+
+// ============================================================================
+// Adapter
+// ============================================================================
+
+/**
+ * Encrypt `options.keys` before they reach `adapter` and decrypt them on the way out.
+ * Values read with a previous key (or stored before encryption was enabled) are rewritten
+ * with the current key in the background.
+ */
+export const withEncryption = (
+  adapter: StorageAdapter,
+  options: EncryptionOptions
+): StorageAdapter => {
+  const { current, previous = [] } = options;
+  const encryptedKeys = new Set(options.keys as string[]);
+  const keyring = new Map([...previous, current].map(({ id, key }) => [id, key]));
+
+  const isEncrypted = (key: string): boolean => encryptedKeys.has(key);
+
+  // Re-encrypt under the current key, unless the record was written again meanwhile
+  const reencrypt = (key: string, value: unknown, meta: RecordMeta | undefined): void => {
+    encryptValue(key, value, current)
+      .then((encrypted) =>
+        adapter.write([key], (_, metas) =>
+          metas.get(key)?.rev === meta?.rev
+            ? [{ type: 'set', key, value: encrypted, expiresAt: meta?.expiresAt }]
+            : []
+        )
+      )
+      // Retried on the next read
+      .catch(() => undefined);
+  };
+
+  const unseal = (key: string, value: EncryptedValue): Promise<unknown> => {
+    const cryptoKey = keyring.get(value.kid);
+    if (!cryptoKey) {
+      throw new Error(`Cannot decrypt "${key}": unknown encryption key "${value.kid}"`);
+    }
+    return decryptValue(key, value, cryptoKey);
+  };
+
+  const decrypt = async (key: string, value: unknown, meta: RecordMeta | undefined) => {
+    if (!isEncryptedValue(value)) {
+      reencrypt(key, value, meta);
+      return value;
+    }
+
+    const plaintext = await unseal(key, value);
+    if (value.kid !== current.id) {
+      reencrypt(key, plaintext, meta);
+    }
+    return plaintext;
+  };
+
+  const get = async (key: string): Promise<StoredRecord> => {
+    const record = await adapter.get(key);
+    if (!isEncrypted(key) || record.value === undefined) {
+      return record;
+    }
+    return { value: await decrypt(key, record.value, record.meta), meta: record.meta };
+  };
+
+  const encryptOperation = async (operation: WriteOperation): Promise<WriteOperation> =>
+    operation.type === 'set' && isEncrypted(operation.key)
+      ? { ...operation, value: await encryptValue(operation.key, operation.value, current) }
+      : operation;
+
+  return {
+    open: adapter.open,
+    get,
+    getAll: async () => {
+      const records = await adapter.getAll();
+      const values = { ...records.values };
+      await Promise.all(
+        Object.keys(values)
+          .filter(isEncrypted)
+          .map(async (key) => {
+            values[key] = await decrypt(key, values[key], records.metas.get(key));
+          })
+      );
+      return { values, metas: records.metas };
+    },
+    getExpired: (now) => adapter.getExpired(now),
+    /**
+     * WebCrypto is async and can't run inside a storage transaction, so encrypted writes
+     * read and encrypt first, then commit only if no revision changed in between
+     */
+    write: async (keys, mutate) => {
+      if (!keys.some(isEncrypted)) {
+        return adapter.write(keys, mutate);
+      }
+
+      for (let attempt = 0; attempt < MAX_WRITE_ATTEMPTS; attempt++) {
+        const records = await Promise.all(keys.map(get));
+        const values = new Map(keys.map((key, index) => [key, records[index].value]));
+        const metas = new Map(keys.map((key, index) => [key, records[index].meta]));
+        const operations = await Promise.all(mutate(values, metas).map(encryptOperation));
+
+        let conflict = false;
+        const committed = await adapter.write(keys, (_, latest) => {
+          conflict = keys.some((key) => latest.get(key)?.rev !== metas.get(key)?.rev);
+          return conflict ? [] : operations;
+        });
+        if (!conflict) {
+          return committed;
+        }
+      }
+      throw new Error(`Gave up writing ${keys.join(', ')} after ${MAX_WRITE_ATTEMPTS} conflicts`);
+    },
+    clear: () => adapter.clear(),
+    close: () => adapter.close(),
+    // Collection records are stored as they are - keep sensitive values in encrypted keys
+    collection: adapter.collection,
+    // Outbox entries hold what was stored, so pushed values are decrypted first
+    sync: adapter.sync && {
+      ...adapter.sync,
+      pending: async () => {
+        const records = await adapter.sync!.pending();
+        return Promise.all(
+          records.map(async (record) =>
+            isEncryptedValue(record.value)
+              ? { ...record, value: await unseal(record.key, record.value) }
+              : record
+          )
+        );
+      },
+    },
+  };
+};
@@ -0,0 +1,117 @@
+/**
+ * Error types thrown by mfe-store
+ * Check with `instanceof` or by `name`, which survives postMessage and structured cloning
+ */
+
+/**
+ * Thrown when a write targets a key the caller isn't allowed to change,
+ * e.g. a scope writing a shared key owned by another scope
+ */
+export class AccessError extends Error {
+  /** Key that was accessed */
+  readonly key: string;
+  /** Scope that attempted the access, if any */
+  readonly scope?: string;
+
+  constructor(message: string, key: string, scope?: string) {
+    super(message);
+    this.name = 'AccessError';
+    this.key = key;
+    this.scope = scope;
+  }
+}
+
+/**
+ * Thrown when a validator rejects a value. Keeps the validator's message; the error it
+ * threw is `cause`.
+ */
+export class ValidationError extends Error {
+  /** Key that was written */
+  readonly key: string;
+  readonly cause?: unknown;
+
+  constructor(message: string, key: string, cause?: unknown) {
+    super(message);
+    this.name = 'ValidationError';
+    this.key = key;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when the browser refuses a write because the origin's storage quota is used up.
+ * Nothing was written.
+ */
+export class QuotaError extends Error {
+  readonly cause?: unknown;
+
+  constructor(message: string, cause?: unknown) {
+    super(message);
+    this.name = 'QuotaError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Thrown when storage can't be opened or reached, or the browser aborted the transaction.
+ * The store reconnects on the next operation.
+ */
+export class ConnectionError extends Error {
+  readonly cause?: unknown;
+
+  constructor(message: string, cause?: unknown) {
+    super(message);
+    this.name = 'ConnectionError';
+    this.cause = cause;
+  }
+}
+
+// DOMException names for storage that went away or a transaction that didn't commit
+const CONNECTION_ERROR_NAMES = [
+  'AbortError',
+  'InvalidStateError',
+  'TransactionInactiveError',
+  'UnknownError',
+  'VersionError',
+  'TimeoutError',
+  'NotFoundError',
+];
+
+/**
+ * The typed error for a failure reported by a storage backend - errors it doesn't recognize,
+ * e.g. from a custom adapter, are returned unchanged
+ */
+export const toStoreError = (error: unknown): unknown => {
+  const name = (error as Error)?.name;
+  const message = (error as Error)?.message ?? String(error);
+  if (name === 'QuotaExceededError' || name === 'NS_ERROR_DOM_QUOTA_REACHED') {
+    return new QuotaError(message, error);
+  }
+  if (CONNECTION_ERROR_NAMES.includes(name)) {
+    return new ConnectionError(message, error);
+  }
+  return error;
+};
+
+/** An operation that failed, as reported to `store.onError` */
+export type StoreOperation =
+  | 'get'
+  | 'getAll'
+  | 'set'
+  | 'delete'
+  | 'update'
+  | 'transaction'
+  | 'clear'
+  | 'expire'
+  | 'derive'
+  | 'collection'
+  | 'exportSnapshot'
+  | 'importSnapshot'
+  | 'sync';
+
+export interface StoreErrorEvent<K = string> {
+  error: Error;
+  operation: StoreOperation;
+  /** Key the operation was for, if it was for one */
+  key?: K;
+}
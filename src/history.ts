@@ -0,0 +1,210 @@
+/**
+ * Undo/redo history for mfe-store
+ * Records local writes so they can be reverted through the normal write path
+ */
+
+import type { Unsubscribe } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface HistoryOptions {
+  /** Maximum number of undo steps kept, oldest dropped first (default: 100) */
+  limit?: number;
+}
+
+/** A single key, or a predicate selecting the keys an operation applies to */
+export type HistoryFilter<T extends Record<string, unknown>> = keyof T | ((key: keyof T) => boolean);
+
+export interface HistoryChange<T extends Record<string, unknown>> {
+  key: keyof T;
+  /** Value before the write - undefined if the key didn't exist */
+  before: T[keyof T] | undefined;
+  /** Value after the write - undefined if the key was deleted */
+  after: T[keyof T] | undefined;
+  /** Epoch milliseconds when `before` was due to expire, so undo restores its ttl */
+  beforeExpiresAt?: number;
+  /** Epoch milliseconds when `after` was due to expire, so redo restores its ttl */
+  afterExpiresAt?: number;
+}
+
+export interface StoreHistory<T extends Record<string, unknown>> {
+  /**
+   * Revert the latest write (a single key or a whole transaction). With a filter, only the
+   * latest change to the matching keys is reverted. Resolves false when there is nothing to undo.
+   */
+  undo: (filter?: HistoryFilter<T>) => Promise<boolean>;
+  /** Re-apply the latest undone write, with the same filtering as `undo` */
+  redo: (filter?: HistoryFilter<T>) => Promise<boolean>;
+  canUndo: (filter?: HistoryFilter<T>) => boolean;
+  canRedo: (filter?: HistoryFilter<T>) => boolean;
+  /** Forget recorded steps (only those for matching keys, given a filter) */
+  clear: (filter?: HistoryFilter<T>) => void;
+  /** Called whenever the undo or redo stack changes */
+  subscribe: (listener: () => void) => Unsubscribe;
+}
+
+/** Writes that restore values, with the expiry they had - undefined deletes the key */
+export type HistoryWriter<T extends Record<string, unknown>> = (
+  values: Array<{ key: keyof T; value: T[keyof T] | undefined; expiresAt?: number }>
+) => Promise<void>;
+
+type Entry<T extends Record<string, unknown>> = HistoryChange<T>[];
+
+/** Changes taken from a stack, and how to put them back where they were */
+interface Taken<T extends Record<string, unknown>> {
+  entry: Entry<T>;
+  putBack: () => void;
+}
+
+// ============================================================================
+// History
+// ============================================================================
+
+const toMatcher = <T extends Record<string, unknown>>(
+  filter: HistoryFilter<T> | undefined
+): ((key: keyof T) => boolean) => {
+  if (filter === undefined) return () => true;
+  if (typeof filter === 'function') return filter;
+  return (key) => key === filter;
+};
+
+/**
+ * Create a bounded undo/redo history. `write` applies restored values without recording them;
+ * the returned `record` is called by the store after each local write commits.
+ */
+export const createHistory = <T extends Record<string, unknown>>(
+  { limit = 100 }: HistoryOptions,
+  write: HistoryWriter<T>
+) => {
+  const undoStack: Entry<T>[] = [];
+  const redoStack: Entry<T>[] = [];
+  const listeners = new Set<() => void>();
+
+  const notify = (): void => {
+    listeners.forEach((listener) => listener());
+  };
+
+  const push = (stack: Entry<T>[], entry: Entry<T>): void => {
+    stack.push(entry);
+    if (stack.length > limit) {
+      stack.splice(0, stack.length - limit);
+    }
+  };
+
+  // Remove matching changes from a stack, dropping entries that end up empty
+  const remove = (stack: Entry<T>[], match: (key: keyof T) => boolean): boolean => {
+    let removed = false;
+    for (let index = stack.length - 1; index >= 0; index--) {
+      const rest = stack[index].filter(({ key }) => !match(key));
+      if (rest.length === stack[index].length) continue;
+      removed = true;
+      if (rest.length > 0) {
+        stack[index] = rest;
+      } else {
+        stack.splice(index, 1);
+      }
+    }
+    return removed;
+  };
+
+  // Take the matching changes of the latest entry that has any. Other writes may change the
+  // stack before they are put back, so the spot is found again from the entry left in it, or
+  // the one below.
+  const take = (stack: Entry<T>[], match: (key: keyof T) => boolean): Taken<T> | null => {
+    for (let index = stack.length - 1; index >= 0; index--) {
+      const original = stack[index];
+      const taken = original.filter(({ key }) => match(key));
+      if (taken.length === 0) continue;
+
+      const rest = original.filter(({ key }) => !match(key));
+      const below = stack[index - 1];
+      if (rest.length > 0) {
+        stack[index] = rest;
+      } else {
+        stack.splice(index, 1);
+      }
+
+      const putBack = (): void => {
+        const at = rest.length > 0 ? stack.indexOf(rest) : -1;
+        if (at >= 0) {
+          stack[at] = original;
+        } else {
+          stack.splice(below ? stack.indexOf(below) + 1 : 0, 0, original);
+        }
+      };
+      return { entry: taken, putBack };
+    }
+    return null;
+  };
+
+  const record = (changes: HistoryChange<T>[]): void => {
+    const entry = changes.filter(({ before, after }) => before !== after);
+    if (entry.length === 0 || limit <= 0) return;
+
+    push(undoStack, entry);
+    // A new write to a key invalidates its redo steps
+    const written = new Set(entry.map(({ key }) => key));
+    remove(redoStack, (key) => written.has(key));
+    notify();
+  };
+
+  const step = async (
+    from: Entry<T>[],
+    to: Entry<T>[],
+    filter: HistoryFilter<T> | undefined,
+    direction: 'before' | 'after'
+  ): Promise<boolean> => {
+    const taken = take(from, toMatcher(filter));
+    if (!taken) return false;
+
+    const { entry } = taken;
+    const expiry = direction === 'before' ? 'beforeExpiresAt' : 'afterExpiresAt';
+    try {
+      await write(
+        entry.map((change) => ({
+          key: change.key,
+          value: change[direction],
+          expiresAt: change[expiry],
+        }))
+      );
+    } catch (error) {
+      // Keep the step where it was, so it can be retried
+      taken.putBack();
+      throw error;
+    }
+    push(to, entry);
+    notify();
+    return true;
+  };
+
+  const history: StoreHistory<T> = {
+    undo: (filter) => step(undoStack, redoStack, filter, 'before'),
+    redo: (filter) => step(redoStack, undoStack, filter, 'after'),
+    canUndo: (filter) => {
+      const match = toMatcher(filter);
+      return undoStack.some((entry) => entry.some(({ key }) => match(key)));
+    },
+    canRedo: (filter) => {
+      const match = toMatcher(filter);
+      return redoStack.some((entry) => entry.some(({ key }) => match(key)));
+    },
+    clear: (filter) => {
+      const match = toMatcher(filter);
+      const removedUndo = remove(undoStack, match);
+      const removedRedo = remove(redoStack, match);
+      if (removedUndo || removedRedo) {
+        notify();
+      }
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+  };
+
+  return { history, record };
+};
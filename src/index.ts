@@ -1,3 +1,107 @@
-// Core store only - React bindings available via 'mfe-store/react'
-export { createStore, subscribeToKey } from './store';
-export type { Store, StoreOptions, Listener, Unsubscribe, Validator } from './store';
+// Core store only - React bindings via 'mfe-store/react', devtools via 'mfe-store/devtools',
+// a store-less client via 'mfe-store/client'
+export { createStore, subscribeToKey, subscribeToAll, serializeSnapshot } from './store';
+export type {
+  Store,
+  StoreOptions,
+  Subscribe,
+  SubscribeToKey,
+  Listener,
+  Unsubscribe,
+  Validator,
+  ErrorListener,
+  StoreTransaction,
+  SetOptions,
+  UpdateMeta,
+  StoreSnapshot,
+  BroadcastMessage,
+  BroadcastChange,
+} from './store';
+export type { Ownership } from './scope';
+export { keyPattern } from './listeners';
+export type { ChangeListener, KeyPattern, SubscribeOptions } from './listeners';
+export type { DeriveOptions, DependencyValues } from './derive';
+export type { WriteBehindOptions } from './buffer';
+export type {
+  SnapshotDocument,
+  SnapshotFilter,
+  ExportOptions,
+  ImportOptions,
+} from './snapshot';
+export type {
+  Collection,
+  CollectionOptions,
+  CollectionQueryBuilder,
+  WhereClause,
+  RecordListener,
+} from './collection';
+export type {
+  StorePlugin,
+  Middleware,
+  PluginHook,
+  GetContext,
+  SetContext,
+  DeleteContext,
+  ClearContext,
+  MessageContext,
+} from './plugins';
+export {
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+  createWebStorageAdapter,
+  createLocalStorageAdapter,
+  createSessionStorageAdapter,
+  withFallback,
+  defineDatabase,
+} from './storage';
+export type {
+  StorageAdapter,
+  StorageKind,
+  StoredRecord,
+  StoredRecords,
+  RecordMeta,
+  WriteOperation,
+  WriteMutator,
+  Migration,
+  MigrationContext,
+  IndexedDBAdapterOptions,
+  WebStorageAdapterOptions,
+  SchemaOptions,
+  OutboxRecord,
+  SyncStorage,
+  DatabaseStoreOptions,
+  CollectionSchema,
+  CollectionStorage,
+  CollectionOperation,
+  CollectionQuery,
+  KeyRange,
+  RecordChange,
+} from './storage';
+export { exposeStore, connectStore } from './bridge';
+export { AccessError, ValidationError, QuotaError, ConnectionError } from './errors';
+export type { StoreErrorEvent, StoreOperation } from './errors';
+export { withEncryption } from './encryption';
+export type { EncryptionOptions, EncryptionKey } from './encryption';
+export type { StoreHistory, HistoryOptions, HistoryFilter, HistoryChange } from './history';
+export type { LeaderCallback } from './leader';
+export type { InspectEvent, InspectListener, InspectOrigin } from './inspect';
+export { PROTOCOL_VERSION } from './protocol';
+export type {
+  ChangeMeta,
+  ChangeEventDetail,
+  ErrorEventDetail,
+  RequestEventDetail,
+  ResponseEventDetail,
+} from './protocol';
+export type {
+  SyncOptions,
+  SyncTransport,
+  SyncEntry,
+  SyncVersion,
+  RemoteChange,
+  PushResult,
+  PullResult,
+  ConflictResolver,
+  StoreSync,
+} from './sync';
+export type { KeyPermission, ExposeStoreOptions, ConnectStoreOptions } from './bridge';
@@ -0,0 +1,138 @@
+/**
+ * Inspection for mfe-store
+ * Event stream of every change to a store, and the page-wide list of stores for devtools
+ */
+
+import type { Store, Unsubscribe } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/** Where a change came from - this store, or another tab (or the host, over the bridge) */
+export type InspectOrigin = 'local' | 'broadcast';
+
+export interface InspectEvent<T extends Record<string, unknown>> {
+  type: 'set' | 'delete' | 'expire' | 'clear';
+  /** Changed key - undefined for `clear` */
+  key?: keyof T;
+  value?: T[keyof T];
+  oldValue?: T[keyof T];
+  origin: InspectOrigin;
+  /** Epoch milliseconds of the change */
+  timestamp: number;
+  /** Call stack of a local write - only captured while someone is inspecting */
+  stack?: string;
+}
+
+export type InspectListener<T extends Record<string, unknown>> = (event: InspectEvent<T>) => void;
+
+export interface RegisteredStore {
+  /** `${dbName}/${storeName}` of the store */
+  name: string;
+  store: Store<Record<string, unknown>>;
+  /** Whether `key` is derived, and so can't be written - missing for stores from older versions */
+  isDerived?: (key: string) => boolean;
+}
+
+interface Registry {
+  stores: Set<RegisteredStore>;
+  listeners: Set<() => void>;
+}
+
+// ============================================================================
+// Inspector
+// ============================================================================
+
+/**
+ * Run a listener, rethrowing its error on a later task - so it still reaches the console
+ * and error handlers, but neither fails the operation that called it nor skips other listeners
+ */
+export const runSafely = (fn: () => void): void => {
+  try {
+    fn();
+  } catch (error) {
+    setTimeout(() => {
+      throw error;
+    });
+  }
+};
+
+/**
+ * Event source behind `store.inspect`. Events are only built while someone listens,
+ * so an uninspected store pays nothing for stacks.
+ */
+export const createInspector = <T extends Record<string, unknown>>() => {
+  const listeners = new Set<InspectListener<T>>();
+
+  return {
+    inspect: (listener: InspectListener<T>): Unsubscribe => {
+      listeners.add(listener);
+      return () => {
+        listeners.delete(listener);
+      };
+    },
+    /** Current call stack, taken where a public operation starts (before any await) */
+    captureStack: (): string | undefined => {
+      if (listeners.size === 0) return undefined;
+      return new Error().stack?.split('\n').slice(2).join('\n');
+    },
+    emit: (event: Omit<InspectEvent<T>, 'timestamp'>): void => {
+      if (listeners.size === 0) return;
+      const inspected = { ...event, timestamp: Date.now() } as InspectEvent<T>;
+      listeners.forEach((listener) => runSafely(() => listener(inspected)));
+    },
+  };
+};
+
+// ============================================================================
+// Page registry
+// ============================================================================
+
+// Shared through the window, so stores from separately bundled micro frontends all show up
+const REGISTRY_KEY = Symbol.for('mfe-store.registry');
+
+const getRegistry = (): Registry | null => {
+  if (typeof window === 'undefined') return null;
+  const global = window as unknown as Record<symbol, Registry | undefined>;
+  global[REGISTRY_KEY] ??= { stores: new Set(), listeners: new Set() };
+  return global[REGISTRY_KEY]!;
+};
+
+const notifyRegistry = (registry: Registry): void => {
+  registry.listeners.forEach((listener) => runSafely(listener));
+};
+
+/** Add a store to the page registry until the returned function is called */
+export const registerStore = (
+  name: string,
+  store: RegisteredStore['store'],
+  isDerived?: RegisteredStore['isDerived']
+): Unsubscribe => {
+  const registry = getRegistry();
+  if (!registry) return () => {};
+
+  const entry: RegisteredStore = { name, store, isDerived };
+  registry.stores.add(entry);
+  notifyRegistry(registry);
+
+  return () => {
+    if (registry.stores.delete(entry)) {
+      notifyRegistry(registry);
+    }
+  };
+};
+
+/** Every store created on this page that hasn't been destroyed */
+export const listStores = (): RegisteredStore[] => Array.from(getRegistry()?.stores ?? []);
+
+/** Called whenever a store is created or destroyed */
+export const subscribeToStores = (listener: () => void): Unsubscribe => {
+  const registry = getRegistry();
+  if (!registry) return () => {};
+
+  registry.listeners.add(listener);
+  return () => {
+    registry.listeners.delete(listener);
+  };
+};
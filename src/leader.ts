@@ -0,0 +1,208 @@
+/**
+ * Leader election for mfe-store
+ * Picks one tab per channel to run singleton work such as polling
+ */
+
+import type { Unsubscribe } from './store';
+import { runSafely } from './inspect';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Runs when this tab becomes the leader. `signal` aborts when leadership is lost,
+ * the callback is unsubscribed or the store is destroyed.
+ */
+export type LeaderCallback = (signal: AbortSignal) => void;
+
+export interface LeaderElection {
+  /** Campaign for leadership while at least one callback is registered */
+  onLeader: (callback: LeaderCallback) => Unsubscribe;
+  isLeader: () => boolean;
+  destroy: () => void;
+}
+
+type HeartbeatMessage = { type: 'heartbeat' | 'claim' | 'query' | 'resign'; id: string };
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+// The leader announces itself this often, and is replaced after LEADER_TIMEOUT of silence
+const HEARTBEAT_INTERVAL = 1000;
+const LEADER_TIMEOUT = 3000;
+// How long a claim waits for objections from the leader or a lower-id claimant
+const CLAIM_WINDOW = 250;
+
+const hasWebLocks = (): boolean => typeof navigator !== 'undefined' && !!navigator.locks;
+
+// ============================================================================
+// Election
+// ============================================================================
+
+/**
+ * Elect one leader among every tab using the same `name`. Uses Web Locks where available:
+ * the leader holds a lock that the browser releases when the tab closes. Otherwise tabs
+ * exchange heartbeats over a BroadcastChannel and the lowest id wins a contested claim.
+ */
+export const createLeaderElection = (name: string): LeaderElection => {
+  const lockName = `mfe-store:leader:${name}`;
+  // Registered callbacks and the controller of their current leadership run
+  const callbacks = new Map<LeaderCallback, AbortController | null>();
+  let leader = false;
+  let resign: (() => void) | null = null;
+
+  const start = (callback: LeaderCallback): void => {
+    const controller = new AbortController();
+    callbacks.set(callback, controller);
+    // Report callback errors without breaking the election
+    runSafely(() => callback(controller.signal));
+  };
+
+  const becomeLeader = (): void => {
+    leader = true;
+    callbacks.forEach((_, callback) => start(callback));
+  };
+
+  const loseLeadership = (): void => {
+    leader = false;
+    callbacks.forEach((controller, callback) => {
+      controller?.abort();
+      callbacks.set(callback, null);
+    });
+  };
+
+  // Hold the lock until resigning - waiting tabs queue for it
+  const campaignWithLocks = (): (() => void) => {
+    const pending = new AbortController();
+    let release = (): void => {};
+
+    navigator.locks
+      .request(
+        lockName,
+        { signal: pending.signal },
+        () =>
+          new Promise<void>((resolve) => {
+            release = resolve;
+            becomeLeader();
+          })
+      )
+      // Aborted while still waiting for the lock
+      .catch(() => undefined);
+
+    return () => {
+      pending.abort();
+      release();
+    };
+  };
+
+  const campaignWithHeartbeat = (): (() => void) => {
+    const id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    const channel = new BroadcastChannel(lockName);
+    let lastHeartbeat = 0;
+    let claim: ReturnType<typeof setTimeout> | undefined;
+
+    const send = (type: HeartbeatMessage['type']): void => {
+      channel.postMessage({ type, id } as HeartbeatMessage);
+    };
+
+    const cancelClaim = (): void => {
+      clearTimeout(claim);
+      claim = undefined;
+    };
+
+    const check = (): void => {
+      if (leader) {
+        send('heartbeat');
+      } else if (claim === undefined && Date.now() - lastHeartbeat >= LEADER_TIMEOUT) {
+        send('claim');
+        claim = setTimeout(() => {
+          claim = undefined;
+          becomeLeader();
+          send('heartbeat');
+        }, CLAIM_WINDOW);
+      }
+    };
+
+    channel.onmessage = ({ data }: MessageEvent<HeartbeatMessage>) => {
+      if (data.id === id) return;
+
+      if (data.type === 'heartbeat') {
+        lastHeartbeat = Date.now();
+        cancelClaim();
+        // Two leaders after a partition - the lower id keeps the job
+        if (leader && data.id < id) {
+          loseLeadership();
+        }
+      } else if (data.type === 'query' || data.type === 'claim') {
+        if (leader) {
+          send('heartbeat');
+        } else if (data.type === 'claim' && claim !== undefined && data.id < id) {
+          cancelClaim();
+          lastHeartbeat = Date.now();
+        }
+      } else if (data.type === 'resign') {
+        lastHeartbeat = 0;
+        check();
+      }
+    };
+
+    // Let the others take over straight away instead of waiting for the timeout
+    const onPageHide = (): void => {
+      if (leader) send('resign');
+    };
+    window.addEventListener('pagehide', onPageHide);
+
+    const interval = setInterval(check, HEARTBEAT_INTERVAL);
+    // Ask for the current leader, and claim if nobody answers
+    send('query');
+    const firstCheck = setTimeout(check, CLAIM_WINDOW);
+
+    return () => {
+      clearInterval(interval);
+      clearTimeout(firstCheck);
+      cancelClaim();
+      window.removeEventListener('pagehide', onPageHide);
+      onPageHide();
+      channel.close();
+    };
+  };
+
+  const campaign = (): void => {
+    if (resign) return;
+    resign = hasWebLocks() ? campaignWithLocks() : campaignWithHeartbeat();
+  };
+
+  const stopCampaign = (): void => {
+    resign?.();
+    resign = null;
+    loseLeadership();
+  };
+
+  return {
+    onLeader: (callback) => {
+      callbacks.set(callback, null);
+      if (leader) {
+        start(callback);
+      } else {
+        campaign();
+      }
+
+      return () => {
+        if (!callbacks.has(callback)) return;
+        callbacks.get(callback)?.abort();
+        callbacks.delete(callback);
+        // Nothing left to do as leader - let another tab take over
+        if (callbacks.size === 0) {
+          stopCampaign();
+        }
+      };
+    },
+    isLeader: () => leader,
+    destroy: () => {
+      stopCampaign();
+      callbacks.clear();
+    },
+  };
+};
@@ -0,0 +1,74 @@
+/**
+ * Listener helpers for mfe-store
+ * Key patterns and selector subscriptions, shared by stores, scopes and the bridge
+ */
+
+import type { Listener } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/** Key pattern made by `keyPattern`, where `*` matches any run of characters */
+export interface KeyPattern {
+  readonly pattern: string;
+}
+
+/** Listener for several keys - receives which key changed */
+export type ChangeListener<T extends Record<string, unknown>> = (
+  value: T[keyof T] | undefined,
+  oldValue: T[keyof T] | undefined,
+  key: keyof T
+) => void;
+
+export interface SubscribeOptions<V, S> {
+  /** Derive the slice the listener receives - it only fires when the slice changes */
+  selector?: (value: V | undefined) => S;
+  /** Compare the previous and next slice (default: Object.is) */
+  equals?: (a: S, b: S) => boolean;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Match every key like `pattern`, e.g. `keyPattern('cart.*')`. Patterns are asked for
+ * explicitly, so a plain key containing `*` is still just that key.
+ */
+export const keyPattern = (pattern: string): KeyPattern => ({ pattern });
+
+export const isPattern = (key: unknown): key is KeyPattern =>
+  typeof key === 'object' && key !== null && typeof (key as KeyPattern).pattern === 'string';
+
+/** Test keys against a pattern - every other character matches literally */
+export const createKeyMatcher = (pattern: string): ((key: PropertyKey) => boolean) => {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  const regex = new RegExp(`^${source}$`);
+  return (key) => typeof key === 'string' && regex.test(key);
+};
+
+/**
+ * Wrap a listener so it receives the selected slice, and only when that slice changes.
+ * The first change is compared against the slice of its old value.
+ */
+export const withSelector = <V, S>(
+  listener: Listener<S>,
+  { selector = (value) => value as unknown as S, equals = Object.is }: SubscribeOptions<V, S>
+): Listener<V | undefined> => {
+  let initialized = false;
+  let last: S;
+
+  return (value, oldValue) => {
+    const previous = initialized ? last : selector(oldValue);
+    const next = selector(value);
+    initialized = true;
+    last = next;
+    if (!equals(previous, next)) {
+      listener(next, previous);
+    }
+  };
+};
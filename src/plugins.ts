@@ -0,0 +1,100 @@
+/**
+ * Plugin pipeline for mfe-store
+ * Middleware that wraps store operations, e.g. for logging, metrics or devtools
+ */
+
+import type { BroadcastMessage, SetOptions, Store } from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Wraps one operation. Call `next()` to continue down the chain - skip it to block the
+ * operation, or throw to reject it. Whatever `next()` resolves to can be changed before returning.
+ */
+export type Middleware<C, R> = (context: C, next: () => Promise<R>) => R | Promise<R>;
+
+export interface GetContext<T extends Record<string, unknown>> {
+  readonly key: keyof T;
+}
+
+export interface SetContext<T extends Record<string, unknown>> {
+  readonly key: keyof T;
+  /** Value about to be written - replace it to store something else */
+  value: T[keyof T];
+  options?: SetOptions;
+}
+
+export interface DeleteContext<T extends Record<string, unknown>> {
+  readonly key: keyof T;
+}
+
+export type ClearContext = Record<string, never>;
+
+export interface MessageContext<T extends Record<string, unknown>> {
+  /** Message received from another tab - replace it to apply something else */
+  message: BroadcastMessage<T>;
+}
+
+export interface StorePlugin<T extends Record<string, unknown> = Record<string, unknown>> {
+  /** Identifies the plugin in errors and devtools */
+  name: string;
+  /** Called once with the created store - return a function to clean up on destroy */
+  setup?: (store: Store<T>) => void | (() => void);
+  get?: Middleware<GetContext<T>, T[keyof T] | undefined>;
+  set?: Middleware<SetContext<T>, void>;
+  delete?: Middleware<DeleteContext<T>, void>;
+  clear?: Middleware<ClearContext, void>;
+  /** Messages from other tabs, before they reach the cache and subscribers */
+  message?: Middleware<MessageContext<T>, void>;
+}
+
+interface HookTypes<T extends Record<string, unknown>> {
+  get: [GetContext<T>, T[keyof T] | undefined];
+  set: [SetContext<T>, void];
+  delete: [DeleteContext<T>, void];
+  clear: [ClearContext, void];
+  message: [MessageContext<T>, void];
+}
+
+export type PluginHook = keyof HookTypes<Record<string, unknown>>;
+
+// ============================================================================
+// Pipeline
+// ============================================================================
+
+/**
+ * Build a runner that passes an operation through every plugin's middleware in registration
+ * order (the first plugin is outermost) before calling `core` with the resulting context
+ */
+export const createPipeline = <T extends Record<string, unknown>>(plugins: StorePlugin<T>[]) => {
+  return <H extends PluginHook>(
+    hook: H,
+    context: HookTypes<T>[H][0],
+    core: (context: HookTypes<T>[H][0]) => Promise<HookTypes<T>[H][1]>
+  ): Promise<HookTypes<T>[H][1]> => {
+    type Result = HookTypes<T>[H][1];
+    const chain = plugins.filter((plugin) => plugin[hook]);
+
+    const dispatch = async (index: number): Promise<Result> => {
+      if (index === chain.length) {
+        return core(context);
+      }
+
+      const { name } = chain[index];
+      const middleware = chain[index][hook] as unknown as Middleware<typeof context, Result>;
+      let called = false;
+
+      return middleware(context, () => {
+        if (called) {
+          return Promise.reject(new Error(`Plugin "${name}" called next() more than once`));
+        }
+        called = true;
+        return dispatch(index + 1);
+      });
+    };
+
+    return dispatch(0);
+  };
+};
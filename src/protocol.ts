@@ -0,0 +1,107 @@
+/**
+ * Cross-bundle event protocol for mfe-store
+ * CustomEvents on `window` that let code without a store - built against another version,
+ * or with no bundle at all - read, write and watch a store by channel name.
+ * Has no imports, so the client stays tiny.
+ */
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/** Bumped on incompatible changes - stores answer requests for versions they understand */
+export const PROTOCOL_VERSION = 1;
+
+export interface ChangeMeta {
+  /** 'local' when this page made the change, 'broadcast' when it came from another tab */
+  origin: 'local' | 'broadcast';
+  /** Id of the tab that made the change */
+  tab: string;
+  /** Epoch milliseconds when this page applied the change */
+  timestamp: number;
+  /** Revision of the key after the change, when known */
+  revision?: number;
+}
+
+/**
+ * Detail of `store:<channel>:<key>` and `store:<channel>` events. Stores before the protocol
+ * only sent `value` and `oldValue`, so check `protocol` before relying on the rest.
+ */
+export interface ChangeEventDetail {
+  protocol: number;
+  type: 'change';
+  key: string;
+  value: unknown;
+  oldValue: unknown;
+  meta: ChangeMeta;
+}
+
+/** Detail of `store-request:<channel>` events - dispatch them with `cancelable: true` */
+export type RequestEventDetail =
+  | { protocol: number; type: 'get'; id: string; key: string }
+  | { protocol: number; type: 'set'; id: string; key: string; value: unknown }
+  | { protocol: number; type: 'delete'; id: string; key: string };
+
+/** Detail of `store-response:<channel>` events, matched to requests by `id` */
+export interface ResponseEventDetail {
+  protocol: number;
+  type: 'response';
+  id: string;
+  ok: boolean;
+  /** Value read by a get */
+  value?: unknown;
+  /** Revision of the key after the request */
+  revision?: number;
+  error?: { name: string; message: string };
+}
+
+/** Detail of `store-error:<channel>` events, sent when an operation on a store fails */
+export interface ErrorEventDetail {
+  protocol: number;
+  type: 'error';
+  /** Operation that failed, e.g. 'set' or 'expire' */
+  operation: string;
+  key?: string;
+  error: { name: string; message: string };
+  meta: Pick<ChangeMeta, 'tab' | 'timestamp'>;
+}
+
+// ============================================================================
+// Event names
+// ============================================================================
+
+// Encoded so a channel name never contains `:` - otherwise channel `a:b` would dispatch the
+// events of key `b` on channel `a`. Names of letters, digits, `-`, `_` and `.` are unchanged.
+const channel = (channelName: string): string => encodeURIComponent(channelName);
+
+export const changeEventName = (channelName: string, key: string): string =>
+  `store:${channel(channelName)}:${key}`;
+
+export const channelEventName = (channelName: string): string => `store:${channel(channelName)}`;
+
+export const requestEventName = (channelName: string): string =>
+  `store-request:${channel(channelName)}`;
+
+export const responseEventName = (channelName: string): string =>
+  `store-response:${channel(channelName)}`;
+
+export const errorEventName = (channelName: string): string =>
+  `store-error:${channel(channelName)}`;
+
+// ============================================================================
+// Tab id
+// ============================================================================
+
+// Shared through the window, so every bundle on the page reports the same tab
+const TAB_KEY = Symbol.for('mfe-store.tab');
+
+export const createId = (): string =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/** Id of this page, the same for every store and bundle in it */
+export const getTabId = (): string => {
+  if (typeof window === 'undefined') return 'server';
+  const global = window as unknown as Record<symbol, string | undefined>;
+  global[TAB_KEY] ??= createId();
+  return global[TAB_KEY]!;
+};
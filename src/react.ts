@@ -3,43 +3,191 @@
  * Optional - only import if using React
  */
 
-import { useEffect, useState, useCallback, useRef, useSyncExternalStore } from 'react';
-import type { Store } from './store';
+import {
+  createContext,
+  createElement,
+  useCallback,
+  useContext,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from 'react';
+import type { ReactNode } from 'react';
+import type { Store, StoreSnapshot } from './store';
+import type { HistoryFilter } from './history';
 
 // ============================================================================
 // Types
 // ============================================================================
 
 export interface UseStoreOptions {
-  /** If true, suspends while loading initial value */
+  /**
+   * Suspend while the initial value loads, instead of reporting `loading`.
+   * A failed load is thrown to the nearest error boundary.
+   */
   suspense?: boolean;
 }
 
+/** `[value, set, loading, error]` - `error` is the last failed load or write */
+export type UseStoreValueResult<V> = [
+  V | undefined,
+  (value: V) => Promise<void>,
+  boolean,
+  Error | undefined,
+];
+
+/** `[values, loading, error]` */
+export type UseStoreAllResult<T extends Record<string, unknown>> = [
+  Partial<T>,
+  boolean,
+  Error | undefined,
+];
+
+export interface StoreProviderProps<T extends Record<string, unknown>> {
+  store: Store<T>;
+  children?: ReactNode;
+}
+
+export interface UseHistoryResult {
+  undo: () => Promise<boolean>;
+  redo: () => Promise<boolean>;
+  canUndo: boolean;
+  canRedo: boolean;
+}
+
+export interface StoreHooksOptions<T extends Record<string, unknown>> {
+  /** Snapshot rendered on the server, so the first client render matches the HTML */
+  serverSnapshot?: StoreSnapshot<T>;
+}
+
+// ============================================================================
+// Suspense
+// ============================================================================
+
+interface Resource {
+  status: 'pending' | 'error';
+  promise: Promise<void>;
+  error?: Error;
+}
+
+// Loads in flight per store, so components suspended on the same key share one read
+const resources = new WeakMap<object, Map<PropertyKey, Resource>>();
+
+// Stands for the whole store, loaded with ready()
+const ALL = Symbol('all');
+
+/**
+ * Throw the pending load for React to wait on, or its error for an error boundary.
+ * A loaded value is cached in the store, so the resource is dropped as soon as it succeeds.
+ */
+const suspendUntilLoaded = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  id: PropertyKey,
+  load: () => Promise<unknown>
+): void => {
+  const cache = resources.get(store) ?? new Map<PropertyKey, Resource>();
+  resources.set(store, cache);
+
+  let resource = cache.get(id);
+  if (!resource) {
+    const created: Resource = {
+      status: 'pending',
+      promise: load().then(
+        () => {
+          cache.delete(id);
+        },
+        (error) => {
+          created.status = 'error';
+          created.error = error as Error;
+        }
+      ),
+    };
+    cache.set(id, created);
+    resource = created;
+  }
+
+  if (resource.status === 'pending') {
+    throw resource.promise;
+  }
+  // Thrown once, so the render after the error boundary resets loads again
+  cache.delete(id);
+  throw resource.error;
+};
+
+// ============================================================================
+// Context
+// ============================================================================
+
+const StoreContext = createContext<Store<Record<string, unknown>> | null>(null);
+
+/**
+ * Make a store available to `useStore` in every component below
+ */
+export const StoreProvider = <T extends Record<string, unknown>>({
+  store,
+  children,
+}: StoreProviderProps<T>) =>
+  createElement(
+    StoreContext.Provider,
+    { value: store as unknown as Store<Record<string, unknown>> },
+    children
+  );
+
+/**
+ * The store from the nearest `StoreProvider`
+ */
+export const useStore = <T extends Record<string, unknown>>(): Store<T> => {
+  const store = useContext(StoreContext);
+  if (!store) {
+    throw new Error('useStore must be used inside a StoreProvider');
+  }
+  return store as unknown as Store<T>;
+};
+
 // ============================================================================
 // Hooks
 // ============================================================================
 
 /**
- * React hook to subscribe to a single key in the store
+ * React hook to subscribe to a single key in the store.
+ * Renders the cached value straight away when the store is ready.
+ * Failed loads and rejected writes are reported as `error`; the setter still rejects.
  */
 export const useStoreValue = <T extends Record<string, unknown>, K extends keyof T>(
   store: Store<T>,
   key: K,
-  initialValue?: T[K]
-): [T[K] | undefined, (value: T[K]) => Promise<void>, boolean] => {
-  const [value, setValue] = useState<T[K] | undefined>(initialValue);
-  const [loading, setLoading] = useState(true);
+  initialValue?: T[K],
+  options: UseStoreOptions = {}
+): UseStoreValueResult<T[K]> => {
+  // `ready` rather than `get`: a connected store only counts watched keys as loaded
+  if (options.suspense && !store.isReady(key)) {
+    suspendUntilLoaded(store, key, () => store.ready([key]));
+  }
+
+  const [value, setValue] = useState<T[K] | undefined>(() => store.peek(key) ?? initialValue);
+  const [loading, setLoading] = useState(() => !store.isReady(key));
+  const [error, setError] = useState<Error | undefined>(undefined);
 
   // Load initial value from store
   useEffect(() => {
     let mounted = true;
 
-    store.get(key).then((storedValue) => {
-      if (mounted) {
-        setValue(storedValue);
-        setLoading(false);
+    store.get(key).then(
+      (storedValue) => {
+        if (mounted) {
+          setValue(storedValue);
+          setError(undefined);
+          setLoading(false);
+        }
+      },
+      (loadError) => {
+        if (mounted) {
+          setError(loadError as Error);
+          setLoading(false);
+        }
       }
-    });
+    );
 
     return () => {
       mounted = false;
@@ -58,84 +206,185 @@ export const useStoreValue = <T extends Record<string, unknown>, K extends keyof
   // Setter function
   const setStoreValue = useCallback(
     async (newValue: T[K]) => {
-      await store.set(key, newValue);
+      try {
+        await store.set(key, newValue);
+        setError(undefined);
+      } catch (writeError) {
+        setError(writeError as Error);
+        throw writeError;
+      }
     },
     [store, key]
   );
 
-  return [value, setStoreValue, loading];
+  return [value, setStoreValue, loading, error];
 };
 
 /**
- * React hook using useSyncExternalStore for concurrent-safe subscriptions
+ * React hook using useSyncExternalStore for concurrent-safe subscriptions.
+ * Pass the snapshot the server rendered with to avoid a hydration mismatch.
+ * A failed load is thrown to the nearest error boundary.
  */
 export const useStoreValueSync = <T extends Record<string, unknown>, K extends keyof T>(
   store: Store<T>,
   key: K,
-  initialValue?: T[K]
+  initialValue?: T[K],
+  serverSnapshot?: StoreSnapshot<T>
 ): T[K] | undefined => {
-  const cache = useRef<T[K] | undefined>(initialValue);
-
-  // Initialize from store (async, but we use cache for sync access)
-  useEffect(() => {
-    store.get(key).then((value) => {
-      cache.current = value;
-    });
-  }, [store, key]);
+  const serverValue = (serverSnapshot?.values[key] as T[K] | undefined) ?? initialValue;
+  // Kept stable so an inline initialValue doesn't produce a new snapshot every render
+  const fallback = useRef<T[K] | undefined>(initialValue);
+  const [loadError, setLoadError] = useState<Error | undefined>(undefined);
 
   const subscribe = useCallback(
     (onStoreChange: () => void) => {
-      return store.subscribe(key, (newValue) => {
-        cache.current = newValue;
-        onStoreChange();
-      });
+      let subscribed = true;
+      const unsubscribe = store.subscribe(key, onStoreChange);
+      // Load the key if it isn't cached yet - peek picks it up afterwards
+      if (!store.isReady(key)) {
+        store.get(key).then(
+          () => onStoreChange(),
+          // A load for a key the component has since moved on from is no longer its error
+          (error) => subscribed && setLoadError(error as Error)
+        );
+      }
+      return () => {
+        subscribed = false;
+        unsubscribe();
+      };
     },
     [store, key]
   );
 
-  const getSnapshot = useCallback(() => cache.current, []);
+  const getSnapshot = useCallback(() => store.peek(key) ?? fallback.current, [store, key]);
+  const getServerSnapshot = useCallback(() => serverValue, [serverValue]);
 
-  return useSyncExternalStore(subscribe, getSnapshot, getSnapshot);
+  const value = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  if (loadError) {
+    throw loadError;
+  }
+  return value;
 };
 
 /**
- * React hook to get all values from the store
+ * React hook to get all values from the store, kept current as any key changes
  */
 export const useStoreAll = <T extends Record<string, unknown>>(
-  store: Store<T>
-): [Partial<T>, boolean] => {
-  const [values, setValues] = useState<Partial<T>>({});
-  const [loading, setLoading] = useState(true);
+  store: Store<T>,
+  options: UseStoreOptions = {}
+): UseStoreAllResult<T> => {
+  if (options.suspense && !store.isReady()) {
+    suspendUntilLoaded(store, ALL, () => store.ready());
+  }
+
+  const [values, setValues] = useState<Partial<T>>(() =>
+    store.isReady() ? store.getSnapshot() : {}
+  );
+  const [loading, setLoading] = useState(() => !store.isReady());
+  const [error, setError] = useState<Error | undefined>(undefined);
 
   useEffect(() => {
     let mounted = true;
 
-    store.getAll().then((all) => {
-      if (mounted) {
-        setValues(all);
-        setLoading(false);
-      }
+    // Subscribed first, so nothing written while loading is missed
+    const unsubscribe = store.subscribeAll((value, _oldValue, key) => {
+      setValues((previous) => {
+        const next = { ...previous };
+        if (value === undefined) {
+          delete next[key];
+        } else {
+          next[key] = value;
+        }
+        return next;
+      });
     });
 
+    store.getAll().then(
+      (all) => {
+        if (mounted) {
+          setValues(all);
+          setError(undefined);
+          setLoading(false);
+        }
+      },
+      (loadError) => {
+        if (mounted) {
+          setError(loadError as Error);
+          setLoading(false);
+        }
+      }
+    );
+
     return () => {
       mounted = false;
+      unsubscribe();
     };
   }, [store]);
 
-  return [values, loading];
+  return [values, loading, error];
+};
+
+/**
+ * React hook for the store's undo/redo history, optionally limited to some keys.
+ * Re-renders when undo or redo become (un)available.
+ */
+export const useHistory = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter?: HistoryFilter<T>
+): UseHistoryResult => {
+  // Kept in a ref so an inline predicate doesn't resubscribe every render
+  const filterRef = useRef(filter);
+  filterRef.current = filter;
+
+  const subscribe = useCallback(
+    (onStoreChange: () => void) => store.history.subscribe(onStoreChange),
+    [store]
+  );
+
+  const canUndo = useSyncExternalStore(
+    subscribe,
+    () => store.history.canUndo(filterRef.current),
+    () => false
+  );
+  const canRedo = useSyncExternalStore(
+    subscribe,
+    () => store.history.canRedo(filterRef.current),
+    () => false
+  );
+
+  const undo = useCallback(() => store.history.undo(filterRef.current), [store]);
+  const redo = useCallback(() => store.history.redo(filterRef.current), [store]);
+
+  return { undo, redo, canUndo, canRedo };
 };
 
 /**
  * Factory to create typed hooks for a specific store
  */
-export const createStoreHooks = <T extends Record<string, unknown>>(store: Store<T>) => {
-  const useValue = <K extends keyof T>(key: K, initialValue?: T[K]) =>
-    useStoreValue(store, key, initialValue);
+export const createStoreHooks = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  options: StoreHooksOptions<T> = {}
+) => {
+  const { serverSnapshot } = options;
+
+  const useValue = <K extends keyof T>(
+    key: K,
+    initialValue?: T[K],
+    hookOptions?: UseStoreOptions
+  ) =>
+    useStoreValue(
+      store,
+      key,
+      initialValue ?? (serverSnapshot?.values[key] as T[K] | undefined),
+      hookOptions
+    );
 
   const useValueSync = <K extends keyof T>(key: K, initialValue?: T[K]) =>
-    useStoreValueSync(store, key, initialValue);
+    useStoreValueSync(store, key, initialValue, serverSnapshot);
+
+  const useAll = (hookOptions?: UseStoreOptions) => useStoreAll(store, hookOptions);
 
-  const useAll = () => useStoreAll(store);
+  const useStoreHistory = (filter?: HistoryFilter<T>) => useHistory(store, filter);
 
-  return { useValue, useValueSync, useAll };
+  return { useValue, useValueSync, useAll, useHistory: useStoreHistory };
 };
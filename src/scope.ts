@@ -0,0 +1,391 @@
+/**
+ * Scoped store views
+ * Gives each micro frontend its own key namespace on top of a shared store
+ */
+
+import { AccessError } from './errors';
+import type { StoreErrorEvent } from './errors';
+import type { HistoryFilter, StoreHistory } from './history';
+import type { InspectEvent } from './inspect';
+import { createKeyMatcher, isPattern } from './listeners';
+import type { ChangeListener, KeyPattern, SubscribeOptions } from './listeners';
+import { assertSnapshot, matchesFilter } from './snapshot';
+import type {
+  Listener,
+  Store,
+  StoreSnapshot,
+  StoreTransaction,
+  Subscribe,
+  Unsubscribe,
+} from './store';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Shared keys and the scope (or scopes) allowed to write them.
+ * Shared keys keep their name in every scope; all other keys are namespaced per scope.
+ */
+export type Ownership<T extends Record<string, unknown>> = { [K in keyof T]?: string | string[] };
+
+const SCOPE_SEPARATOR = ':';
+
+// ============================================================================
+// Scoped view
+// ============================================================================
+
+/**
+ * View of `root` where keys are prefixed with `scope:` - except shared keys listed in
+ * `ownership`, which only their owners may write. `clear` only removes the namespace.
+ */
+export const createScopedStore = <
+  T extends Record<string, unknown>,
+  S extends Record<string, unknown> = Record<string, unknown>,
+>(
+  root: Store<T>,
+  scope: string,
+  ownership: Ownership<T> = {}
+): Store<S> => {
+  const prefix = `${scope}${SCOPE_SEPARATOR}`;
+  // Subscriptions made through this view, removed by destroy()
+  const subscriptions = new Set<Unsubscribe>();
+  let rootSnapshot: Partial<T> | null = null;
+  let snapshot: Partial<S> = {};
+
+  const isShared = (key: PropertyKey): boolean =>
+    Object.prototype.hasOwnProperty.call(ownership, key);
+
+  const resolve = (key: keyof S): keyof T =>
+    (isShared(key) ? key : `${prefix}${String(key)}`) as keyof T;
+
+  const isWritable = (key: keyof S): boolean =>
+    !isShared(key) || ([] as string[]).concat(ownership[key as keyof T] ?? []).includes(scope);
+
+  const assertWritable = (key: keyof S): void => {
+    if (!isWritable(key)) {
+      throw new AccessError(
+        `Scope "${scope}" may not write shared key "${String(key)}"`,
+        String(key),
+        scope
+      );
+    }
+  };
+
+  // Name of a root key inside this view, or undefined if the view can't see it
+  const localKey = (key: string): string | undefined => {
+    if (isShared(key)) return key;
+    return key.startsWith(prefix) ? key.slice(prefix.length) : undefined;
+  };
+
+  // Shared keys plus this namespace's keys, without the prefix
+  const project = (values: Partial<T>): Partial<S> => {
+    const result: Record<string, unknown> = {};
+    Object.keys(values).forEach((key) => {
+      const local = localKey(key);
+      if (local !== undefined) {
+        result[local] = values[key];
+      }
+    });
+    return result as Partial<S>;
+  };
+
+  // Restrict the root history to keys this view may write; undoing a shared key it doesn't own
+  // would write that key, so those steps stay with the owner
+  const toRootFilter =
+    (filter?: HistoryFilter<S>) =>
+    (key: keyof T): boolean => {
+      const local = localKey(key as string);
+      if (local === undefined || !isWritable(local as keyof S)) return false;
+      if (filter === undefined) return true;
+      return typeof filter === 'function' ? filter(local as keyof S) : local === filter;
+    };
+
+  // Public API
+  const get = <K extends keyof S>(key: K): Promise<S[K] | undefined> =>
+    root.get(resolve(key)) as Promise<S[K] | undefined>;
+
+  const set: Store<S>['set'] = async (key, value, options) => {
+    assertWritable(key);
+    await root.set(resolve(key), value as unknown as T[keyof T], options);
+  };
+
+  const del: Store<S>['delete'] = async (key) => {
+    assertWritable(key);
+    await root.delete(resolve(key));
+  };
+
+  // Remove a root subscription along with the view
+  const track = (unsubscribe: Unsubscribe): Unsubscribe => {
+    subscriptions.add(unsubscribe);
+
+    return () => {
+      subscriptions.delete(unsubscribe);
+      unsubscribe();
+    };
+  };
+
+  // Every root change the view can see, under its local name
+  const subscribeMatching = (
+    match: (key: string) => boolean,
+    listener: ChangeListener<S>
+  ): Unsubscribe =>
+    track(
+      root.subscribeAll((value, oldValue, key) => {
+        const local = localKey(key as string);
+        if (local !== undefined && match(local)) {
+          listener(value as S[keyof S], oldValue as S[keyof S], local);
+        }
+      })
+    );
+
+  const subscribe = ((
+    key: keyof S | KeyPattern,
+    listener: Listener<unknown>,
+    subscribeOptions?: SubscribeOptions<unknown, unknown>
+  ): Unsubscribe => {
+    if (isPattern(key)) {
+      return subscribeMatching(createKeyMatcher(key.pattern), listener as ChangeListener<S>);
+    }
+    return track(
+      subscribeOptions
+        ? root.subscribe(
+            resolve(key),
+            listener,
+            subscribeOptions as SubscribeOptions<T[keyof T], unknown>
+          )
+        : root.subscribe(resolve(key), listener as Listener<T[keyof T]>)
+    );
+  }) as Subscribe<S>;
+
+  const subscribeAll = (listener: ChangeListener<S>): Unsubscribe =>
+    subscribeMatching(() => true, listener);
+
+  const getAll = async (): Promise<Partial<S>> => project(await root.getAll());
+
+  // Only the namespace is cleared - shared keys and other scopes are untouched
+  const clear = async (): Promise<void> => {
+    const keys = Object.keys(await root.getAll()).filter((key) => key.startsWith(prefix));
+    await root.transaction((tx) => {
+      keys.forEach((key) => tx.delete(key as keyof T));
+    });
+  };
+
+  const transaction = <R>(fn: (tx: StoreTransaction<S>) => R | Promise<R>): Promise<R> =>
+    root.transaction((tx) =>
+      fn({
+        get: (key) => tx.get(resolve(key)) as Promise<S[typeof key] | undefined>,
+        set: (key, value, options) => {
+          assertWritable(key);
+          tx.set(resolve(key), value as unknown as T[keyof T], options);
+        },
+        delete: (key) => {
+          assertWritable(key);
+          tx.delete(resolve(key));
+        },
+      })
+    );
+
+  const update: Store<S>['update'] = async (key, updater, options) => {
+    assertWritable(key);
+    return root.update(
+      resolve(key),
+      updater as unknown as Parameters<Store<T>['update']>[1],
+      options
+    ) as Promise<S[typeof key] | undefined>;
+  };
+
+  const ready = (keys?: Array<keyof S>): Promise<void> => root.ready(keys?.map(resolve));
+
+  const isReady = (key?: keyof S): boolean =>
+    root.isReady(key === undefined ? undefined : resolve(key));
+
+  const peek = <K extends keyof S>(key: K): S[K] | undefined =>
+    root.peek(resolve(key)) as S[K] | undefined;
+
+  const revision = (key: keyof S): number | undefined => root.revision(resolve(key));
+
+  // Derived from the root snapshot, so it keeps its identity while the root's does
+  const getSnapshot = (): Partial<S> => {
+    const current = root.getSnapshot();
+    if (current !== rootSnapshot) {
+      rootSnapshot = current;
+      snapshot = project(current);
+    }
+    return snapshot;
+  };
+
+  const dehydrate = async (): Promise<StoreSnapshot<S>> => ({ values: await getAll() });
+
+  // Shared keys the scope doesn't own are skipped and left to their owners
+  const hydrate = ({ values }: StoreSnapshot<S>): void => {
+    const resolved: Record<string, unknown> = {};
+    (Object.keys(values) as Array<keyof S>).forEach((key) => {
+      if (!isWritable(key)) return;
+      resolved[resolve(key) as string] = values[key];
+    });
+    root.hydrate({ values: resolved as Partial<T> });
+  };
+
+  const nested = <N extends Record<string, unknown> = Record<string, unknown>>(
+    name: string
+  ): Store<N> => createScopedStore<T, N>(root, `${prefix}${name}`, ownership);
+
+  const history: StoreHistory<S> = {
+    undo: (filter) => root.history.undo(toRootFilter(filter)),
+    redo: (filter) => root.history.redo(toRootFilter(filter)),
+    canUndo: (filter) => root.history.canUndo(toRootFilter(filter)),
+    canRedo: (filter) => root.history.canRedo(toRootFilter(filter)),
+    clear: (filter) => root.history.clear(toRootFilter(filter)),
+    subscribe: (listener) => track(root.history.subscribe(listener)),
+  };
+
+  const onLeader: Store<S>['onLeader'] = (callback) => track(root.onLeader(callback));
+
+  // Events for this view's keys, renamed; a root clear affects the view too
+  const inspect: Store<S>['inspect'] = (listener) =>
+    track(
+      root.inspect((event) => {
+        if (event.key === undefined) {
+          listener(event as unknown as InspectEvent<S>);
+          return;
+        }
+        const local = localKey(event.key as string);
+        if (local !== undefined) {
+          listener({ ...event, key: local } as unknown as InspectEvent<S>);
+        }
+      })
+    );
+
+  // Failures of operations on keys this view can see, plus ones not about a single key
+  const onError: Store<S>['onError'] = (listener) =>
+    track(
+      root.onError((event) => {
+        if (event.key === undefined) {
+          listener(event as unknown as StoreErrorEvent<keyof S>);
+          return;
+        }
+        const local = localKey(event.key as string);
+        if (local !== undefined) {
+          listener({ ...event, key: local as keyof S });
+        }
+      })
+    );
+
+  // Defined on the root under resolved names, and removed along with the view. A derived key
+  // is written by the store, so the scope has to own it - a shared key stays with its owner.
+  const derive: Store<S>['derive'] = (name, deps, compute, options) => {
+    assertWritable(name);
+    return track(
+      root.derive(
+        resolve(name),
+        deps.map(resolve),
+        compute as unknown as (...values: unknown[]) => T[keyof T] | undefined,
+        options
+      )
+    );
+  };
+
+  // Namespaced like keys; record subscriptions are removed along with the view
+  const collection: Store<S>['collection'] = (name, options) => {
+    const records = root.collection(`${prefix}${name}`, options);
+    return { ...records, subscribe: (listener) => track(records.subscribe(listener)) };
+  };
+
+  // Keys renamed from one side of the namespace to the other
+  const renameKeys = <V>(
+    record: Record<string, V>,
+    rename: (key: string) => string | undefined
+  ): Record<string, V> => {
+    const result: Record<string, V> = {};
+    Object.keys(record).forEach((key) => {
+      const renamed = rename(key);
+      if (renamed !== undefined) {
+        result[renamed] = record[key];
+      }
+    });
+    return result;
+  };
+
+  // Keys this view can see, under their local names
+  const exportSnapshot: Store<S>['exportSnapshot'] = async (options = {}) => {
+    const doc = await root.exportSnapshot({
+      ...options,
+      keys: (key) => {
+        const local = localKey(key as string);
+        return local !== undefined && matchesFilter(options.keys, local as keyof S);
+      },
+    });
+    return {
+      ...doc,
+      values: renameKeys(doc.values, localKey),
+      ...(doc.expiresAt && { expiresAt: renameKeys(doc.expiresAt, localKey) }),
+    };
+  };
+
+  // Replacing only deletes keys this view may write - shared keys of other owners are kept
+  const importSnapshot: Store<S>['importSnapshot'] = async (doc, options = {}) => {
+    assertSnapshot(doc);
+    const toRoot = (key: string): string => resolve(key) as string;
+    Object.keys(doc.values).forEach((key) => {
+      if (matchesFilter(options.keys, key)) {
+        assertWritable(key);
+      }
+    });
+    await root.importSnapshot(
+      {
+        ...doc,
+        values: renameKeys(doc.values, toRoot),
+        ...(doc.expiresAt && { expiresAt: renameKeys(doc.expiresAt, toRoot) }),
+      },
+      {
+        ...options,
+        keys: (key) => {
+          const local = localKey(key as string);
+          return (
+            local !== undefined && isWritable(local) && matchesFilter(options.keys, local)
+          );
+        },
+      }
+    );
+  };
+
+  // The root store stays open - only this view's subscriptions are removed
+  const destroy = (): void => {
+    subscriptions.forEach((unsubscribe) => unsubscribe());
+    subscriptions.clear();
+  };
+
+  return {
+    get,
+    set,
+    delete: del,
+    subscribe,
+    subscribeAll,
+    getAll,
+    clear,
+    transaction,
+    update,
+    ready,
+    isReady,
+    peek,
+    revision,
+    getSnapshot,
+    dehydrate,
+    hydrate,
+    scope: nested,
+    history,
+    onLeader,
+    isLeader: root.isLeader,
+    sync: root.sync,
+    inspect,
+    onError,
+    derive,
+    // Buffered writes belong to the root store
+    flush: root.flush,
+    collection,
+    exportSnapshot,
+    importSnapshot,
+    destroy,
+  };
+};
@@ -0,0 +1,261 @@
+/**
+ * Snapshot documents for mfe-store
+ * Versioned, JSON-safe copies of a store's values - for support captures, backups and test seeds
+ */
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export const SNAPSHOT_FORMAT = 'mfe-store-snapshot';
+export const SNAPSHOT_VERSION = 1;
+
+/**
+ * Store values as plain JSON. Values JSON would lose - dates, maps, sets, blobs, typed arrays
+ * and the like - are written as `{ "$type": "Date", "value": ... }` and restored on import.
+ */
+export interface SnapshotDocument {
+  format: typeof SNAPSHOT_FORMAT;
+  /** Version of the document format, not of the store's data */
+  version: number;
+  /** When the snapshot was taken, as an ISO timestamp */
+  exportedAt: string;
+  /** Store the snapshot was taken from - `schemaVersion` decides which migrations run on import */
+  source: { dbName: string; storeName: string; schemaVersion: number };
+  /** Encoded values by key */
+  values: Record<string, unknown>;
+  /** Epoch milliseconds when keys set with a ttl expire */
+  expiresAt?: Record<string, number>;
+}
+
+/** Keys to include - a list, or a function that accepts or rejects each key */
+export type SnapshotFilter<T extends Record<string, unknown>> =
+  | Array<keyof T>
+  | ((key: keyof T) => boolean);
+
+export interface ExportOptions<T extends Record<string, unknown>> {
+  /** Only export these keys (default: every key) */
+  keys?: SnapshotFilter<T>;
+  /** Export keys from the `encryption` option too - in plaintext (default: false) */
+  includeEncrypted?: boolean;
+}
+
+export interface ImportOptions<T extends Record<string, unknown>> {
+  /**
+   * `merge` writes the snapshot's values over the current ones; `replace` also deletes
+   * every key the snapshot doesn't have, except encrypted keys (default: 'merge')
+   */
+  mode?: 'merge' | 'replace';
+  /** Only import these keys - `replace` only deletes these keys too (default: every key) */
+  keys?: SnapshotFilter<T>;
+}
+
+const TYPE_TAG = '$type';
+
+type Tagged = { [TYPE_TAG]: string; value?: unknown } & Record<string, unknown>;
+
+// Typed arrays and DataView, by the tag they are written with
+const VIEWS: Record<string, new (buffer: ArrayBuffer) => ArrayBufferView> = {
+  Int8Array,
+  Uint8Array,
+  Uint8ClampedArray,
+  Int16Array,
+  Uint16Array,
+  Int32Array,
+  Uint32Array,
+  Float32Array,
+  Float64Array,
+  BigInt64Array,
+  BigUint64Array,
+  DataView,
+};
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+export const matchesFilter = <T extends Record<string, unknown>>(
+  filter: SnapshotFilter<T> | undefined,
+  key: keyof T
+): boolean => {
+  if (filter === undefined) return true;
+  return typeof filter === 'function' ? filter(key) : filter.includes(key);
+};
+
+// String.fromCharCode takes its bytes as arguments, so large buffers go in chunks
+const BASE64_CHUNK = 0x8000;
+
+const toBase64 = (view: ArrayBufferView | ArrayBuffer): string => {
+  const bytes = ArrayBuffer.isView(view)
+    ? new Uint8Array(view.buffer, view.byteOffset, view.byteLength)
+    : new Uint8Array(view);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text: string): ArrayBuffer =>
+  Uint8Array.from(atob(text), (char) => char.charCodeAt(0)).buffer as ArrayBuffer;
+
+const isTagged = (value: object): value is Tagged =>
+  Object.prototype.hasOwnProperty.call(value, TYPE_TAG);
+
+// ============================================================================
+// Encoding
+// ============================================================================
+
+/**
+ * Encode a value as JSON-safe data. Async because blobs are read to be embedded.
+ * Throws a TypeError for functions, symbols and values that contain themselves -
+ * an object reached twice through different properties is simply written twice.
+ */
+export const encodeValue = async (
+  value: unknown,
+  ancestors: ReadonlySet<object> = new Set()
+): Promise<unknown> => {
+  switch (typeof value) {
+    case 'undefined':
+      return { [TYPE_TAG]: 'undefined' };
+    case 'bigint':
+      return { [TYPE_TAG]: 'BigInt', value: value.toString() };
+    case 'number':
+      // NaN and the infinities become null in JSON, and -0 becomes 0
+      if (Number.isFinite(value) && !Object.is(value, -0)) return value;
+      return { [TYPE_TAG]: 'Number', value: Object.is(value, -0) ? '-0' : String(value) };
+    case 'function':
+    case 'symbol':
+      throw new TypeError(`A ${typeof value} can't be exported`);
+    case 'object':
+      break;
+    default:
+      return value;
+  }
+  if (value === null) return null;
+  if (ancestors.has(value)) {
+    throw new TypeError("A value that contains itself can't be exported");
+  }
+
+  // Each branch carries its own path, so siblings encoded side by side don't see each other
+  const path = new Set(ancestors).add(value);
+  const encode = (item: unknown): Promise<unknown> => encodeValue(item, path);
+
+  if (value instanceof Date) {
+    return { [TYPE_TAG]: 'Date', value: isNaN(value.getTime()) ? null : value.toISOString() };
+  }
+  if (value instanceof RegExp) {
+    return { [TYPE_TAG]: 'RegExp', value: { source: value.source, flags: value.flags } };
+  }
+  if (value instanceof Map) {
+    const entries = await Promise.all(
+      Array.from(value, async ([key, item]) => [await encode(key), await encode(item)])
+    );
+    return { [TYPE_TAG]: 'Map', value: entries };
+  }
+  if (value instanceof Set) {
+    return { [TYPE_TAG]: 'Set', value: await Promise.all(Array.from(value, encode)) };
+  }
+  if (value instanceof ArrayBuffer) {
+    return { [TYPE_TAG]: 'ArrayBuffer', value: toBase64(value) };
+  }
+  if (ArrayBuffer.isView(value)) {
+    const name = value.constructor.name;
+    if (!(name in VIEWS)) throw new TypeError(`A ${name} can't be exported`);
+    return { [TYPE_TAG]: name, value: toBase64(value) };
+  }
+  if (typeof Blob !== 'undefined' && value instanceof Blob) {
+    const data = toBase64(await value.arrayBuffer());
+    if (typeof File !== 'undefined' && value instanceof File) {
+      const { type, name, lastModified } = value;
+      return { [TYPE_TAG]: 'File', value: data, type, name, lastModified };
+    }
+    return { [TYPE_TAG]: 'Blob', value: data, type: value.type };
+  }
+  if (Array.isArray(value)) {
+    return Promise.all(Array.from(value, encode));
+  }
+
+  const entries = await Promise.all(
+    Object.entries(value).map(async ([key, item]) => [key, await encode(item)])
+  );
+  const encoded = Object.fromEntries(entries);
+  // An object of the store's own with a `$type` key isn't mistaken for a tag on import
+  return isTagged(value) ? { [TYPE_TAG]: 'Object', value: encoded } : encoded;
+};
+
+/** Restore a value written by `encodeValue` */
+export const decodeValue = (value: unknown): unknown => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (typeof value !== 'object' || value === null) return value;
+
+  const decodeEntries = (object: object): Record<string, unknown> =>
+    Object.fromEntries(Object.entries(object).map(([key, item]) => [key, decodeValue(item)]));
+  if (!isTagged(value)) return decodeEntries(value);
+
+  const tag = value[TYPE_TAG];
+  const data = value.value;
+  switch (tag) {
+    case 'undefined':
+      return undefined;
+    case 'Number':
+      return Number(data);
+    case 'BigInt':
+      return BigInt(data as string);
+    case 'Date':
+      return new Date((data as string | null) ?? NaN);
+    case 'RegExp': {
+      const { source, flags } = data as { source: string; flags: string };
+      return new RegExp(source, flags);
+    }
+    case 'Map':
+      return new Map(
+        (data as Array<[unknown, unknown]>).map(([key, item]) => [
+          decodeValue(key),
+          decodeValue(item),
+        ])
+      );
+    case 'Set':
+      return new Set((data as unknown[]).map(decodeValue));
+    case 'ArrayBuffer':
+      return fromBase64(data as string);
+    case 'Blob':
+      return new Blob([fromBase64(data as string)], { type: value.type as string });
+    case 'File':
+      return new File([fromBase64(data as string)], value.name as string, {
+        type: value.type as string,
+        lastModified: value.lastModified as number,
+      });
+    case 'Object':
+      return decodeEntries(data as object);
+    default: {
+      const View = VIEWS[tag];
+      if (!View) throw new TypeError(`Unknown type "${tag}" in snapshot`);
+      return new View(fromBase64(data as string));
+    }
+  }
+};
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/** Throw unless `doc` is a snapshot document this version can read */
+export const assertSnapshot = (doc: unknown): void => {
+  const candidate = doc as Partial<SnapshotDocument> | null;
+  if (
+    typeof candidate !== 'object' ||
+    candidate === null ||
+    candidate.format !== SNAPSHOT_FORMAT ||
+    typeof candidate.values !== 'object' ||
+    candidate.values === null
+  ) {
+    throw new TypeError('Not a store snapshot');
+  }
+  if (typeof candidate.version !== 'number' || candidate.version > SNAPSHOT_VERSION) {
+    throw new Error(
+      `Snapshot format version ${candidate.version} is newer than this store reads ` +
+        `(${SNAPSHOT_VERSION})`
+    );
+  }
+};
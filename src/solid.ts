@@ -0,0 +1,107 @@
+/**
+ * Solid bindings for mfe-store
+ * Optional - only import if using Solid
+ */
+
+import { createSignal, onCleanup } from 'solid-js';
+import type { Accessor } from 'solid-js';
+import type { Store } from './store';
+import type { HistoryFilter } from './history';
+import { createAllSource, createValueSource, readHistory, watchHistory } from './bindings';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface StoreHistoryResult {
+  undo: () => Promise<boolean>;
+  redo: () => Promise<boolean>;
+  canUndo: Accessor<boolean>;
+  canRedo: Accessor<boolean>;
+}
+
+// ============================================================================
+// Primitives
+// ============================================================================
+
+/**
+ * Signals for a single key, as `[value, set, loading, error]`. `set` rejects when a validator
+ * throws, and `error` holds the last failed load or write.
+ * Stops when the owning component or root is disposed.
+ */
+export const createStoreValue = <T extends Record<string, unknown>, K extends keyof T>(
+  store: Store<T>,
+  key: K,
+  initialValue?: T[K]
+): [
+  Accessor<T[K] | undefined>,
+  (value: T[K]) => Promise<void>,
+  Accessor<boolean>,
+  Accessor<Error | undefined>,
+] => {
+  const source = createValueSource(store, key, initialValue);
+  const initial = source.read();
+  const [value, setValue] = createSignal<T[K] | undefined>(initial.value);
+  const [loading, setLoading] = createSignal(initial.loading);
+  const [error, setError] = createSignal(initial.error);
+
+  onCleanup(
+    source.watch((state) => {
+      // Wrapped, since Solid treats a function as an updater
+      setValue(() => state.value);
+      setLoading(state.loading);
+      setError(state.error);
+    })
+  );
+
+  return [value, (next) => source.write(() => store.set(key, next)), loading, error];
+};
+
+/**
+ * Signals of every value in the store, as `[values, loading, error]`
+ */
+export const createStoreAll = <T extends Record<string, unknown>>(
+  store: Store<T>
+): [Accessor<Partial<T>>, Accessor<boolean>, Accessor<Error | undefined>] => {
+  const source = createAllSource(store);
+  const initial = source.read();
+  const [values, setValues] = createSignal(initial.values);
+  const [loading, setLoading] = createSignal(initial.loading);
+  const [error, setError] = createSignal(initial.error);
+
+  onCleanup(
+    source.watch((state) => {
+      setValues(() => state.values);
+      setLoading(state.loading);
+      setError(state.error);
+    })
+  );
+
+  return [values, loading, error];
+};
+
+/**
+ * The store's undo/redo history, optionally limited to some keys
+ */
+export const createStoreHistory = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter?: HistoryFilter<T>
+): StoreHistoryResult => {
+  const initial = readHistory(store, filter);
+  const [canUndo, setCanUndo] = createSignal(initial.canUndo);
+  const [canRedo, setCanRedo] = createSignal(initial.canRedo);
+
+  onCleanup(
+    watchHistory(store, filter, (state) => {
+      setCanUndo(state.canUndo);
+      setCanRedo(state.canRedo);
+    })
+  );
+
+  return {
+    undo: () => store.history.undo(filter),
+    redo: () => store.history.redo(filter),
+    canUndo,
+    canRedo,
+  };
+};
@@ -0,0 +1,1539 @@
+/**
+ * Storage backends for mfe-store
+ * The store only talks to a StorageAdapter, so persistence can be swapped out
+ */
+
+import { ConnectionError } from './errors';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/**
+ * Context handed to a migration while it runs inside the upgrade transaction.
+ * All operations are synchronous and applied atomically when the upgrade commits.
+ */
+export interface MigrationContext {
+  /** Schema version the data is being migrated from */
+  readonly oldVersion: number;
+  /** Schema version this migration upgrades to */
+  readonly newVersion: number;
+  keys: () => string[];
+  get: (key: string) => unknown;
+  set: (key: string, value: unknown) => void;
+  rename: (from: string, to: string) => void;
+  transform: (key: string, fn: (value: unknown) => unknown) => void;
+  drop: (key: string) => void;
+}
+
+export type Migration = (ctx: MigrationContext) => void;
+
+export interface RecordMeta {
+  /** Incremented on every write, used to order changes across tabs */
+  rev: number;
+  /** Epoch milliseconds after which the value is treated as deleted */
+  expiresAt?: number;
+}
+
+export interface StoredRecord {
+  value: unknown;
+  meta: RecordMeta | undefined;
+}
+
+export interface StoredRecords {
+  values: Record<string, unknown>;
+  /** Metadata per key, including keys whose value has been deleted */
+  metas: Map<string, RecordMeta>;
+}
+
+export type WriteOperation =
+  | { type: 'set'; key: string; value: unknown; expiresAt?: number; outbox?: boolean }
+  | { type: 'delete'; key: string; outbox?: boolean };
+
+/**
+ * A local write waiting to be pushed to a remote backend, appended in the same transaction
+ * as the write itself for operations flagged with `outbox`
+ */
+export interface OutboxRecord {
+  /** Increasing position in the outbox */
+  id: number;
+  key: string;
+  type: 'set' | 'delete';
+  value?: unknown;
+  /** Revision the write gave the key */
+  revision: number;
+  /** Epoch milliseconds of the write */
+  timestamp: number;
+}
+
+/**
+ * Outbox and bookkeeping used by store sync
+ */
+export interface SyncStorage {
+  /** Queued writes, oldest first */
+  pending: () => Promise<OutboxRecord[]>;
+  /** Remove pushed or superseded writes */
+  acknowledge: (ids: number[]) => Promise<void>;
+  readState: () => Promise<unknown>;
+  writeState: (state: unknown) => Promise<void>;
+}
+
+/**
+ * Runs synchronously with the current values and metadata of the keys being written and
+ * returns the writes to apply. Throwing aborts the write.
+ */
+export type WriteMutator = (
+  current: Map<string, unknown>,
+  metas: Map<string, RecordMeta | undefined>
+) => WriteOperation[];
+
+/**
+ * Object store of a collection: records carry their own key, and each index orders them by
+ * the property of the same name
+ */
+export interface CollectionSchema {
+  keyPath: string;
+  indexes: string[];
+}
+
+/** Bounds of a collection query - both are included unless marked open */
+export interface KeyRange {
+  lower?: IDBValidKey;
+  upper?: IDBValidKey;
+  lowerOpen?: boolean;
+  upperOpen?: boolean;
+}
+
+export interface CollectionQuery {
+  /** Index to filter and order by (default: the record key) */
+  index?: string;
+  range?: KeyRange;
+  offset?: number;
+  limit?: number;
+}
+
+export type CollectionOperation =
+  | { type: 'add' | 'put'; value: unknown }
+  | { type: 'remove'; key: IDBValidKey };
+
+/** One record as a write changed it - additions have no `oldValue`, removals no `value` */
+export interface RecordChange<R = unknown> {
+  type: 'add' | 'update' | 'remove';
+  key: IDBValidKey;
+  value?: R;
+  oldValue?: R;
+}
+
+export interface CollectionStorage {
+  get: (key: IDBValidKey) => Promise<unknown>;
+  /**
+   * Apply operations in order, in one transaction - `add` fails with a ConstraintError when
+   * the key is taken. Removing a missing record changes nothing.
+   */
+  write: (operations: CollectionOperation[]) => Promise<RecordChange[]>;
+  /** Records in index order, or key order without an index */
+  query: (query: CollectionQuery) => Promise<unknown[]>;
+  clear: () => Promise<RecordChange[]>;
+}
+
+export interface StorageAdapter {
+  /** Connect ahead of the first operation - rejects when the backend can't be used */
+  open?: () => Promise<void>;
+  get: (key: string) => Promise<StoredRecord>;
+  getAll: () => Promise<StoredRecords>;
+  /** Keys whose metadata says they expired at or before `now` */
+  getExpired: (now: number) => Promise<string[]>;
+  /**
+   * Read-modify-write `keys` atomically. Only keys listed in `keys` may be written; each
+   * written key gets its revision bumped and the new revisions are resolved after commit.
+   */
+  write: (keys: string[], mutate: WriteMutator) => Promise<Map<string, number>>;
+  /** Remove every value, keeping metadata so revisions never go backwards */
+  clear: () => Promise<void>;
+  close: () => void;
+  /** Outbox for store sync - adapters without it ignore the `outbox` flag and can't sync */
+  sync?: SyncStorage;
+  /** Storage for `store.collection` - adapters without it don't support collections */
+  collection?: (name: string, schema: CollectionSchema) => CollectionStorage;
+}
+
+export type StorageKind = 'indexeddb' | 'memory' | 'localStorage' | 'sessionStorage';
+
+export interface SchemaOptions {
+  /** Schema version of the stored data (default: 1) */
+  version?: number;
+  /** Migrations keyed by the version they upgrade to, run in ascending order */
+  migrations?: Record<number, Migration>;
+}
+
+export interface IndexedDBAdapterOptions extends SchemaOptions {
+  dbName: string;
+  storeName: string;
+  /** Milliseconds to wait for blocking tabs before an upgrade fails (default: 10000) */
+  upgradeTimeout?: number;
+  /** Called when an upgrade is blocked by another tab holding an open connection */
+  onBlocked?: () => void;
+  /** Called after another tab upgraded the database and this connection was closed */
+  onVersionChange?: () => void;
+  /** Keep a sync outbox in a second object store named `${storeName}-outbox` */
+  outbox?: boolean;
+}
+
+export interface WebStorageAdapterOptions extends SchemaOptions {
+  /** Prefix for every entry written to the Storage area (default: 'mfe-store:') */
+  prefix?: string;
+}
+
+// ============================================================================
+// Shared helpers
+// ============================================================================
+
+// Keys starting with this prefix hold store metadata and are never exposed as data
+const RESERVED_PREFIX = '\u0000mfe:';
+const SCHEMA_VERSION_KEY = `${RESERVED_PREFIX}version`;
+const META_PREFIX = `${RESERVED_PREFIX}meta:`;
+const SYNC_STATE_KEY = `${RESERVED_PREFIX}sync`;
+
+const isReservedKey = (key: IDBValidKey): boolean =>
+  typeof key === 'string' && key.startsWith(RESERVED_PREFIX);
+
+// Per-key metadata record, written alongside the value in the same transaction
+const metaKey = (key: string): string => `${META_PREFIX}${key}`;
+
+export const isExpiredMeta = (meta: RecordMeta | undefined, now = Date.now()): boolean =>
+  meta?.expiresAt !== undefined && meta.expiresAt <= now;
+
+// Metadata for a key after `operation` is applied on top of `previous`
+const nextMeta = (operation: WriteOperation, previous: RecordMeta | undefined): RecordMeta => {
+  const meta: RecordMeta = { rev: (previous?.rev ?? 0) + 1 };
+  if (operation.type === 'set' && operation.expiresAt !== undefined) {
+    meta.expiresAt = operation.expiresAt;
+  }
+  return meta;
+};
+
+// Outbox entry for a flagged operation, without its id
+const toOutboxRecord = (operation: WriteOperation, meta: RecordMeta): Omit<OutboxRecord, 'id'> => ({
+  key: operation.key,
+  type: operation.type,
+  ...(operation.type === 'set' ? { value: operation.value } : {}),
+  revision: meta.rev,
+  timestamp: Date.now(),
+});
+
+/**
+ * Run every migration between two schema versions against an in-memory copy of the data
+ */
+export const runMigrations = (
+  data: Map<string, unknown>,
+  oldVersion: number,
+  newVersion: number,
+  migrations: Record<number, Migration> = {}
+): void => {
+  for (let target = oldVersion + 1; target <= newVersion; target++) {
+    const migration = migrations[target];
+    if (!migration) continue;
+
+    migration({
+      oldVersion,
+      newVersion: target,
+      keys: () => Array.from(data.keys()),
+      get: (key) => data.get(key),
+      set: (key, value) => {
+        data.set(key, value);
+      },
+      rename: (from, to) => {
+        if (!data.has(from)) return;
+        data.set(to, data.get(from));
+        data.delete(from);
+      },
+      transform: (key, fn) => {
+        if (data.has(key)) {
+          data.set(key, fn(data.get(key)));
+        }
+      },
+      drop: (key) => {
+        data.delete(key);
+      },
+    });
+  }
+};
+
+const isValidKey = (value: unknown): value is IDBValidKey =>
+  (typeof value === 'number' && !Number.isNaN(value)) ||
+  typeof value === 'string' ||
+  (value instanceof Date && !Number.isNaN(value.getTime())) ||
+  (Array.isArray(value) && value.every(isValidKey));
+
+// Key of a collection record - every backend rejects records without one like IndexedDB does
+const recordKey = (record: unknown, keyPath: string): IDBValidKey => {
+  const key = (record as Record<string, unknown> | null | undefined)?.[keyPath];
+  if (!isValidKey(key)) {
+    throw new DOMException(`Record has no valid key at "${keyPath}"`, 'DataError');
+  }
+  return key;
+};
+
+// IndexedDB key order: numbers, then dates, then strings, then arrays
+const keyRank = (key: IDBValidKey): number =>
+  Array.isArray(key) ? 3 : typeof key === 'string' ? 2 : key instanceof Date ? 1 : 0;
+
+const compareKeys = (a: IDBValidKey, b: IDBValidKey): number => {
+  const rank = keyRank(a) - keyRank(b);
+  if (rank !== 0) return Math.sign(rank);
+  if (Array.isArray(a) && Array.isArray(b)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return Math.sign(a.length - b.length);
+  }
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+};
+
+const inRange = (key: IDBValidKey, range: KeyRange = {}): boolean => {
+  const { lower, upper, lowerOpen = false, upperOpen = false } = range;
+  const fromLower = lower === undefined ? 1 : compareKeys(key, lower);
+  const toUpper = upper === undefined ? -1 : compareKeys(key, upper);
+  return (
+    (fromLower > 0 || (fromLower === 0 && !lowerOpen)) &&
+    (toUpper < 0 || (toUpper === 0 && !upperOpen))
+  );
+};
+
+// ============================================================================
+// IndexedDB
+// ============================================================================
+
+const MAX_OPEN_ATTEMPTS = 5;
+
+// What one object store in the database needs to exist and be at
+interface ObjectStoreSchema {
+  storeName: string;
+  outboxStoreName?: string;
+  version: number;
+  migrations?: Record<number, Migration>;
+  /** Set for collections, whose records carry their own key */
+  keyPath?: string;
+  indexes?: string[];
+}
+
+interface OpenOptions {
+  schemas: ObjectStoreSchema[];
+  upgradeTimeout: number;
+  onBlocked?: () => void;
+  onVersionChange?: () => void;
+  /** The browser closed the connection, e.g. because site data was cleared */
+  onClose?: () => void;
+}
+
+interface OpenedDatabase {
+  db: IDBDatabase;
+  /** Schema version of each object store, as found after opening */
+  versions: Map<string, number>;
+}
+
+// Collections have no schema version of their own - they are upgraded by adding indexes
+const upgradeCollectionStore = (
+  db: IDBDatabase,
+  tx: IDBTransaction,
+  { storeName, keyPath, indexes = [] }: ObjectStoreSchema
+): void => {
+  const objectStore = db.objectStoreNames.contains(storeName)
+    ? tx.objectStore(storeName)
+    : db.createObjectStore(storeName, { keyPath });
+  indexes
+    .filter((index) => !objectStore.indexNames.contains(index))
+    .forEach((index) => objectStore.createIndex(index, index));
+};
+
+// Called from onupgradeneeded: creates the object store or migrates its records in place
+const upgradeObjectStore = (
+  db: IDBDatabase,
+  tx: IDBTransaction,
+  schema: ObjectStoreSchema
+): void => {
+  const { storeName, outboxStoreName, version, migrations } = schema;
+  if (schema.keyPath !== undefined) {
+    upgradeCollectionStore(db, tx, schema);
+    return;
+  }
+
+  if (outboxStoreName && !db.objectStoreNames.contains(outboxStoreName)) {
+    db.createObjectStore(outboxStoreName, { autoIncrement: true });
+  }
+
+  if (!db.objectStoreNames.contains(storeName)) {
+    db.createObjectStore(storeName).put(version, SCHEMA_VERSION_KEY);
+    return;
+  }
+
+  const objectStore = tx.objectStore(storeName);
+  const data = new Map<string, unknown>();
+  const originalKeys: string[] = [];
+  let storedVersion = 1;
+  const cursorRequest = objectStore.openCursor();
+
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (cursor) {
+      if (cursor.key === SCHEMA_VERSION_KEY) {
+        storedVersion = cursor.value as number;
+      } else if (!isReservedKey(cursor.key)) {
+        data.set(cursor.key as string, cursor.value);
+        originalKeys.push(cursor.key as string);
+      }
+      cursor.continue();
+      return;
+    }
+
+    // Never downgrade data written by newer code
+    if (storedVersion >= version) return;
+
+    runMigrations(data, storedVersion, version, migrations);
+    // Revision records are left alone so revisions keep increasing across upgrades
+    originalKeys.filter((key) => !data.has(key)).forEach((key) => objectStore.delete(key));
+    data.forEach((value, key) => objectStore.put(value, key));
+    objectStore.put(version, SCHEMA_VERSION_KEY);
+  };
+};
+
+const requestOpen = (
+  dbName: string,
+  idbVersion: number | undefined,
+  options: OpenOptions
+): Promise<IDBDatabase> => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, idbVersion);
+    let blockedTimer: ReturnType<typeof setTimeout> | undefined;
+    let settled = false;
+
+    const settle = (): boolean => {
+      clearTimeout(blockedTimer);
+      const first = !settled;
+      settled = true;
+      return first;
+    };
+
+    request.onerror = () => {
+      if (settle()) reject(request.error);
+    };
+    request.onsuccess = () => {
+      if (settle()) {
+        resolve(request.result);
+      } else {
+        // The upgrade finished after we gave up waiting - release the connection
+        request.result.close();
+      }
+    };
+
+    request.onupgradeneeded = () => {
+      options.schemas.forEach((schema) => {
+        upgradeObjectStore(request.result, request.transaction!, schema);
+      });
+    };
+
+    // Another tab still holds a connection at the old version
+    request.onblocked = () => {
+      options.onBlocked?.();
+      blockedTimer = setTimeout(() => {
+        if (settle()) {
+          reject(
+            new ConnectionError(`Upgrade of "${dbName}" blocked by another open connection`)
+          );
+        }
+      }, options.upgradeTimeout);
+    };
+  });
+};
+
+const readSchemaVersion = (
+  db: IDBDatabase,
+  { storeName, keyPath }: ObjectStoreSchema
+): Promise<number | undefined> => {
+  if (!db.objectStoreNames.contains(storeName)) {
+    return Promise.resolve(undefined);
+  }
+  if (keyPath !== undefined) {
+    return Promise.resolve(1);
+  }
+  return dbGet<number>(db, storeName, SCHEMA_VERSION_KEY).then((stored) => stored ?? 1);
+};
+
+// Whether an existing object store has every index its schema asks for
+const hasIndexes = (db: IDBDatabase, { storeName, indexes = [] }: ObjectStoreSchema): boolean => {
+  if (indexes.length === 0 || !db.objectStoreNames.contains(storeName)) return true;
+  try {
+    const { indexNames } = db.transaction(storeName, 'readonly').objectStore(storeName);
+    return indexes.every((index) => indexNames.contains(index));
+  } catch {
+    // The connection was closed - reopening checks again
+    return false;
+  }
+};
+
+/**
+ * Open the database, upgrading it when an object store is missing or its schema is behind.
+ * The IndexedDB version is bumped as needed; each schema's `version` tracks its object store.
+ * Stores already at a newer schema are left alone - see `acquireConnection`.
+ */
+const openDatabase = async (dbName: string, options: OpenOptions): Promise<OpenedDatabase> => {
+  let idbVersion: number | undefined;
+
+  for (let attempt = 0; attempt < MAX_OPEN_ATTEMPTS; attempt++) {
+    let db: IDBDatabase;
+    try {
+      db = await requestOpen(dbName, idbVersion, options);
+    } catch (error) {
+      // Another tab upgraded past the version we asked for - start over
+      if ((error as DOMException)?.name === 'VersionError') {
+        idbVersion = undefined;
+        continue;
+      }
+      throw error;
+    }
+
+    const versions = new Map<string, number>();
+    let current = true;
+    for (const schema of options.schemas) {
+      const { storeName, outboxStoreName, version } = schema;
+      const storedVersion = await readSchemaVersion(db, schema);
+      if (storedVersion !== undefined) {
+        versions.set(storeName, storedVersion);
+      }
+      const hasOutbox = !outboxStoreName || db.objectStoreNames.contains(outboxStoreName);
+      if (
+        storedVersion === undefined ||
+        storedVersion < version ||
+        !hasOutbox ||
+        !hasIndexes(db, schema)
+      ) {
+        current = false;
+      }
+    }
+
+    if (current) {
+      // Let newer code upgrade the database instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        options.onVersionChange?.();
+      };
+      db.onclose = () => options.onClose?.();
+      return { db, versions };
+    }
+
+    idbVersion = db.version + 1;
+    db.close();
+  }
+
+  throw new ConnectionError(`Could not open "${dbName}" after ${MAX_OPEN_ATTEMPTS} attempts`);
+};
+
+// ============================================================================
+// Shared connections
+// ============================================================================
+
+interface ConnectionHolder {
+  schema: ObjectStoreSchema;
+  upgradeTimeout: number;
+  onBlocked?: () => void;
+  onVersionChange?: () => void;
+}
+
+interface SharedConnection {
+  /** Object stores declared with `defineDatabase`, created even before a store uses them */
+  declared: Map<string, ObjectStoreSchema>;
+  holders: Set<ConnectionHolder>;
+  /** Opening or open connection - null until first use, and after it is lost or fails */
+  opened: Promise<OpenedDatabase> | null;
+  /** The connection `opened` resolved to */
+  db: IDBDatabase | null;
+}
+
+export interface DatabaseStoreOptions extends SchemaOptions {
+  /** Also create the sync outbox, for stores created with the `sync` option */
+  outbox?: boolean;
+}
+
+interface DatabaseConnection {
+  /** The shared connection, opened or upgraded as needed */
+  get: () => Promise<IDBDatabase>;
+  /** Drop `db` after it turned out to be closed, so the next `get` reconnects */
+  invalidate: (db: IDBDatabase) => void;
+  /** Stop using the connection - it closes once no store in the page uses it */
+  release: () => void;
+}
+
+// One connection per database for the whole page, shared by every store in it
+const connections = new Map<string, SharedConnection>();
+
+const getConnection = (dbName: string): SharedConnection => {
+  let connection = connections.get(dbName);
+  if (!connection) {
+    connection = { declared: new Map(), holders: new Set(), opened: null, db: null };
+    connections.set(dbName, connection);
+  }
+  return connection;
+};
+
+const toSchema = (storeName: string, options: DatabaseStoreOptions = {}): ObjectStoreSchema => ({
+  storeName,
+  outboxStoreName: options.outbox ? `${storeName}-outbox` : undefined,
+  version: options.version ?? 1,
+  migrations: options.migrations,
+});
+
+// Every object store the connection must provide - for a store used at several schema
+// versions in the page, the newest one, with an outbox if any user needs it. A collection
+// gets every index any user asks for.
+const requiredSchemas = (connection: SharedConnection): ObjectStoreSchema[] => {
+  const schemas = new Map(connection.declared);
+  connection.holders.forEach(({ schema }) => {
+    const existing = schemas.get(schema.storeName);
+    const newest = !existing || schema.version >= existing.version ? schema : existing;
+    schemas.set(schema.storeName, {
+      ...newest,
+      outboxStoreName: schema.outboxStoreName ?? existing?.outboxStoreName,
+      indexes: schema.indexes && [...new Set([...(existing?.indexes ?? []), ...schema.indexes])],
+    });
+  });
+  return Array.from(schemas.values());
+};
+
+const provides = ({ db, versions }: OpenedDatabase, schema: ObjectStoreSchema): boolean =>
+  (versions.get(schema.storeName) ?? 0) >= schema.version &&
+  (!schema.outboxStoreName || db.objectStoreNames.contains(schema.outboxStoreName)) &&
+  hasIndexes(db, schema);
+
+const reopen = (dbName: string, connection: SharedConnection, holder: ConnectionHolder): void => {
+  const previous = connection.opened;
+  // Forget the connection once it is gone, so the next operation opens a new one
+  const drop = (): void => {
+    if (connection.opened === opened) {
+      connection.opened = null;
+      connection.db = null;
+    }
+  };
+
+  const opened = (async () => {
+    // Closed here rather than by a versionchange, so the stores sharing it aren't reset
+    const before = await previous?.then(
+      ({ db, versions }) => {
+        db.close();
+        return versions;
+      },
+      () => undefined
+    );
+    const result = await openDatabase(dbName, {
+      schemas: requiredSchemas(connection),
+      upgradeTimeout: holder.upgradeTimeout,
+      onBlocked: () => connection.holders.forEach((each) => each.onBlocked?.()),
+      onVersionChange: () => {
+        // Another tab is upgrading - reconnect lazily
+        drop();
+        connection.holders.forEach((each) => each.onVersionChange?.());
+      },
+      onClose: drop,
+    });
+    // Stores in the page left at an older schema by this upgrade are reset, like other tabs
+    connection.holders.forEach(({ schema, onVersionChange }) => {
+      const storedVersion = result.versions.get(schema.storeName) ?? 0;
+      if (storedVersion > schema.version && storedVersion !== before?.get(schema.storeName)) {
+        onVersionChange?.();
+      }
+    });
+    return result;
+  })();
+  connection.opened = opened;
+  opened.then(({ db }) => {
+    if (connection.opened === opened) {
+      connection.db = db;
+    }
+    // A failed open is retried by the next operation instead of failing every one after it
+  }, drop);
+};
+
+/**
+ * Use the page's connection to `dbName` for one object store. Opening it creates or upgrades
+ * every object store declared for the database or used by a store in the page, in one
+ * version bump. Rejects when the object store is at a newer schema than requested.
+ */
+const acquireConnection = (dbName: string, holder: ConnectionHolder): DatabaseConnection => {
+  const connection = getConnection(dbName);
+  connection.holders.add(holder);
+  const { storeName, version } = holder.schema;
+
+  const get = async (): Promise<IDBDatabase> => {
+    if (!connection.holders.has(holder)) {
+      throw new ConnectionError(`Connection to "${dbName}" was released`);
+    }
+    if (!connection.opened) {
+      reopen(dbName, connection, holder);
+    }
+    const current = connection.opened!;
+    const opened = await current;
+    if (!provides(opened, holder.schema)) {
+      // Opened before this store joined - the first caller upgrades it, the others wait
+      if (connection.opened === current) {
+        reopen(dbName, connection, holder);
+      }
+      return get();
+    }
+
+    const storedVersion = opened.versions.get(storeName)!;
+    if (storedVersion > version) {
+      throw new Error(
+        `Store "${storeName}" is at schema version ${storedVersion}, newer than requested version ${version}`
+      );
+    }
+    return opened.db;
+  };
+
+  return {
+    get,
+    invalidate: (db) => {
+      if (connection.db === db) {
+        connection.opened = null;
+        connection.db = null;
+      }
+    },
+    release: () => {
+      if (!connection.holders.delete(holder) || connection.holders.size > 0) return;
+      connection.opened?.then(({ db }) => db.close()).catch(() => undefined);
+      connection.opened = null;
+      connection.db = null;
+      if (connection.declared.size === 0) {
+        connections.delete(dbName);
+      }
+    },
+  };
+};
+
+/**
+ * Declare the object stores of a database before any store opens it, so they are all
+ * created in its first upgrade instead of one version bump per store. Stores not declared
+ * here are still added on first use.
+ */
+export const defineDatabase = (
+  dbName: string,
+  stores: string[] | Record<string, DatabaseStoreOptions>
+): void => {
+  const connection = getConnection(dbName);
+  const entries = Array.isArray(stores)
+    ? stores.map((storeName) => [storeName, {}] as const)
+    : Object.entries(stores);
+  entries.forEach(([storeName, options]) => {
+    connection.declared.set(storeName, toSchema(storeName, options));
+  });
+};
+
+// Why a transaction aborted - null for aborts without an error, e.g. the connection closing
+const abortError = (tx: IDBTransaction): DOMException =>
+  tx.error ?? new DOMException('The transaction was aborted', 'AbortError');
+
+const dbGet = <T>(
+  db: IDBDatabase,
+  storeName: string,
+  key: IDBValidKey
+): Promise<T | undefined> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const request = store.get(key);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+  });
+};
+
+const dbGetRecord = (
+  db: IDBDatabase,
+  storeName: string,
+  key: string
+): Promise<StoredRecord> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const valueRequest = store.get(key);
+    const metaRequest = store.get(metaKey(key));
+
+    tx.oncomplete = () => resolve({ value: valueRequest.result, meta: metaRequest.result });
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+};
+
+const dbGetAll = (db: IDBDatabase, storeName: string): Promise<StoredRecords> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const request = store.openCursor();
+    const result: Record<string, unknown> = {};
+    const metas = new Map<string, RecordMeta>();
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = (event) => {
+      const cursor = (event.target as IDBRequest<IDBCursorWithValue>).result;
+      if (cursor) {
+        const key = cursor.key as string;
+        if (key.startsWith(META_PREFIX)) {
+          metas.set(key.slice(META_PREFIX.length), cursor.value as RecordMeta);
+        } else if (!isReservedKey(key)) {
+          result[key] = cursor.value;
+        }
+        cursor.continue();
+      } else {
+        resolve({ values: result, metas });
+      }
+    };
+  });
+};
+
+// Keys whose metadata says they have expired (values are not read)
+const dbGetExpired = (db: IDBDatabase, storeName: string, now: number): Promise<string[]> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readonly');
+    const store = tx.objectStore(storeName);
+    const request = store.openCursor(IDBKeyRange.bound(META_PREFIX, `${META_PREFIX}\uffff`));
+    const expired: string[] = [];
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        if (isExpiredMeta(cursor.value as RecordMeta, now)) {
+          expired.push((cursor.key as string).slice(META_PREFIX.length));
+        }
+        cursor.continue();
+      } else {
+        resolve(expired);
+      }
+    };
+  });
+};
+
+// Removes every value but keeps metadata, so revisions never go backwards
+const dbClear = (db: IDBDatabase, storeName: string): Promise<void> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const request = store.openCursor();
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        if (!isReservedKey(cursor.key)) {
+          cursor.delete();
+        }
+        cursor.continue();
+      }
+    };
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+};
+
+// Read-modify-write in a single readwrite transaction (see StorageAdapter.write)
+const dbWrite = (
+  db: IDBDatabase,
+  storeName: string,
+  outboxStoreName: string | undefined,
+  keys: string[],
+  mutate: WriteMutator
+): Promise<Map<string, number>> => {
+  return new Promise((resolve, reject) => {
+    const scope = outboxStoreName ? [storeName, outboxStoreName] : storeName;
+    const tx = db.transaction(scope, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const current = new Map<string, unknown>();
+    const metas = new Map<string, RecordMeta | undefined>();
+    const revisions = new Map<string, number>();
+    let pending = keys.length * 2;
+
+    const apply = () => {
+      let operations: WriteOperation[];
+      try {
+        operations = mutate(current, metas);
+      } catch (error) {
+        reject(error);
+        tx.abort();
+        return;
+      }
+
+      operations.forEach((operation) => {
+        const meta = nextMeta(operation, metas.get(operation.key));
+        if (operation.type === 'set') {
+          store.put(operation.value, operation.key);
+        } else {
+          store.delete(operation.key);
+        }
+        store.put(meta, metaKey(operation.key));
+        if (operation.outbox && outboxStoreName) {
+          tx.objectStore(outboxStoreName).add(toOutboxRecord(operation, meta));
+        }
+        revisions.set(operation.key, meta.rev);
+      });
+    };
+
+    const loaded = () => {
+      pending -= 1;
+      if (pending === 0) apply();
+    };
+
+    keys.forEach((key) => {
+      const valueRequest = store.get(key);
+      valueRequest.onsuccess = () => {
+        current.set(key, valueRequest.result);
+        loaded();
+      };
+      const metaRequest = store.get(metaKey(key));
+      metaRequest.onsuccess = () => {
+        metas.set(key, metaRequest.result);
+        loaded();
+      };
+    });
+    if (keys.length === 0) apply();
+
+    tx.oncomplete = () => resolve(revisions);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+};
+
+const dbGetOutbox = (db: IDBDatabase, outboxStoreName: string): Promise<OutboxRecord[]> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(outboxStoreName, 'readonly');
+    // Records have auto-incremented numeric keys; the sync state sits under a string key
+    const request = tx.objectStore(outboxStoreName).openCursor(IDBKeyRange.bound(0, Infinity));
+    const records: OutboxRecord[] = [];
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        records.push({ ...(cursor.value as Omit<OutboxRecord, 'id'>), id: cursor.key as number });
+        cursor.continue();
+      } else {
+        resolve(records);
+      }
+    };
+  });
+};
+
+const dbOutboxWrite = (
+  db: IDBDatabase,
+  outboxStoreName: string,
+  apply: (store: IDBObjectStore) => void
+): Promise<void> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(outboxStoreName, 'readwrite');
+    apply(tx.objectStore(outboxStoreName));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+};
+
+const toKeyRange = (range?: KeyRange): IDBKeyRange | undefined => {
+  const { lower, upper, lowerOpen = false, upperOpen = false } = range ?? {};
+  if (lower !== undefined && upper !== undefined) {
+    return IDBKeyRange.bound(lower, upper, lowerOpen, upperOpen);
+  }
+  if (lower !== undefined) return IDBKeyRange.lowerBound(lower, lowerOpen);
+  if (upper !== undefined) return IDBKeyRange.upperBound(upper, upperOpen);
+  return undefined;
+};
+
+// Each operation reads the record it replaces first, so changes carry the old value
+const dbCollectionWrite = (
+  db: IDBDatabase,
+  storeName: string,
+  keyPath: string,
+  operations: CollectionOperation[]
+): Promise<RecordChange[]> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    const changes: RecordChange[] = [];
+
+    // One after another, so several operations on the same record see each other
+    const next = (index: number): void => {
+      const operation = operations[index];
+      if (!operation) return;
+      try {
+        const key =
+          operation.type === 'remove' ? operation.key : recordKey(operation.value, keyPath);
+        const request = store.get(key);
+        request.onsuccess = () => {
+          const oldValue = request.result;
+          if (operation.type === 'remove') {
+            if (oldValue !== undefined) {
+              store.delete(key);
+              changes.push({ type: 'remove', key, oldValue });
+            }
+          } else {
+            if (operation.type === 'add') {
+              store.add(operation.value);
+            } else {
+              store.put(operation.value);
+            }
+            const type = oldValue === undefined ? 'add' : 'update';
+            changes.push({ type, key, value: operation.value, oldValue });
+          }
+          next(index + 1);
+        };
+      } catch (error) {
+        reject(error);
+        tx.abort();
+      }
+    };
+    next(0);
+
+    tx.oncomplete = () => resolve(changes);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+};
+
+const dbCollectionQuery = (
+  db: IDBDatabase,
+  storeName: string,
+  { index, range, offset = 0, limit = Infinity }: CollectionQuery
+): Promise<unknown[]> => {
+  return new Promise((resolve, reject) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const source = index === undefined ? store : store.index(index);
+    const request = source.openCursor(toKeyRange(range));
+    const records: unknown[] = [];
+    let skipped = offset === 0;
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || records.length >= limit) {
+        resolve(records);
+      } else if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+      } else {
+        records.push(cursor.value);
+        cursor.continue();
+      }
+    };
+  });
+};
+
+const dbCollectionClear = (db: IDBDatabase, storeName: string): Promise<RecordChange[]> => {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const request = tx.objectStore(storeName).openCursor();
+    const changes: RecordChange[] = [];
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        changes.push({ type: 'remove', key: cursor.primaryKey, oldValue: cursor.value });
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+
+    tx.oncomplete = () => resolve(changes);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(abortError(tx));
+  });
+};
+
+export const createIndexedDBAdapter = (options: IndexedDBAdapterOptions): StorageAdapter => {
+  const { dbName, storeName, upgradeTimeout = 10000, onBlocked, onVersionChange } = options;
+  const schema = toSchema(storeName, options);
+  const { outboxStoreName } = schema;
+
+  // Shared with every other store in the same database (acquired on first use)
+  let connection: DatabaseConnection | null = null;
+  // Each collection is one more object store on the same connection
+  const collections = new Map<string, DatabaseConnection>();
+
+  const assertAvailable = (): void => {
+    if (typeof indexedDB === 'undefined') {
+      throw unavailable('IndexedDB is not available');
+    }
+  };
+
+  const acquire = (): DatabaseConnection => {
+    assertAvailable();
+    connection ??= acquireConnection(dbName, {
+      schema,
+      upgradeTimeout,
+      onBlocked,
+      onVersionChange,
+    });
+    return connection;
+  };
+
+  // Starting a transaction on a connection the browser has closed throws InvalidStateError
+  // before anything runs - reconnect and try once more
+  const using = async <R>(
+    acquired: () => DatabaseConnection,
+    operation: (db: IDBDatabase) => Promise<R>
+  ): Promise<R> => {
+    const current = acquired();
+    const db = await current.get();
+    try {
+      return await operation(db);
+    } catch (error) {
+      if ((error as DOMException)?.name !== 'InvalidStateError') throw error;
+      current.invalidate(db);
+      return operation(await current.get());
+    }
+  };
+
+  const withDb = <R>(operation: (db: IDBDatabase) => Promise<R>): Promise<R> =>
+    using(acquire, operation);
+
+  const collection = (name: string, { keyPath, indexes }: CollectionSchema): CollectionStorage => {
+    const collectionStoreName = `${storeName}/${name}`;
+    const acquireCollection = (): DatabaseConnection => {
+      assertAvailable();
+      let collectionConnection = collections.get(name);
+      if (!collectionConnection) {
+        // Records aren't cached, so an upgrade elsewhere has nothing to reset
+        collectionConnection = acquireConnection(dbName, {
+          schema: { storeName: collectionStoreName, version: 1, keyPath, indexes },
+          upgradeTimeout,
+          onBlocked,
+        });
+        collections.set(name, collectionConnection);
+      }
+      return collectionConnection;
+    };
+    const withStore = <R>(operation: (db: IDBDatabase) => Promise<R>): Promise<R> =>
+      using(acquireCollection, operation);
+
+    return {
+      get: (key) => withStore((db) => dbGet(db, collectionStoreName, key)),
+      write: (operations) =>
+        withStore((db) => dbCollectionWrite(db, collectionStoreName, keyPath, operations)),
+      query: (query) => withStore((db) => dbCollectionQuery(db, collectionStoreName, query)),
+      clear: () => withStore((db) => dbCollectionClear(db, collectionStoreName)),
+    };
+  };
+
+  return {
+    open: async () => {
+      await acquire().get();
+    },
+    get: (key) => withDb((db) => dbGetRecord(db, storeName, key)),
+    getAll: () => withDb((db) => dbGetAll(db, storeName)),
+    getExpired: (now) => withDb((db) => dbGetExpired(db, storeName, now)),
+    write: (keys, mutate) =>
+      withDb((db) => dbWrite(db, storeName, outboxStoreName, keys, mutate)),
+    clear: () => withDb((db) => dbClear(db, storeName)),
+    close: () => {
+      collections.forEach((collectionConnection) => collectionConnection.release());
+      collections.clear();
+      connection?.release();
+      connection = null;
+    },
+    collection,
+    sync: outboxStoreName
+      ? {
+          pending: () => withDb((db) => dbGetOutbox(db, outboxStoreName)),
+          acknowledge: (ids) =>
+            withDb((db) =>
+              dbOutboxWrite(db, outboxStoreName, (store) => {
+                ids.forEach((id) => store.delete(id));
+              })
+            ),
+          readState: () => withDb((db) => dbGet(db, outboxStoreName, SYNC_STATE_KEY)),
+          writeState: (state) =>
+            withDb((db) =>
+              dbOutboxWrite(db, outboxStoreName, (store) => {
+                store.put(state, SYNC_STATE_KEY);
+              })
+            ),
+        }
+      : undefined,
+  };
+};
+
+// ============================================================================
+// Synchronous backends (memory, localStorage, sessionStorage)
+// ============================================================================
+
+// Outbox entries and the last id handed out, stored as reserved records
+const OUTBOX_PREFIX = `${RESERVED_PREFIX}outbox:`;
+const OUTBOX_SEQUENCE_KEY = `${RESERVED_PREFIX}outbox`;
+// Collection records, under their collection's name and their JSON-encoded key
+const COLLECTION_PREFIX = `${RESERVED_PREFIX}collection:`;
+
+// Minimal key/value surface the synchronous adapters are built on
+interface RecordBackend {
+  read: (key: string) => unknown;
+  write: (key: string, value: unknown) => void;
+  remove: (key: string) => void;
+  keys: () => string[];
+}
+
+// Remembers what it overwrites, so a failed write (e.g. quota) can leave nothing behind
+const createJournal = (backend: RecordBackend) => {
+  const undo: Array<() => void> = [];
+
+  return {
+    put: (key: string, value: unknown): void => {
+      const previous = backend.read(key);
+      undo.push(() =>
+        previous === undefined ? backend.remove(key) : backend.write(key, previous)
+      );
+      if (value === undefined) {
+        backend.remove(key);
+      } else {
+        backend.write(key, value);
+      }
+    },
+    rollback: (): void => {
+      undo.reverse().forEach((restore) => restore());
+    },
+  };
+};
+
+// Records are scanned and sorted on every query - these backends hold little data
+const createSyncCollection = (
+  backend: RecordBackend,
+  ready: () => void,
+  name: string,
+  { keyPath }: CollectionSchema
+): CollectionStorage => {
+  const prefix = `${COLLECTION_PREFIX}${JSON.stringify(name)}:`;
+  const storageKey = (key: IDBValidKey): string => `${prefix}${JSON.stringify(key)}`;
+  const storageKeys = (): string[] => backend.keys().filter((key) => key.startsWith(prefix));
+
+  return {
+    get: async (key) => {
+      ready();
+      return backend.read(storageKey(key));
+    },
+    write: async (operations) => {
+      ready();
+      const journal = createJournal(backend);
+      try {
+        return operations.flatMap((operation): RecordChange[] => {
+          const key =
+            operation.type === 'remove' ? operation.key : recordKey(operation.value, keyPath);
+          const oldValue = backend.read(storageKey(key));
+          if (operation.type === 'remove') {
+            if (oldValue === undefined) return [];
+            journal.put(storageKey(key), undefined);
+            return [{ type: 'remove', key, oldValue }];
+          }
+          if (operation.type === 'add' && oldValue !== undefined) {
+            throw new DOMException(`Key ${JSON.stringify(key)} already exists`, 'ConstraintError');
+          }
+          journal.put(storageKey(key), operation.value);
+          const type = oldValue === undefined ? 'add' : 'update';
+          return [{ type, key, value: operation.value, oldValue }];
+        });
+      } catch (error) {
+        journal.rollback();
+        throw error;
+      }
+    },
+    query: async ({ index, range, offset = 0, limit = Infinity }) => {
+      ready();
+      const path = index ?? keyPath;
+      // Like an IndexedDB index, leave out records without a valid key at the index
+      const entries = storageKeys().flatMap((key) => {
+        const record = backend.read(key) as Record<string, unknown>;
+        const indexKey = record[path];
+        return isValidKey(indexKey) && inRange(indexKey, range) ? [{ indexKey, record }] : [];
+      });
+      entries.sort(
+        (a, b) =>
+          compareKeys(a.indexKey, b.indexKey) ||
+          compareKeys(recordKey(a.record, keyPath), recordKey(b.record, keyPath))
+      );
+      return entries.slice(offset, offset + limit).map(({ record }) => record);
+    },
+    clear: async () => {
+      ready();
+      return storageKeys().map((key): RecordChange => {
+        const oldValue = backend.read(key);
+        backend.remove(key);
+        return { type: 'remove', key: recordKey(oldValue, keyPath), oldValue };
+      });
+    },
+  };
+};
+
+const createSyncAdapter = (backend: RecordBackend, prepare?: () => void): StorageAdapter => {
+  let prepared = !prepare;
+
+  // Runs on first use, so a failing migration rejects an operation instead of createStore
+  const ready = (): void => {
+    if (!prepared) {
+      prepare!();
+      prepared = true;
+    }
+  };
+
+  const readMeta = (key: string): RecordMeta | undefined =>
+    backend.read(metaKey(key)) as RecordMeta | undefined;
+
+  const outboxIds = (): number[] =>
+    backend
+      .keys()
+      .filter((key) => key.startsWith(OUTBOX_PREFIX))
+      .map((key) => Number(key.slice(OUTBOX_PREFIX.length)))
+      .sort((a, b) => a - b);
+
+  return {
+    get: async (key) => {
+      ready();
+      return { value: backend.read(key), meta: readMeta(key) };
+    },
+    getAll: async () => {
+      ready();
+      const values: Record<string, unknown> = {};
+      const metas = new Map<string, RecordMeta>();
+      backend.keys().forEach((key) => {
+        if (key.startsWith(META_PREFIX)) {
+          metas.set(key.slice(META_PREFIX.length), backend.read(key) as RecordMeta);
+        } else if (!isReservedKey(key)) {
+          values[key] = backend.read(key);
+        }
+      });
+      return { values, metas };
+    },
+    getExpired: async (now) => {
+      ready();
+      return backend
+        .keys()
+        .filter((key) => key.startsWith(META_PREFIX))
+        .map((key) => key.slice(META_PREFIX.length))
+        .filter((key) => isExpiredMeta(readMeta(key), now));
+    },
+    write: async (keys, mutate) => {
+      ready();
+      const current = new Map(keys.map((key) => [key, backend.read(key)]));
+      const metas = new Map(keys.map((key) => [key, readMeta(key)]));
+      const operations = mutate(current, metas);
+      const revisions = new Map<string, number>();
+      const journal = createJournal(backend);
+      const { put } = journal;
+
+      try {
+        operations.forEach((operation) => {
+          const meta = nextMeta(operation, metas.get(operation.key));
+          put(operation.key, operation.type === 'set' ? operation.value : undefined);
+          put(metaKey(operation.key), meta);
+          if (operation.outbox) {
+            const id = ((backend.read(OUTBOX_SEQUENCE_KEY) as number | undefined) ?? 0) + 1;
+            put(OUTBOX_SEQUENCE_KEY, id);
+            put(`${OUTBOX_PREFIX}${id}`, toOutboxRecord(operation, meta));
+          }
+          revisions.set(operation.key, meta.rev);
+        });
+      } catch (error) {
+        journal.rollback();
+        throw error;
+      }
+      return revisions;
+    },
+    clear: async () => {
+      ready();
+      backend
+        .keys()
+        .filter((key) => !isReservedKey(key))
+        .forEach((key) => backend.remove(key));
+    },
+    close: () => {},
+    collection: (name, schema) => createSyncCollection(backend, ready, name, schema),
+    sync: {
+      pending: async () => {
+        ready();
+        return outboxIds().map((id) => ({
+          ...(backend.read(`${OUTBOX_PREFIX}${id}`) as Omit<OutboxRecord, 'id'>),
+          id,
+        }));
+      },
+      acknowledge: async (ids) => {
+        ids.forEach((id) => backend.remove(`${OUTBOX_PREFIX}${id}`));
+      },
+      readState: async () => backend.read(SYNC_STATE_KEY),
+      writeState: async (state) => backend.write(SYNC_STATE_KEY, state),
+    },
+  };
+};
+
+// Bring synchronously stored data up to the requested schema version
+const migrateBackend = (
+  backend: RecordBackend,
+  { version = 1, migrations }: SchemaOptions
+): void => {
+  const keys = backend.keys().filter((key) => !isReservedKey(key));
+  const storedVersion =
+    (backend.read(SCHEMA_VERSION_KEY) as number | undefined) ?? (keys.length > 0 ? 1 : version);
+
+  if (storedVersion > version) {
+    throw new Error(
+      `Stored data is at schema version ${storedVersion}, newer than requested version ${version}`
+    );
+  }
+
+  if (storedVersion < version) {
+    const data = new Map(keys.map((key) => [key, backend.read(key)]));
+    runMigrations(data, storedVersion, version, migrations);
+    keys.filter((key) => !data.has(key)).forEach((key) => backend.remove(key));
+    data.forEach((value, key) => backend.write(key, value));
+  }
+  backend.write(SCHEMA_VERSION_KEY, version);
+};
+
+/**
+ * Keeps data in memory only - nothing survives a reload. Useful for tests and server rendering.
+ */
+export const createMemoryAdapter = (): StorageAdapter => {
+  const records = new Map<string, unknown>();
+
+  return createSyncAdapter({
+    read: (key) => records.get(key),
+    write: (key, value) => {
+      // Copy like IndexedDB would, so later mutations of the caller's object don't leak in
+      records.set(key, structuredClone(value));
+    },
+    remove: (key) => {
+      records.delete(key);
+    },
+    keys: () => Array.from(records.keys()),
+  });
+};
+
+/**
+ * Persists to a Web Storage area. Values are stored as JSON, so only JSON-safe values survive.
+ */
+export const createWebStorageAdapter = (
+  storage: Storage,
+  options: WebStorageAdapterOptions = {}
+): StorageAdapter => {
+  const { prefix = 'mfe-store:' } = options;
+
+  const backend: RecordBackend = {
+    read: (key) => {
+      const raw = storage.getItem(prefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    write: (key, value) => storage.setItem(prefix + key, JSON.stringify(value)),
+    remove: (key) => storage.removeItem(prefix + key),
+    keys: () => {
+      const keys: string[] = [];
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key !== null && key.startsWith(prefix)) {
+          keys.push(key.slice(prefix.length));
+        }
+      }
+      return keys;
+    },
+  };
+
+  return createSyncAdapter(backend, () => migrateBackend(backend, options));
+};
+
+export const createLocalStorageAdapter = (options?: WebStorageAdapterOptions): StorageAdapter =>
+  createWebStorageAdapter(localStorage, options);
+
+/** Data lives only as long as the browser tab - a good fit for sensitive values */
+export const createSessionStorageAdapter = (options?: WebStorageAdapterOptions): StorageAdapter =>
+  createWebStorageAdapter(sessionStorage, options);
+
+// ============================================================================
+// Fallback
+// ============================================================================
+
+// Errors browsers raise when IndexedDB exists but can't be used (e.g. private browsing).
+// Once the backend has opened, other failures such as UnknownError are treated as transient
+// and retried by the next call.
+const UNAVAILABLE_ERRORS = ['SecurityError', 'NotSupportedError'];
+
+const unavailable = (message: string): Error =>
+  Object.assign(new Error(message), { name: 'NotSupportedError' });
+
+/**
+ * Use `primary` when it opens, otherwise switch to the adapter built by `createFallback`.
+ * Any error from the very first open triggers the switch - browsers don't agree on the error
+ * (Firefox private browsing raises InvalidStateError). After `primary` has opened once, only
+ * "backend unavailable" errors switch; anything else is rethrown, and the next call tries
+ * `primary` again. Provides `sync` only when `primary` does.
+ */
+export const withFallback = (
+  primary: StorageAdapter,
+  createFallback: () => StorageAdapter
+): StorageAdapter => {
+  let active: Promise<StorageAdapter> | null = null;
+  let opened = false;
+
+  const resolve = (): Promise<StorageAdapter> => {
+    if (!active) {
+      active = (primary.open?.() ?? Promise.resolve()).then(
+        () => {
+          opened = true;
+          return primary;
+        },
+        (error) => {
+          if (opened && !UNAVAILABLE_ERRORS.includes((error as Error)?.name)) {
+            active = null;
+            throw error;
+          }
+          primary.close();
+          return createFallback();
+        }
+      );
+    }
+    return active;
+  };
+
+  return {
+    open: async () => {
+      await (await resolve()).open?.();
+    },
+    get: async (key) => (await resolve()).get(key),
+    getAll: async () => (await resolve()).getAll(),
+    getExpired: async (now) => (await resolve()).getExpired(now),
+    write: async (keys, mutate) => (await resolve()).write(keys, mutate),
+    clear: async () => (await resolve()).clear(),
+    sync: primary.sync && {
+      pending: async () => (await resolve()).sync?.pending() ?? [],
+      acknowledge: async (ids) => (await resolve()).sync?.acknowledge(ids),
+      readState: async () => (await resolve()).sync?.readState(),
+      writeState: async (state) => (await resolve()).sync?.writeState(state),
+    },
+    collection: (name, schema) => {
+      const storage = async (): Promise<CollectionStorage> => {
+        const adapter = await resolve();
+        if (!adapter.collection) {
+          throw new Error('The fallback storage adapter does not support collections');
+        }
+        return adapter.collection(name, schema);
+      };
+      return {
+        get: async (key) => (await storage()).get(key),
+        write: async (operations) => (await storage()).write(operations),
+        query: async (query) => (await storage()).query(query),
+        clear: async () => (await storage()).clear(),
+      };
+    },
+    close: () => {
+      const current = active;
+      active = null;
+      if (current) {
+        current.then((adapter) => adapter.close()).catch(() => undefined);
+      } else {
+        primary.close();
+      }
+    },
+  };
+};
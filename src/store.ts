@@ -3,6 +3,73 @@
  * A lightweight, framework-agnostic state store using IndexedDB + pub/sub
  */
 
+import {
+  createIndexedDBAdapter,
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  createSessionStorageAdapter,
+  isExpiredMeta,
+  runMigrations,
+  withFallback,
+} from './storage';
+import type {
+  Migration,
+  RecordChange,
+  RecordMeta,
+  StorageAdapter,
+  StorageKind,
+  WriteOperation,
+} from './storage';
+import { createScopedStore } from './scope';
+import type { Ownership } from './scope';
+import { createPipeline } from './plugins';
+import type { StorePlugin } from './plugins';
+import { withEncryption } from './encryption';
+import type { EncryptionOptions } from './encryption';
+import { createHistory } from './history';
+import type { HistoryOptions, StoreHistory } from './history';
+import { createLeaderElection } from './leader';
+import type { LeaderCallback } from './leader';
+import { createSync, idleSync } from './sync';
+import type { StoreSync, SyncOptions } from './sync';
+import { createInspector, registerStore, runSafely } from './inspect';
+import type { InspectListener } from './inspect';
+import { createKeyMatcher, isPattern, withSelector } from './listeners';
+import { createDerivations } from './derive';
+import { createWriteBuffer } from './buffer';
+import { createCollection } from './collection';
+import type { Collection, CollectionOptions } from './collection';
+import type { BufferedWrite, WriteBehindOptions } from './buffer';
+import type { DependencyValues, DeriveOptions } from './derive';
+import {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  assertSnapshot,
+  decodeValue,
+  encodeValue,
+  matchesFilter,
+} from './snapshot';
+import type { ExportOptions, ImportOptions, SnapshotDocument } from './snapshot';
+import { AccessError, ValidationError, toStoreError } from './errors';
+import type { StoreErrorEvent, StoreOperation } from './errors';
+import {
+  PROTOCOL_VERSION,
+  changeEventName,
+  channelEventName,
+  errorEventName,
+  getTabId,
+  requestEventName,
+  responseEventName,
+} from './protocol';
+import type {
+  ChangeEventDetail,
+  ChangeMeta,
+  ErrorEventDetail,
+  RequestEventDetail,
+  ResponseEventDetail,
+} from './protocol';
+import type { ChangeListener, KeyPattern, SubscribeOptions } from './listeners';
+
 // ============================================================================
 // Types
 // ============================================================================
@@ -10,6 +77,18 @@
 export type Listener<T> = (value: T, oldValue: T | undefined) => void;
 export type Unsubscribe = () => void;
 export type Validator<T> = (value: T) => void | never;
+export type ErrorListener<T> = (event: StoreErrorEvent<keyof T>) => void;
+
+export interface SetOptions {
+  /** Milliseconds until the key expires (overrides the store's `defaultTtl`) */
+  ttl?: number;
+}
+
+/** What `update` knows about the value it passes to the updater */
+export interface UpdateMeta {
+  /** Revision the value was stored under - 0 for a key that was never written */
+  revision: number;
+}
 
 export interface StoreOptions<T extends Record<string, unknown> = Record<string, unknown>> {
   /** Database name for IndexedDB (default: 'mfe-store') */
@@ -20,143 +99,367 @@ export interface StoreOptions<T extends Record<string, unknown> = Record<string,
   channelName?: string;
   /** Validators for each key - throw an error to reject invalid values */
   validators?: { [K in keyof T]?: Validator<T[K]> };
+  /** Schema version of the stored data (default: 1) */
+  version?: number;
+  /** Migrations keyed by the version they upgrade to, run in ascending order */
+  migrations?: Record<number, Migration>;
+  /** Called when an upgrade is blocked by another tab holding an open connection */
+  onBlocked?: () => void;
+  /** Milliseconds to wait for blocking tabs before the upgrade fails (default: 10000) */
+  upgradeTimeout?: number;
+  /** Time-to-live in milliseconds applied to every write without its own `ttl` */
+  defaultTtl?: number;
+  /** Milliseconds between sweeps that remove expired records from storage (default: 60000) */
+  sweepInterval?: number;
+  /**
+   * Where values are persisted (default: 'indexeddb', falling back to memory when IndexedDB
+   * can't be opened). Pass a StorageAdapter to use a custom backend.
+   */
+  storage?: StorageKind | StorageAdapter;
+  /**
+   * Run without window, IndexedDB or BroadcastChannel - values live in memory and nothing is
+   * broadcast (default: true when `window` is undefined, e.g. during server rendering)
+   */
+  ssr?: boolean;
+  /**
+   * Shared keys and the scope(s) allowed to write them through `store.scope()`.
+   * Scopes can read shared keys, but writes from any other scope throw an AccessError.
+   */
+  ownership?: Ownership<T>;
+  /**
+   * Keys that `set` and `delete` request events - e.g. from `mfe-store/client` - may write.
+   * Any script on the page can dispatch requests, so nothing is writable that way unless it's
+   * listed here; other writes reject with an AccessError. Reads are always answered.
+   */
+  requestWrites?: Array<keyof T>;
+  /** Middleware around get, set, delete, clear and incoming messages, run in array order */
+  plugins?: StorePlugin<T>[];
+  /** Encrypt the listed keys with AES-GCM before they are persisted */
+  encryption?: EncryptionOptions<T>;
+  /** Record local writes for `store.history` undo/redo (default: false) */
+  history?: boolean | HistoryOptions;
+  /**
+   * Record writes to the listed keys in a persisted outbox and sync them with a backend
+   * through `transport`. Rounds run in the leader tab.
+   */
+  sync?: SyncOptions<T>;
+  /**
+   * Buffer writes for high-frequency updates such as slider or drag positions: the cache and
+   * subscribers update straight away, and the latest value per key is persisted, announced
+   * and broadcast in one batch per animation frame (or `interval`). See `store.flush()`.
+   */
+  writeBehind?: boolean | WriteBehindOptions<T>;
+}
+
+/**
+ * Plain-data copy of a store's values, e.g. rendered on the server and hydrated in the browser
+ */
+export interface StoreSnapshot<T extends Record<string, unknown>> {
+  values: Partial<T>;
+}
+
+/**
+ * Writes staged inside `store.transaction` - nothing is persisted until the callback resolves
+ */
+export interface StoreTransaction<T extends Record<string, unknown>> {
+  /** Read a value, including writes already staged in this transaction */
+  get: <K extends keyof T>(key: K) => Promise<T[K] | undefined>;
+  set: <K extends keyof T>(key: K, value: T[K], options?: SetOptions) => void;
+  delete: <K extends keyof T>(key: K) => void;
+}
+
+/**
+ * Subscribe to one key, to the slice of a key picked by `options.selector`, or to every key
+ * matching a pattern such as `keyPattern('cart.*')`
+ */
+export interface Subscribe<T extends Record<string, unknown>> {
+  <K extends keyof T>(key: K, listener: Listener<T[K]>): Unsubscribe;
+  <K extends keyof T, S>(
+    key: K,
+    listener: Listener<S>,
+    options: SubscribeOptions<T[K], S>
+  ): Unsubscribe;
+  (pattern: KeyPattern, listener: ChangeListener<T>): Unsubscribe;
 }
 
 export interface Store<T extends Record<string, unknown>> {
   get: <K extends keyof T>(key: K) => Promise<T[K] | undefined>;
-  set: <K extends keyof T>(key: K, value: T[K]) => Promise<void>;
+  set: <K extends keyof T>(key: K, value: T[K], options?: SetOptions) => Promise<void>;
   delete: <K extends keyof T>(key: K) => Promise<void>;
-  subscribe: <K extends keyof T>(key: K, listener: Listener<T[K]>) => Unsubscribe;
+  subscribe: Subscribe<T>;
+  /** Listen to every change, to any key */
+  subscribeAll: (listener: ChangeListener<T>) => Unsubscribe;
   getAll: () => Promise<Partial<T>>;
   clear: () => Promise<void>;
+  transaction: <R>(fn: (tx: StoreTransaction<T>) => R | Promise<R>) => Promise<R>;
+  /** Atomically replace a value based on its current one - returning undefined deletes the key */
+  update: <K extends keyof T>(
+    key: K,
+    updater: (value: T[K] | undefined, meta: UpdateMeta) => T[K] | undefined,
+    options?: SetOptions
+  ) => Promise<T[K] | undefined>;
+  /** Preload every stored value (or only `keys`) into the cache */
+  ready: (keys?: Array<keyof T>) => Promise<void>;
+  /** True once `ready()` has preloaded everything, or - given a key - once that key is loaded */
+  isReady: (key?: keyof T) => boolean;
+  /** Synchronously read a cached value - undefined until the key is loaded */
+  peek: <K extends keyof T>(key: K) => T[K] | undefined;
+  /** Revision of the cached value, as `update` reports it - undefined until the key is loaded */
+  revision: (key: keyof T) => number | undefined;
+  /** Synchronously read every cached value - the same object is returned until something changes */
+  getSnapshot: () => Partial<T>;
+  /** Capture every current value, e.g. on the server to embed in the HTML */
+  dehydrate: () => Promise<StoreSnapshot<T>>;
+  /** Seed the cache from a snapshot without reading storage */
+  hydrate: (snapshot: StoreSnapshot<T>) => void;
+  /** View of the store where keys are namespaced under `name` - see `ownership` for shared keys */
+  scope: <S extends Record<string, unknown> = Record<string, unknown>>(name: string) => Store<S>;
+  /** Undo/redo for local writes - only records when the `history` option is set */
+  history: StoreHistory<T>;
+  /**
+   * Run `callback` while this tab is the one leader among all tabs on the channel -
+   * its signal aborts when leadership moves elsewhere. Never called in SSR mode.
+   */
+  onLeader: (callback: LeaderCallback) => Unsubscribe;
+  isLeader: () => boolean;
+  /** Remote sync of the keys in the `sync` option - inert when it isn't set */
+  sync: StoreSync;
+  /** Receive every set, delete, expiry and clear, local or from other tabs, e.g. for logging */
+  inspect: (listener: InspectListener<T>) => Unsubscribe;
+  /**
+   * Hear about every failed operation, including background work such as expiry that no
+   * caller awaits. Failed calls still reject too.
+   */
+  onError: (listener: ErrorListener<T>) => Unsubscribe;
+  /**
+   * Define `name` as a read-only key computed from `deps`, recomputed whenever one of them
+   * changes in this tab or another. Returns a function that removes the definition.
+   */
+  derive: <K extends keyof T, const D extends ReadonlyArray<keyof T>>(
+    name: K,
+    deps: D,
+    compute: (...values: DependencyValues<T, D>) => T[K] | undefined,
+    options?: DeriveOptions
+  ) => Unsubscribe;
+  /**
+   * Persist writes buffered by the `writeBehind` option now - resolves once they are stored,
+   * and rejects when they fail. Resolves straight away when nothing is buffered.
+   */
+  flush: () => Promise<void>;
+  /**
+   * Records stored apart from the keys, each written on its own and queried by index -
+   * for lists such as notifications that would otherwise be rewritten whole on every change.
+   * The same name returns the same collection.
+   */
+  collection: <R extends object>(name: string, options: CollectionOptions<R>) => Collection<R>;
+  /**
+   * Capture the stored values as a versioned, JSON-safe document, e.g. for a support ticket.
+   * Leaves out derived keys, collections and, unless `includeEncrypted` is set, encrypted keys.
+   */
+  exportSnapshot: (options?: ExportOptions<T>) => Promise<SnapshotDocument>;
+  /**
+   * Write a snapshot's values in one validated, atomic transaction that reaches subscribers
+   * in every tab. Snapshots from an older schema version are migrated first.
+   */
+  importSnapshot: (doc: SnapshotDocument, options?: ImportOptions<T>) => Promise<void>;
   destroy: () => void;
 }
 
-interface BroadcastMessage<T, K extends keyof T = keyof T> {
-  type: 'set' | 'delete' | 'clear';
+/**
+ * One change to a key as sent between tabs
+ */
+export interface BroadcastChange<T, K extends keyof T = keyof T> {
+  type: 'set' | 'delete' | 'expire';
+  key: K;
+  value?: T[K];
+  oldValue?: T[K];
+  revision?: number;
+  expiresAt?: number;
+  /** The value was left out (encrypted key) - receivers read it back from storage */
+  reread?: boolean;
+}
+
+/**
+ * Message posted on the BroadcastChannel for every write
+ */
+export interface BroadcastMessage<T, K extends keyof T = keyof T> {
+  type: 'set' | 'delete' | 'expire' | 'clear' | 'batch' | 'records';
   key?: K;
   value?: T[K];
   oldValue?: T[K];
+  /** Revision of the key after this write - older revisions are ignored */
+  revision?: number;
+  /** Epoch milliseconds when the value expires, so every tab drops it at the same moment */
+  expiresAt?: number;
+  /** The value was left out (encrypted key) - receivers read it back from storage */
+  reread?: boolean;
+  /** Changes committed together by a transaction */
+  changes?: BroadcastChange<T>[];
+  /** Keys that held a value before a clear */
+  keys?: K[];
+  /** Collection whose `records` changed */
+  collection?: string;
+  records?: RecordChange[];
+  /** Id of the sending tab */
+  tab?: string;
 }
 
-// ============================================================================
-// IndexedDB helpers
-// ============================================================================
+const toOperation = <T>(
+  { type, key, value, expiresAt }: BroadcastChange<T>,
+  outbox = false
+): WriteOperation =>
+  type === 'set'
+    ? { type, key: key as string, value, expiresAt, outbox }
+    : { type: 'delete', key: key as string, outbox };
 
-const openDatabase = (dbName: string, storeName: string): Promise<IDBDatabase> => {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(dbName, 1);
+// setTimeout can't wait longer than this; longer expiries are re-armed when it fires
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
+// ============================================================================
+// Event helpers
+// ============================================================================
 
-    request.onupgradeneeded = (event) => {
-      const db = (event.target as IDBOpenDBRequest).result;
-      if (!db.objectStoreNames.contains(storeName)) {
-        db.createObjectStore(storeName);
-      }
-    };
-  });
-};
+const isServer = (): boolean => typeof window === 'undefined';
 
-const dbGet = <T>(
-  db: IDBDatabase,
-  storeName: string,
-  key: string
-): Promise<T | undefined> => {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, 'readonly');
-    const store = tx.objectStore(storeName);
-    const request = store.get(key);
-
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve(request.result);
-  });
-};
+// Where a change came from, reported to inspectors and in change event metadata
+type ChangeSource = Pick<ChangeMeta, 'origin' | 'tab'>;
 
-const dbSet = <T>(
-  db: IDBDatabase,
-  storeName: string,
+// Per-key event for key subscribers, and a channel-wide one for patterns and subscribeToAll
+const emitLocalEvent = (
+  channelName: string,
   key: string,
-  value: T
-): Promise<void> => {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, 'readwrite');
-    const store = tx.objectStore(storeName);
-    const request = store.put(value, key);
-
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
-};
+  value: unknown,
+  oldValue: unknown,
+  meta: ChangeMeta
+): void => {
+  if (isServer()) return;
 
-const dbDelete = (
-  db: IDBDatabase,
-  storeName: string,
-  key: string
-): Promise<void> => {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, 'readwrite');
-    const store = tx.objectStore(storeName);
-    const request = store.delete(key);
-
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
+  const detail: ChangeEventDetail = {
+    protocol: PROTOCOL_VERSION,
+    type: 'change',
+    key,
+    value,
+    oldValue,
+    meta,
+  };
+  window.dispatchEvent(new CustomEvent(changeEventName(channelName, key), { detail }));
+  window.dispatchEvent(new CustomEvent(channelEventName(channelName), { detail }));
 };
 
-const dbGetAll = <T extends Record<string, unknown>>(
-  db: IDBDatabase,
-  storeName: string
-): Promise<Partial<T>> => {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, 'readonly');
-    const store = tx.objectStore(storeName);
-    const request = store.openCursor();
-    const result: Record<string, unknown> = {};
-
-    request.onerror = () => reject(request.error);
-    request.onsuccess = (event) => {
-      const cursor = (event.target as IDBRequest<IDBCursorWithValue>).result;
-      if (cursor) {
-        result[cursor.key as string] = cursor.value;
-        cursor.continue();
-      } else {
-        resolve(result as Partial<T>);
-      }
-    };
-  });
-};
+const toErrorDetail = (error: unknown): ErrorEventDetail['error'] => ({
+  name: (error as Error)?.name ?? 'Error',
+  message: (error as Error)?.message ?? String(error),
+});
 
-const dbClear = (db: IDBDatabase, storeName: string): Promise<void> => {
-  return new Promise((resolve, reject) => {
-    const tx = db.transaction(storeName, 'readwrite');
-    const store = tx.objectStore(storeName);
-    const request = store.clear();
+// ============================================================================
+// Cache
+// ============================================================================
 
-    request.onerror = () => reject(request.error);
-    request.onsuccess = () => resolve();
-  });
+/**
+ * In-memory cache that keeps a plain-object copy of its entries until the next change,
+ * so getSnapshot() hands out the same reference while nothing has changed
+ */
+const createCache = <T extends Record<string, unknown>>() => {
+  const entries = new Map<keyof T, T[keyof T]>();
+  let snapshot: Partial<T> | null = null;
+
+  return {
+    has: (key: keyof T): boolean => entries.has(key),
+    get: (key: keyof T): T[keyof T] | undefined => entries.get(key),
+    set: (key: keyof T, value: T[keyof T]): void => {
+      entries.set(key, value);
+      snapshot = null;
+    },
+    delete: (key: keyof T): void => {
+      if (entries.delete(key)) {
+        snapshot = null;
+      }
+    },
+    clear: (): void => {
+      entries.clear();
+      snapshot = null;
+    },
+    snapshot: (): Partial<T> => {
+      if (!snapshot) {
+        snapshot = Object.fromEntries(entries) as Partial<T>;
+      }
+      return snapshot;
+    },
+  };
 };
 
 // ============================================================================
-// Event helpers
+// Storage selection
 // ============================================================================
 
-const createEventName = (channelName: string, key: string): string =>
-  `store:${channelName}:${key}`;
+interface AdapterContext {
+  dbName: string;
+  storeName: string;
+  version: number;
+  migrations?: Record<number, Migration>;
+  upgradeTimeout: number;
+  onBlocked?: () => void;
+  onVersionChange: () => void;
+  outbox: boolean;
+}
 
-const emitLocalEvent = <T>(
-  channelName: string,
-  key: string,
-  value: T,
-  oldValue: T | undefined
-): void => {
-  window.dispatchEvent(
-    new CustomEvent(createEventName(channelName, key), {
-      detail: { value, oldValue },
-    })
-  );
+const createAdapter = (
+  storage: StorageKind | StorageAdapter,
+  context: AdapterContext
+): StorageAdapter => {
+  if (typeof storage === 'object') {
+    return storage;
+  }
+
+  const { dbName, storeName, version, migrations } = context;
+  const webStorageOptions = { prefix: `${dbName}/${storeName}:`, version, migrations };
+
+  switch (storage) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'localStorage':
+      return createLocalStorageAdapter(webStorageOptions);
+    case 'sessionStorage':
+      return createSessionStorageAdapter(webStorageOptions);
+    default:
+      // Private browsing modes may refuse to open IndexedDB - keep working in memory
+      return withFallback(createIndexedDBAdapter(context), createMemoryAdapter);
+  }
+};
+
+// Storage failures reach callers as QuotaError or ConnectionError, whichever backend raised them
+const withStoreErrors = (adapter: StorageAdapter): StorageAdapter => {
+  const typed = <R>(promise: Promise<R>): Promise<R> =>
+    promise.catch((error) => {
+      throw toStoreError(error);
+    });
+
+  return {
+    open: adapter.open && (() => typed(adapter.open!())),
+    get: (key) => typed(adapter.get(key)),
+    getAll: () => typed(adapter.getAll()),
+    getExpired: (now) => typed(adapter.getExpired(now)),
+    write: (keys, mutate) => typed(adapter.write(keys, mutate)),
+    clear: () => typed(adapter.clear()),
+    close: () => adapter.close(),
+    sync: adapter.sync && {
+      pending: () => typed(adapter.sync!.pending()),
+      acknowledge: (ids) => typed(adapter.sync!.acknowledge(ids)),
+      readState: () => typed(adapter.sync!.readState()),
+      writeState: (state) => typed(adapter.sync!.writeState(state)),
+    },
+    collection:
+      adapter.collection &&
+      ((name, schema) => {
+        const storage = adapter.collection!(name, schema);
+        return {
+          get: (key) => typed(storage.get(key)),
+          write: (operations) => typed(storage.write(operations)),
+          query: (query) => typed(storage.query(query)),
+          clear: () => typed(storage.clear()),
+        };
+      }),
+  };
 };
 
 // ============================================================================
@@ -171,111 +474,623 @@ export const createStore = <T extends Record<string, unknown>>(
     storeName = 'store',
     channelName = dbName,
     validators,
+    version = 1,
+    migrations,
+    onBlocked,
+    upgradeTimeout = 10000,
+    defaultTtl,
+    sweepInterval = 60000,
+    ssr = isServer(),
+    storage = ssr ? 'memory' : 'indexeddb',
+    ownership,
+    requestWrites = [],
+    plugins = [],
+    encryption,
+    history: historyOption = false,
+    sync: syncOption,
+    writeBehind = false,
   } = options;
 
   // In-memory cache for synchronous access patterns
-  const cache = new Map<keyof T, T[keyof T]>();
+  const cache = createCache<T>();
+  // Keys read from storage (present or not), and whether everything has been preloaded
+  const loaded = new Set<keyof T>();
+  let preloaded = false;
+  // Latest known revision per key, used to drop stale broadcasts
+  const revisions = new Map<keyof T, number>();
   const listeners = new Map<keyof T, Set<Listener<T[keyof T]>>>();
+  // Pattern and store-wide listeners, with the keys they care about
+  const wildcardListeners = new Set<{
+    match: (key: keyof T) => boolean;
+    listener: ChangeListener<T>;
+  }>();
+  // Expiry time per key, and the timers that drop keys when they expire
+  const expiries = new Map<keyof T, number>();
+  const expiryTimers = new Map<keyof T, ReturnType<typeof setTimeout>>();
+  let sweepTimer: ReturnType<typeof setInterval> | undefined;
+  // Change events for devtools and logging
+  const inspector = createInspector<T>();
+  const tabId = getTabId();
+  const localSource: ChangeSource = { origin: 'local', tab: tabId };
+  const errorListeners = new Set<ErrorListener<T>>();
+
+  // Tell onError listeners - and, through an event, the rest of the page - about a failure
+  const reportError = (error: unknown, operation: StoreOperation, key?: keyof T): void => {
+    errorListeners.forEach((listener) =>
+      runSafely(() => listener({ error: error as Error, operation, key }))
+    );
+    if (ssr) return;
+    const detail: ErrorEventDetail = {
+      protocol: PROTOCOL_VERSION,
+      type: 'error',
+      operation,
+      key: key as string | undefined,
+      error: toErrorDetail(error),
+      meta: { tab: tabId, timestamp: Date.now() },
+    };
+    window.dispatchEvent(new CustomEvent(errorEventName(channelName), { detail }));
+  };
 
-  // Database connection (lazy initialized)
-  let dbPromise: Promise<IDBDatabase> | null = null;
+  // Report a failed call, which still rejects for its caller
+  const reporting = <R>(
+    operation: StoreOperation,
+    key: keyof T | undefined,
+    promise: Promise<R>
+  ): Promise<R> =>
+    promise.catch((error) => {
+      reportError(error, operation, key);
+      throw error;
+    });
 
-  const getDb = (): Promise<IDBDatabase> => {
-    if (!dbPromise) {
-      dbPromise = openDatabase(dbName, storeName);
-    }
-    return dbPromise;
+  // Persistence backend (connects lazily on first use)
+  const backend = createAdapter(storage, {
+    dbName,
+    storeName,
+    version,
+    migrations,
+    upgradeTimeout,
+    onBlocked,
+    outbox: syncOption !== undefined,
+    onVersionChange: () => {
+      // Another tab is upgrading - drop data that may be reshaped
+      cache.clear();
+      revisions.clear();
+      loaded.clear();
+      preloaded = false;
+    },
+  });
+  const adapter = withStoreErrors(
+    encryption ? withEncryption(backend, encryption as EncryptionOptions) : backend
+  );
+  const encryptedKeys = new Set<keyof T>(encryption?.keys);
+  // Local writes to these keys are queued in the outbox for the sync engine
+  const syncedKeys = new Set<keyof T>(syncOption?.keys);
+  if (syncOption && !adapter.sync) {
+    throw new Error('The sync option needs a storage adapter that implements `sync`');
+  }
+
+  // Cross-tab communication (not available when rendering on the server)
+  const channel =
+    ssr || typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel(channelName);
+  // One leader per channel, for work only one tab should do
+  const election = channel ? createLeaderElection(channelName) : null;
+
+  // Encrypted values never go out in plaintext - receivers re-read them from storage instead
+  const redact = <C extends BroadcastChange<T> | BroadcastMessage<T>>(change: C): C =>
+    change.key !== undefined && encryptedKeys.has(change.key)
+      ? { ...change, value: undefined, oldValue: undefined, reread: change.type === 'set' }
+      : change;
+
+  const broadcast = (message: BroadcastMessage<T>): void => {
+    const redacted = message.changes
+      ? { ...message, changes: message.changes.map(redact) }
+      : redact(message);
+    channel?.postMessage({ ...redacted, tab: tabId });
   };
 
-  // Cross-tab communication
-  const channel = new BroadcastChannel(channelName);
+  // Emit CustomEvent for in-page pub/sub (micro frontends)
+  const announce = (
+    key: keyof T,
+    value: unknown,
+    oldValue: unknown,
+    source: ChangeSource = localSource
+  ): void => {
+    emitLocalEvent(channelName, key as string, value, oldValue, {
+      ...source,
+      timestamp: Date.now(),
+      revision: revisions.get(key),
+    });
+  };
 
+  // Buffered writes are announced to the page once they are persisted
   const notifyListeners = <K extends keyof T>(
     key: K,
     value: T[K],
-    oldValue: T[K] | undefined
+    oldValue: T[K] | undefined,
+    source: ChangeSource = localSource,
+    announced = true
   ): void => {
     const keyListeners = listeners.get(key);
     if (keyListeners) {
       keyListeners.forEach((listener) => listener(value, oldValue));
     }
-    // Emit CustomEvent for in-page pub/sub (micro frontends)
-    emitLocalEvent(channelName, key as string, value, oldValue);
+    wildcardListeners.forEach(({ match, listener }) => {
+      if (match(key)) {
+        listener(value, oldValue, key);
+      }
+    });
+    if (announced) {
+      announce(key, value, oldValue, source);
+    }
+    derivations.changed(key, source);
   };
 
-  // Handle messages from other tabs
-  channel.onmessage = (event: MessageEvent<BroadcastMessage<T>>) => {
-    const { type, key, value, oldValue } = event.data;
+  // Derived keys live in the cache like stored ones, but only their computation writes them
+  const derivations = createDerivations<T>({
+    get: (key) => get(key),
+    peek: (key) => peek(key),
+    apply: (key, value, source = localSource) => {
+      const oldValue = cache.get(key);
+      if (value === undefined) {
+        cache.delete(key);
+      } else {
+        cache.set(key, value);
+      }
+      loaded.add(key);
+      if (!Object.is(oldValue, value)) {
+        notifyListeners(key, value as T[keyof T], oldValue, source);
+      }
+    },
+    fail: (key, error) => reportError(error, 'derive', key),
+    persist: async (key, value) => {
+      // Not broadcast - other tabs that derive the key compute it themselves
+      const change: BroadcastChange<T> =
+        value === undefined ? { type: 'delete', key } : { type: 'set', key, value };
+      const committed = await adapter.write([key as string], () => [toOperation(change)]);
+      revisions.set(key, committed.get(key as string)!);
+    },
+  });
 
-    if (type === 'set' && key !== undefined && value !== undefined) {
+  // Validators may throw anything - callers always get a ValidationError
+  const validate = <K extends keyof T>(key: K, value: T[K]): void => {
+    const validator = validators?.[key];
+    if (!validator) return;
+    try {
+      validator(value);
+    } catch (error) {
+      throw new ValidationError((error as Error)?.message ?? String(error), String(key), error);
+    }
+  };
+
+  const assertNotDerived = (key: keyof T): void => {
+    if (derivations.isDerived(key)) {
+      throw new AccessError(
+        `"${String(key)}" is derived from other keys and can't be written`,
+        String(key)
+      );
+    }
+  };
+
+  const isStale = (key: keyof T, revision: number | undefined): boolean =>
+    revision !== undefined && revision <= (revisions.get(key) ?? 0);
+
+  // True when a read from the database is older than what this tab has already seen
+  const isOutdated = (key: keyof T, revision: number): boolean =>
+    revision < (revisions.get(key) ?? 0);
+
+  const expiresAtFor = (options?: SetOptions): number | undefined => {
+    const ttl = options?.ttl ?? defaultTtl;
+    return ttl === undefined ? undefined : Date.now() + ttl;
+  };
+
+  const isExpired = (key: keyof T): boolean => {
+    const expiresAt = expiries.get(key);
+    return expiresAt !== undefined && expiresAt <= Date.now();
+  };
+
+  const clearExpiries = (): void => {
+    expiryTimers.forEach((timer) => clearTimeout(timer));
+    expiryTimers.clear();
+    expiries.clear();
+  };
+
+  // Remove an expired key from this tab and tell its subscribers - including about keys this
+  // tab never read. Keys read as missing were already dropped, so they aren't announced again.
+  const dropExpired = (key: keyof T, source: ChangeSource = localSource): void => {
+    trackExpiry(key, undefined);
+    if (!cache.has(key) && isReady(key)) return;
+
+    const oldValue = cache.get(key);
+    cache.delete(key);
+    loaded.add(key);
+    notifyListeners(key, undefined as T[typeof key], oldValue, source);
+    inspector.emit({ type: 'expire', key, oldValue, origin: source.origin });
+  };
+
+  // Drop an expired key, then delete it from IndexedDB unless it was rewritten meanwhile
+  const expireKey = async (key: keyof T): Promise<void> => {
+    dropExpired(key);
+
+    const committed = await adapter.write([key as string], (current, metas) =>
+      current.get(key as string) !== undefined && isExpiredMeta(metas.get(key as string))
+        ? [{ type: 'delete', key: key as string }]
+        : []
+    );
+
+    // Only the tab that actually deleted the record broadcasts it
+    const revision = committed.get(key as string);
+    if (revision !== undefined) {
+      revisions.set(key, revision);
+      broadcast({ type: 'expire', key, revision } as BroadcastMessage<T>);
+    }
+  };
+
+  const expireInBackground = (key: keyof T): void => {
+    // A failed cleanup is retried by the next sweep
+    expireKey(key).catch((error) => reportError(error, 'expire', key));
+  };
+
+  const sweep = async (): Promise<void> => {
+    const expired = await adapter.getExpired(Date.now());
+    expired.forEach((key) => expireInBackground(key as keyof T));
+  };
+
+  const startSweep = (): void => {
+    // Timers would keep a server process alive; reads still honour expiry
+    if (ssr) return;
+    if (sweepTimer === undefined) {
+      sweepTimer = setInterval(() => {
+        sweep().catch((error) => reportError(error, 'expire'));
+      }, sweepInterval);
+    }
+  };
+
+  // Every tab arms a timer for the same absolute time, so they all drop the key together
+  const trackExpiry = (key: keyof T, expiresAt: number | undefined): void => {
+    clearTimeout(expiryTimers.get(key));
+    expiryTimers.delete(key);
+
+    if (expiresAt === undefined) {
+      expiries.delete(key);
+      return;
+    }
+
+    expiries.set(key, expiresAt);
+    startSweep();
+    if (ssr) return;
+
+    const delay = Math.max(expiresAt - Date.now(), 0);
+    expiryTimers.set(
+      key,
+      setTimeout(() => {
+        if (delay > MAX_TIMER_DELAY) {
+          trackExpiry(key, expiresAt);
+        } else {
+          expireInBackground(key);
+        }
+      }, Math.min(delay, MAX_TIMER_DELAY))
+    );
+  };
+
+  if (defaultTtl !== undefined) {
+    startSweep();
+  }
+
+  const applyRemoteChange = (
+    { type, key, value, oldValue, revision, expiresAt, reread }: BroadcastChange<T>,
+    source: ChangeSource
+  ): void => {
+    // A newer write for this key already landed here, or this store computes it itself.
+    // Buffered writes land after the change that was broadcast, so they win.
+    if (isStale(key, revision) || derivations.isDerived(key) || writes?.isPending(key)) return;
+    if (revision !== undefined) {
+      revisions.set(key, revision);
+    }
+
+    if (type === 'set' && reread) {
+      rereadKey(key, source);
+    } else if (type === 'set' && value !== undefined) {
       cache.set(key, value as T[keyof T]);
-      notifyListeners(key, value as T[typeof key], oldValue as T[typeof key] | undefined);
-    } else if (type === 'delete' && key !== undefined) {
+      trackExpiry(key, expiresAt);
+      notifyListeners(key, value as T[typeof key], oldValue as T[typeof key] | undefined, source);
+      inspector.emit({ type, key, value, oldValue, origin: source.origin });
+    } else if (type === 'delete') {
       const old = cache.get(key);
       cache.delete(key);
-      notifyListeners(key, undefined as T[typeof key], old as T[typeof key] | undefined);
-    } else if (type === 'clear') {
-      cache.clear();
-      // Notify all listeners with undefined
-      listeners.forEach((_, key) => {
-        notifyListeners(key, undefined as T[typeof key], undefined);
+      trackExpiry(key, undefined);
+      notifyListeners(key, undefined as T[typeof key], old as T[typeof key] | undefined, source);
+      inspector.emit({ type, key, oldValue: old, origin: source.origin });
+    } else if (type === 'expire') {
+      dropExpired(key, source);
+    }
+  };
+
+  // Load a key whose new value wasn't broadcast, keeping the old value until it arrives
+  const rereadKey = (key: keyof T, source: ChangeSource): void => {
+    const oldValue = cache.get(key);
+    load(key)
+      .then((value) => {
+        if (value !== oldValue) {
+          notifyListeners(key, value as T[typeof key], oldValue, source);
+          inspector.emit({ type: 'set', key, value, oldValue, origin: source.origin });
+        }
+      })
+      .catch((error) => reportError(error, 'get', key));
+  };
+
+  // Put back a cache entry whose write failed to persist - nobody was notified of the write
+  const restore = (key: keyof T, present: boolean, value: T[keyof T] | undefined): void => {
+    if (present) {
+      cache.set(key, value as T[keyof T]);
+    } else {
+      cache.delete(key);
+    }
+  };
+
+  // Persist changes in one transaction and record the revisions they were given
+  const persist = async (changes: BroadcastChange<T>[], recordOutbox = true): Promise<void> => {
+    const committed = await adapter.write(
+      changes.map(({ key }) => key as string),
+      () =>
+        changes.map((change) => toOperation(change, recordOutbox && syncedKeys.has(change.key)))
+    );
+    changes.forEach((change) => {
+      change.revision = committed.get(change.key as string);
+      revisions.set(change.key, change.revision!);
+      trackExpiry(change.key, change.expiresAt);
+    });
+  };
+
+  // Persist buffered writes as one batch, then announce and broadcast them
+  const commitBuffered = async (buffered: BufferedWrite<T>[]): Promise<void> => {
+    const changes = buffered.map(({ change }) => change);
+    try {
+      await persist(changes);
+    } catch (error) {
+      // Subscribers already saw these values - put back what was there, unless written since
+      buffered.forEach(({ change: { type, key, value, oldValue }, present }) => {
+        const unchanged =
+          type === 'set' ? cache.has(key) && Object.is(cache.get(key), value) : !cache.has(key);
+        if (unchanged) {
+          restore(key, present, oldValue);
+          notifyListeners(key, oldValue as T[typeof key], value, localSource, false);
+        }
+        reportError(error, type === 'set' ? 'set' : 'delete', key);
       });
+      throw error;
+    }
+
+    changes.forEach(({ key, value, oldValue }) => announce(key, value, oldValue));
+    broadcast({ type: 'batch', changes } as BroadcastMessage<T>);
+    buffered.forEach(({ change: { type, key, value, oldValue }, stack }) => {
+      inspector.emit({ type, key, value, oldValue, origin: 'local', stack });
+    });
+  };
+
+  const writes = writeBehind
+    ? createWriteBuffer<T>(writeBehind === true ? {} : writeBehind, commitBuffered)
+    : null;
+
+  // Let pending writes land first, so later ones don't race them - failures were reported
+  const settleWrites = async (): Promise<void> => {
+    await writes?.flush().catch(() => undefined);
+  };
+
+  // Cache a write, tell subscribers and leave persisting it to the next flush
+  const buffer = (change: BroadcastChange<T>, stack?: string): void => {
+    const { type, key, value } = change;
+    const present = cache.has(key);
+    const before = expiriesOf([key]);
+    change.oldValue = cache.get(key);
+    if (type === 'set') {
+      cache.set(key, value as T[keyof T]);
+    } else {
+      cache.delete(key);
+    }
+    writes!.add(change, present, stack);
+    notifyListeners(key, value as T[typeof key], change.oldValue, localSource, false);
+    recordChanges([change], before);
+  };
+
+  // Apply a message from another tab
+  const applyMessage = (message: BroadcastMessage<T>): void => {
+    const { type, key, value, oldValue, revision, expiresAt, reread, changes } = message;
+    // Tabs running a version without tab ids are reported as 'unknown'
+    const source: ChangeSource = { origin: 'broadcast', tab: message.tab ?? 'unknown' };
+
+    if ((type === 'set' || type === 'delete' || type === 'expire') && key !== undefined) {
+      applyRemoteChange({ type, key, value, oldValue, revision, expiresAt, reread }, source);
+    } else if (type === 'batch' && changes) {
+      changes.forEach((change) => applyRemoteChange(change, source));
+    } else if (type === 'clear') {
+      dropAll(message.keys ?? [], source);
+      inspector.emit({ type: 'clear', origin: 'broadcast' });
+    } else if (type === 'records' && message.collection !== undefined) {
+      collections.get(message.collection)?.notify(message.records ?? []);
+    }
+  };
+
+  // Empty the cache and notify every key that held a value, or that someone listens to
+  // Derived keys keep their value - they are recomputed as their dependencies are dropped
+  const dropAll = (cleared: Array<keyof T>, source: ChangeSource = localSource): void => {
+    const previous = cache.snapshot();
+    cache.clear();
+    clearExpiries();
+    derivations.keys().forEach((key) => {
+      if (key in previous) {
+        cache.set(key, previous[key] as T[keyof T]);
+      }
+    });
+
+    const keys = new Set([...cleared, ...(Object.keys(previous) as Array<keyof T>)]);
+    listeners.forEach((_, key) => keys.add(key));
+    keys.forEach((key) => {
+      if (!derivations.isDerived(key)) {
+        notifyListeners(key, undefined as T[typeof key], previous[key], source);
+      }
+    });
+  };
+
+  // Plugins run around the public operations and incoming messages
+  const run = createPipeline(plugins);
+
+  const onMessage = (event: MessageEvent<BroadcastMessage<T>>) => {
+    run('message', { message: event.data }, async ({ message }) => applyMessage(message)).catch(
+      // A throwing plugin drops the message, like one that doesn't call next()
+      () => undefined
+    );
+  };
+  if (channel) {
+    channel.onmessage = onMessage;
+  }
+
+  // Read a key from storage into the cache
+  const load = async <K extends keyof T>(key: K): Promise<T[K] | undefined> => {
+    const record = await adapter.get(key as string);
+    const value = record.value as T[K] | undefined;
+    const meta = record.meta;
+    const revision = meta?.rev ?? 0;
+    // A broadcast may have delivered a newer value while we were reading
+    if (isOutdated(key, revision)) {
+      return cache.get(key) as T[K] | undefined;
+    }
+    revisions.set(key, revision);
+    loaded.add(key);
+    if (value === undefined) {
+      return undefined;
+    }
+    if (isExpiredMeta(meta)) {
+      expireInBackground(key);
+      return undefined;
     }
+    cache.set(key, value);
+    trackExpiry(key, meta?.expiresAt);
+    return value;
   };
 
   // Public API
   const get = async <K extends keyof T>(key: K): Promise<T[K] | undefined> => {
+    if (derivations.isDerived(key)) {
+      return derivations.get(key) as Promise<T[K] | undefined>;
+    }
     // Check cache first
     if (cache.has(key)) {
+      if (isExpired(key)) {
+        expireInBackground(key);
+        return undefined;
+      }
       return cache.get(key) as T[K];
     }
-    // Fall back to IndexedDB
-    const db = await getDb();
-    const value = await dbGet<T[K]>(db, storeName, key as string);
-    if (value !== undefined) {
-      cache.set(key, value);
+    // Deleted by a write that isn't persisted yet
+    if (writes?.isPending(key)) {
+      return undefined;
     }
-    return value;
+    // Fall back to storage
+    return load(key);
   };
 
-  const set = async <K extends keyof T>(key: K, value: T[K]): Promise<void> => {
+  const set = async <K extends keyof T>(
+    key: K,
+    value: T[K],
+    options?: SetOptions
+  ): Promise<void> => {
     // Run validator if provided (throws on invalid)
-    const validator = validators?.[key];
-    if (validator) {
-      validator(value);
+    const stack = inspector.captureStack();
+    assertNotDerived(key);
+    validate(key, value);
+
+    if (writes?.buffers(key)) {
+      // Only wait when history has to load the old value - otherwise the cache updates now
+      if (historyEnabled && !isReady(key)) {
+        await loadForHistory([key]);
+      }
+      buffer({ type: 'set', key, value, expiresAt: expiresAtFor(options) }, stack);
+      return;
     }
 
+    await loadForHistory([key]);
+    const present = cache.has(key);
     const oldValue = cache.get(key) as T[K] | undefined;
+    const before = expiriesOf([key]);
     cache.set(key, value);
 
-    const db = await getDb();
-    await dbSet(db, storeName, key as string, value);
+    const change: BroadcastChange<T> = {
+      type: 'set',
+      key,
+      value,
+      oldValue,
+      expiresAt: expiresAtFor(options),
+    };
+    try {
+      await persist([change]);
+    } catch (error) {
+      if (cache.has(key) && Object.is(cache.get(key), value)) {
+        restore(key, present, oldValue);
+      }
+      throw error;
+    }
 
     // Notify local listeners
     notifyListeners(key, value, oldValue);
 
     // Broadcast to other tabs
-    channel.postMessage({ type: 'set', key, value, oldValue } as BroadcastMessage<T>);
+    broadcast(change as BroadcastMessage<T>);
+    recordChanges([change], before);
+    inspector.emit({ type: 'set', key, value, oldValue, origin: 'local', stack });
   };
 
   const del = async <K extends keyof T>(key: K): Promise<void> => {
+    const stack = inspector.captureStack();
+    assertNotDerived(key);
+
+    if (writes?.buffers(key)) {
+      if (historyEnabled && !isReady(key)) {
+        await loadForHistory([key]);
+      }
+      buffer({ type: 'delete', key }, stack);
+      return;
+    }
+
+    await loadForHistory([key]);
+    const present = cache.has(key);
     const oldValue = cache.get(key) as T[K] | undefined;
+    const before = expiriesOf([key]);
     cache.delete(key);
 
-    const db = await getDb();
-    await dbDelete(db, storeName, key as string);
+    const change: BroadcastChange<T> = { type: 'delete', key, oldValue };
+    try {
+      await persist([change]);
+    } catch (error) {
+      if (!cache.has(key)) {
+        restore(key, present, oldValue);
+      }
+      throw error;
+    }
 
     // Notify local listeners
     notifyListeners(key, undefined as T[K], oldValue);
 
     // Broadcast to other tabs
-    channel.postMessage({ type: 'delete', key, oldValue } as BroadcastMessage<T>);
+    broadcast(change as BroadcastMessage<T>);
+    recordChanges([change], before);
+    inspector.emit({ type: 'delete', key, oldValue, origin: 'local', stack });
   };
 
-  const subscribe = <K extends keyof T>(
-    key: K,
-    listener: Listener<T[K]>
+  const subscribeMatching = (
+    match: (key: keyof T) => boolean,
+    listener: ChangeListener<T>
   ): Unsubscribe => {
+    const entry = { match, listener };
+    wildcardListeners.add(entry);
+    return () => {
+      wildcardListeners.delete(entry);
+    };
+  };
+
+  const subscribeAll = (listener: ChangeListener<T>): Unsubscribe =>
+    subscribeMatching(() => true, listener);
+
+  const subscribeKey = <K extends keyof T>(key: K, listener: Listener<T[K]>): Unsubscribe => {
     if (!listeners.has(key)) {
       listeners.set(key, new Set());
     }
@@ -293,63 +1108,756 @@ export const createStore = <T extends Record<string, unknown>>(
     };
   };
 
+  const subscribe = ((
+    key: keyof T | KeyPattern,
+    listener: Listener<unknown>,
+    subscribeOptions?: SubscribeOptions<unknown, unknown>
+  ): Unsubscribe => {
+    if (isPattern(key)) {
+      return subscribeMatching(createKeyMatcher(key.pattern), listener as ChangeListener<T>);
+    }
+    const notify = subscribeOptions ? withSelector(listener, subscribeOptions) : listener;
+    return subscribeKey(key, notify);
+  }) as Subscribe<T>;
+
   const getAll = async (): Promise<Partial<T>> => {
-    const db = await getDb();
-    const all = await dbGetAll<T>(db, storeName);
-    // Update cache
+    const { values, metas } = await adapter.getAll();
+    const all = values as Partial<T>;
+    // Update cache, keeping anything newer that arrived by broadcast meanwhile
+    metas.forEach((meta, key) => {
+      // Buffered writes are newer than anything stored - they are added below
+      if (writes?.isPending(key)) return;
+      if (isOutdated(key, meta.rev)) {
+        if (cache.has(key) && !isExpired(key)) {
+          all[key as keyof T] = cache.get(key);
+        } else {
+          delete all[key as keyof T];
+        }
+        return;
+      }
+      revisions.set(key, meta.rev);
+      if (key in all && isExpiredMeta(meta)) {
+        delete all[key as keyof T];
+        expireInBackground(key);
+        return;
+      }
+      trackExpiry(key, meta.expiresAt);
+    });
+    writes?.pendingKeys().forEach((key) => {
+      if (cache.has(key)) {
+        all[key] = cache.get(key);
+      } else {
+        delete all[key];
+      }
+    });
     Object.entries(all).forEach(([key, value]) => {
-      cache.set(key as keyof T, value as T[keyof T]);
+      if (!derivations.isDerived(key as keyof T)) {
+        cache.set(key as keyof T, value as T[keyof T]);
+      }
+    });
+    // Derived keys report what they compute, not what was last persisted
+    derivations.keys().forEach((key) => {
+      if (isReady(key) && cache.has(key)) {
+        all[key] = cache.get(key);
+      } else {
+        delete all[key];
+      }
     });
     return all;
   };
 
+  // Values read together still pass through the get middleware, one key at a time
+  const readAll = async (): Promise<Partial<T>> => {
+    const all = await getAll();
+    if (!plugins.some((plugin) => plugin.get)) return all;
+
+    const result: Partial<T> = {};
+    for (const key of Object.keys(all) as Array<keyof T>) {
+      const value = await run('get', { key }, async () => all[key]);
+      if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
+  };
+
+  const ready = async (keys?: Array<keyof T>): Promise<void> => {
+    if (keys) {
+      await Promise.all(keys.map((key) => get(key)));
+      return;
+    }
+    await getAll();
+    preloaded = true;
+  };
+
+  const isReady = (key?: keyof T): boolean =>
+    preloaded || (key !== undefined && (cache.has(key) || loaded.has(key)));
+
+  const peek = <K extends keyof T>(key: K): T[K] | undefined => {
+    if (isExpired(key)) {
+      expireInBackground(key);
+      return undefined;
+    }
+    return cache.get(key) as T[K] | undefined;
+  };
+
+  const getSnapshot = (): Partial<T> => cache.snapshot();
+
   const clear = async (): Promise<void> => {
-    cache.clear();
+    const stack = inspector.captureStack();
+    // Writes made before the clear would only be cleared again, and a batch already
+    // committing has to land first, or it would persist after the clear
+    writes?.discard();
+    await settleWrites();
+    // Keys that aren't cached still have subscribers elsewhere, e.g. through subscribeToKey
+    const cleared = Object.keys((await adapter.getAll()).values) as Array<keyof T>;
+
+    await adapter.clear();
+    dropAll(cleared);
+
+    // Broadcast to other tabs
+    broadcast({ type: 'clear', keys: cleared } as BroadcastMessage<T>);
+    // Recorded steps would restore values around the clear
+    history.clear();
+    inspector.emit({ type: 'clear', origin: 'local', stack });
+  };
+
+  // Pass a write made outside `store.set` and `store.delete` - by a transaction, update, undo
+  // or snapshot import - through the set or delete middleware. Resolves with the change as the
+  // plugins left it, or undefined when one skipped next() to block it; next() resolves once the
+  // write is staged, before it is persisted with the rest of its batch.
+  const stage = async (
+    change: BroadcastChange<T>,
+    options?: SetOptions
+  ): Promise<BroadcastChange<T> | undefined> => {
+    let staged: BroadcastChange<T> | undefined;
+    if (change.type === 'set') {
+      const context = { key: change.key, value: change.value as T[keyof T], options };
+      await run('set', context, async ({ value, options: final }) => {
+        const expiresAt = final?.ttl === options?.ttl ? change.expiresAt : expiresAtFor(final);
+        staged = { ...change, value, expiresAt };
+      });
+    } else {
+      await run('delete', { key: change.key }, async () => {
+        staged = change;
+      });
+    }
+    return staged;
+  };
+
+  // Stage every change in order, leaving out the ones plugins blocked
+  const stageAll = async (
+    changes: Array<{ change: BroadcastChange<T>; options?: SetOptions }>
+  ): Promise<BroadcastChange<T>[]> => {
+    const staged: BroadcastChange<T>[] = [];
+    for (const { change, options } of changes) {
+      const result = await stage(change, options);
+      if (result) {
+        staged.push(result);
+      }
+    }
+    return staged;
+  };
 
-    const db = await getDb();
-    await dbClear(db, storeName);
+  const transaction = async <R>(
+    fn: (tx: StoreTransaction<T>) => R | Promise<R>
+  ): Promise<R> => {
+    const stack = inspector.captureStack();
+    // Staged writes, last write per key wins
+    const staged = new Map<keyof T, { change: BroadcastChange<T>; options?: SetOptions }>();
 
-    // Notify all listeners
-    listeners.forEach((_, key) => {
-      notifyListeners(key, undefined as T[typeof key], undefined);
+    const result = await fn({
+      get: async (key) => {
+        const change = staged.get(key)?.change;
+        if (change) {
+          return change.type === 'set' ? (change.value as T[typeof key]) : undefined;
+        }
+        return get(key);
+      },
+      set: (key, value, setOptions) => {
+        const change: BroadcastChange<T> = {
+          type: 'set',
+          key,
+          value,
+          expiresAt: expiresAtFor(setOptions),
+        };
+        staged.set(key, { change, options: setOptions });
+      },
+      delete: (key) => {
+        staged.set(key, { change: { type: 'delete', key } });
+      },
     });
 
-    // Broadcast to other tabs
-    channel.postMessage({ type: 'clear' } as BroadcastMessage<T>);
+    const changes = await stageAll(Array.from(staged.values()));
+    await loadForHistory(changes.map(({ key }) => key));
+    const before = expiriesOf(changes.map(({ key }) => key));
+    await commit(changes, true, stack);
+    recordChanges(changes, before);
+
+    return result;
+  };
+
+  // Validate, cache, persist, notify and broadcast several changes as one unit.
+  // Values applied from the sync backend are committed without recording them in the outbox.
+  const commit = async (
+    changes: BroadcastChange<T>[],
+    recordOutbox = true,
+    stack = inspector.captureStack()
+  ): Promise<void> => {
+    if (changes.length === 0) return;
+    await settleWrites();
+
+    // Validate every write before touching the cache or the database
+    changes.forEach(({ type, key, value }) => {
+      assertNotDerived(key);
+      if (type === 'set') {
+        validate(key, value as T[typeof key]);
+      }
+    });
+
+    const previous = new Map<keyof T, { present: boolean; value: T[keyof T] | undefined }>();
+    changes.forEach((change) => {
+      previous.set(change.key, { present: cache.has(change.key), value: cache.get(change.key) });
+      change.oldValue = cache.get(change.key);
+      if (change.type === 'set') {
+        cache.set(change.key, change.value as T[keyof T]);
+      } else {
+        cache.delete(change.key);
+      }
+    });
+
+    try {
+      await persist(changes, recordOutbox);
+    } catch (error) {
+      // Roll the cache back to what it was before the transaction
+      previous.forEach(({ present, value }, key) => restore(key, present, value));
+      throw error;
+    }
+
+    // Notify local listeners once everything is committed
+    changes.forEach(({ key, value, oldValue }) => {
+      notifyListeners(key, value as T[typeof key], oldValue as T[typeof key] | undefined);
+    });
+
+    // Broadcast all changes to other tabs as one message
+    broadcast({ type: 'batch', changes } as BroadcastMessage<T>);
+    changes.forEach(({ type, key, value, oldValue }) => {
+      inspector.emit({ type, key, value, oldValue, origin: 'local', stack });
+    });
+  };
+
+  // Undo and redo write through commit, so they reach subscribers and other tabs unrecorded
+  const historyEnabled = historyOption !== false;
+  const { history, record } = createHistory<T>(
+    typeof historyOption === 'object' ? historyOption : { limit: historyEnabled ? undefined : 0 },
+    async (values) =>
+      commit(
+        await stageAll(
+          values.map(({ key, value, expiresAt }) => ({
+            // A value whose ttl has run out since is restored as already gone
+            change:
+              value === undefined || (expiresAt !== undefined && expiresAt <= Date.now())
+                ? { type: 'delete', key }
+                : { type: 'set', key, value, expiresAt },
+          }))
+        )
+      )
+  );
+
+  // Recorded old values come from the cache, so load keys that haven't been read yet
+  const loadForHistory = async (keys: Array<keyof T>): Promise<void> => {
+    if (!historyEnabled) return;
+    await Promise.all(keys.filter((key) => !isReady(key)).map((key) => get(key)));
+  };
+
+  // When the current values of `keys` expire - read before a write replaces them
+  const expiriesOf = (keys: Array<keyof T>): Map<keyof T, number | undefined> =>
+    new Map(keys.map((key) => [key, expiries.get(key)]));
+
+  // Record committed changes with the expiry of each value, so undo and redo keep the ttl
+  const recordChanges = (
+    changes: BroadcastChange<T>[],
+    previousExpiries: Map<keyof T, number | undefined>
+  ): void =>
+    record(
+      changes.map(({ key, value, oldValue, expiresAt }) => ({
+        key,
+        before: oldValue,
+        after: value,
+        beforeExpiresAt: previousExpiries.get(key),
+        afterExpiresAt: expiresAt,
+      }))
+    );
+
+  // Whether any plugin wraps writes - update then can't write in a single storage transaction
+  const writeHooks = plugins.some((plugin) => plugin.set || plugin.delete);
+
+  const update = async <K extends keyof T>(
+    key: K,
+    updater: (value: T[K] | undefined, meta: UpdateMeta) => T[K] | undefined,
+    options?: SetOptions
+  ): Promise<T[K] | undefined> => {
+    const stack = inspector.captureStack();
+    assertNotDerived(key);
+    // The updater reads the stored value, so buffered writes go first
+    await settleWrites();
+
+    // Expiry of the value the updater was given, for history
+    let previousExpiry: number | undefined;
+    // The updater's result as a change - a record the sweep hasn't removed yet is already
+    // gone for readers
+    const toChange = (stored: unknown, meta: RecordMeta | undefined): BroadcastChange<T> => {
+      const expired = isExpiredMeta(meta);
+      const oldValue = expired ? undefined : (stored as T[K] | undefined);
+      previousExpiry = expired ? undefined : meta?.expiresAt;
+      const value = updater(oldValue, { revision: meta?.rev ?? 0 });
+      return value === undefined
+        ? { type: 'delete', key, oldValue }
+        : { type: 'set', key, value, oldValue, expiresAt: expiresAtFor(options) };
+    };
+    let change: BroadcastChange<T> | undefined;
+    let committed: Map<string, number>;
+
+    if (!writeHooks) {
+      // Read and write in one transaction, so concurrent updates from other tabs queue up
+      committed = await adapter.write([key as string], (current, metas) => {
+        change = toChange(current.get(key as string), metas.get(key as string));
+        if (change.type === 'set') {
+          validate(key, change.value as T[K]);
+        }
+        return [toOperation(change, syncedKeys.has(key))];
+      });
+    } else {
+      // Middleware is async and can't run inside a storage transaction, so the result is
+      // staged first and written only if the key hasn't changed since it was read - otherwise
+      // the updater runs again on the newer value
+      for (;;) {
+        const stored = await adapter.get(key as string);
+        const proposed = toChange(stored.value, stored.meta);
+        const staged = await stage(proposed, options);
+        if (staged?.type === 'set') {
+          validate(key, staged.value as T[K]);
+        }
+
+        let conflict = false;
+        committed = await adapter.write([key as string], (_, metas) => {
+          conflict = metas.get(key as string)?.rev !== stored.meta?.rev;
+          return conflict || !staged ? [] : [toOperation(staged, syncedKeys.has(key))];
+        });
+        if (conflict) continue;
+        // A plugin blocked the write - the key keeps the value the updater was given
+        if (!staged) return proposed.oldValue as T[K] | undefined;
+        change = staged;
+        break;
+      }
+    }
+
+    const { value, oldValue } = change!;
+    change!.revision = committed.get(key as string);
+    revisions.set(key, change!.revision!);
+    trackExpiry(key, change!.expiresAt);
+
+    if (value === undefined) {
+      cache.delete(key);
+    } else {
+      cache.set(key, value);
+    }
+
+    notifyListeners(key, value as T[K], oldValue as T[K] | undefined);
+    broadcast(change as BroadcastMessage<T>);
+    recordChanges([change!], new Map([[key, previousExpiry]]));
+    inspector.emit({ type: change!.type, key, value, oldValue, origin: 'local', stack });
+
+    return value as T[K] | undefined;
+  };
+
+  const syncEngine =
+    syncOption && adapter.sync
+      ? createSync(syncOption, {
+          storage: adapter.sync,
+          get: (key) => get(key as keyof T),
+          write: (values, outbox) =>
+            commit(
+              values.map(({ key, value }) =>
+                value === undefined
+                  ? { type: 'delete', key: key as keyof T }
+                  : { type: 'set', key: key as keyof T, value: value as T[keyof T] }
+              ),
+              outbox
+            ),
+          subscribe: (key, listener) => subscribe(key as keyof T, () => listener()),
+          report: (error, key) => reportError(error, 'sync', key as keyof T),
+        })
+      : null;
+
+  // Created on first use - records aren't cached, so each read goes to storage
+  const collections = new Map<string, ReturnType<typeof createCollection>>();
+
+  const collection = <R extends object>(
+    name: string,
+    collectionOptions: CollectionOptions<R>
+  ): Collection<R> => {
+    const existing = collections.get(name);
+    if (existing) {
+      return existing.collection as unknown as Collection<R>;
+    }
+    if (!adapter.collection) {
+      throw new Error('The storage adapter does not support collections');
+    }
+
+    const { keyPath, indexes = [] } = collectionOptions;
+    const created = createCollection<R>(collectionOptions, {
+      storage: adapter.collection(name, { keyPath, indexes }),
+      broadcast: (records) => {
+        broadcast({ type: 'records', collection: name, records } as BroadcastMessage<T>);
+      },
+      reporting: (promise) => reporting('collection', undefined, promise),
+    });
+    collections.set(name, created as unknown as ReturnType<typeof createCollection>);
+    return created.collection;
+  };
+
+  const exportSnapshot = async ({
+    keys,
+    includeEncrypted = false,
+  }: ExportOptions<T> = {}): Promise<SnapshotDocument> => {
+    // Buffered writes are part of the state being captured
+    await settleWrites();
+    const all = await readAll();
+    const values: Record<string, unknown> = {};
+    const expiresAt: Record<string, number> = {};
+
+    for (const key of Object.keys(all) as Array<keyof T>) {
+      if (derivations.isDerived(key) || !matchesFilter(keys, key)) continue;
+      if (encryptedKeys.has(key) && !includeEncrypted) continue;
+      values[key as string] = await encodeValue(all[key]);
+      const expiry = expiries.get(key);
+      if (expiry !== undefined) {
+        expiresAt[key as string] = expiry;
+      }
+    }
+
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      exportedAt: new Date().toISOString(),
+      source: { dbName, storeName, schemaVersion: version },
+      values,
+      ...(Object.keys(expiresAt).length > 0 && { expiresAt }),
+    };
+  };
+
+  const importSnapshot = async (
+    doc: SnapshotDocument,
+    { mode = 'merge', keys }: ImportOptions<T> = {}
+  ): Promise<void> => {
+    const stack = inspector.captureStack();
+    assertSnapshot(doc);
+    const { schemaVersion = version } = doc.source ?? {};
+    if (schemaVersion > version) {
+      throw new Error(
+        `Snapshot is at schema version ${schemaVersion}, newer than the store (${version})`
+      );
+    }
+
+    const values = new Map(
+      Object.entries(doc.values).map(([key, value]) => [key, decodeValue(value)])
+    );
+    // Values from an older schema are reshaped like stored ones are on upgrade
+    runMigrations(values, schemaVersion, version, migrations);
+
+    const now = Date.now();
+    const changes: BroadcastChange<T>[] = [];
+    values.forEach((value, key) => {
+      const expiresAt = doc.expiresAt?.[key];
+      const expired = expiresAt !== undefined && expiresAt <= now;
+      if (value === undefined || expired || derivations.isDerived(key as keyof T)) return;
+      if (matchesFilter(keys, key as keyof T)) {
+        changes.push({ type: 'set', key: key as keyof T, value: value as T[keyof T], expiresAt });
+      }
+    });
+
+    if (mode === 'replace') {
+      const imported = new Set(changes.map(({ key }) => key));
+      // Exports leave encrypted keys out by default, so their absence doesn't mean deleted
+      const kept = (key: keyof T): boolean =>
+        imported.has(key) || derivations.isDerived(key) || encryptedKeys.has(key);
+      // Stored after buffered writes land, so none of them survive the replace
+      await settleWrites();
+      const stored = Object.keys((await adapter.getAll()).values) as Array<keyof T>;
+      stored.forEach((key) => {
+        if (!kept(key) && matchesFilter(keys, key)) {
+          changes.push({ type: 'delete', key });
+        }
+      });
+    }
+
+    const staged = await stageAll(changes.map((change) => ({ change })));
+    await loadForHistory(staged.map(({ key }) => key));
+    const before = expiriesOf(staged.map(({ key }) => key));
+    await commit(staged, true, stack);
+    recordChanges(staged, before);
+  };
+
+  const dehydrate = async (): Promise<StoreSnapshot<T>> => ({ values: await getAll() });
+
+  const hydrate = ({ values }: StoreSnapshot<T>): void => {
+    (Object.keys(values) as Array<keyof T>).forEach((key) => {
+      if (derivations.isDerived(key)) return;
+      const value = values[key] as T[keyof T];
+      const oldValue = cache.get(key);
+      cache.set(key, value);
+      if (value !== oldValue) {
+        notifyListeners(key, value, oldValue);
+      }
+    });
   };
 
   const destroy = (): void => {
-    channel.close();
+    unregister();
+    if (!ssr) {
+      window.removeEventListener(requestEventName(channelName), onRequest);
+      window.removeEventListener('pagehide', onPageHide);
+    }
+    teardowns.forEach((teardown) => teardown());
+    derivations.clear();
+    collections.forEach((entry) => entry.close());
+    collections.clear();
+    election?.destroy();
+    if (channel) {
+      channel.onmessage = null;
+    }
     listeners.clear();
+    errorListeners.clear();
     cache.clear();
-    dbPromise = null;
+    revisions.clear();
+    loaded.clear();
+    preloaded = false;
+    clearExpiries();
+    clearInterval(sweepTimer);
+
+    const close = (): void => {
+      channel?.close();
+      adapter.close();
+    };
+    // Buffered writes still land and go out to other tabs before everything closes
+    if (writes) {
+      settleWrites().then(close);
+    } else {
+      close();
+    }
   };
 
-  return {
-    get,
-    set,
-    delete: del,
+  const store: Store<T> = {
+    get: <K extends keyof T>(key: K) =>
+      reporting(
+        'get',
+        key,
+        run('get', { key }, (context) => get(context.key)) as Promise<T[K] | undefined>
+      ),
+    set: (key, value, setOptions) =>
+      reporting(
+        'set',
+        key,
+        run('set', { key, value, options: setOptions }, (context) =>
+          set(context.key, context.value, context.options)
+        )
+      ),
+    delete: (key) =>
+      reporting(
+        'delete',
+        key,
+        run('delete', { key }, (context) => del(context.key))
+      ),
     subscribe,
-    getAll,
-    clear,
+    subscribeAll,
+    getAll: () => reporting('getAll', undefined, readAll()),
+    clear: () => reporting('clear', undefined, run('clear', {}, () => clear())),
+    transaction: (fn) => reporting('transaction', undefined, transaction(fn)),
+    update: (key, updater, updateOptions) =>
+      reporting('update', key, update(key, updater, updateOptions)),
+    ready,
+    isReady,
+    peek,
+    revision: (key) => revisions.get(key),
+    getSnapshot,
+    dehydrate,
+    hydrate,
+    scope: (name) => createScopedStore(store, name, ownership),
+    history,
+    onLeader: (callback) => election?.onLeader(callback) ?? (() => {}),
+    isLeader: () => election?.isLeader() ?? false,
+    sync: syncEngine?.sync ?? idleSync,
+    inspect: inspector.inspect,
+    onError: (listener) => {
+      errorListeners.add(listener);
+      return () => {
+        errorListeners.delete(listener);
+      };
+    },
+    derive: (name, deps, compute, deriveOptions) =>
+      derivations.derive(
+        name,
+        [...deps],
+        compute as (...values: unknown[]) => T[keyof T] | undefined,
+        deriveOptions
+      ),
+    flush: () => writes?.flush() ?? Promise.resolve(),
+    collection,
+    exportSnapshot: (exportOptions) =>
+      reporting('exportSnapshot', undefined, exportSnapshot(exportOptions)),
+    importSnapshot: (doc, importOptions) =>
+      reporting('importSnapshot', undefined, importSnapshot(doc, importOptions)),
     destroy,
   };
+
+  // Let plugins see the finished store, e.g. to subscribe or expose it to devtools
+  const teardowns = plugins
+    .map((plugin) => plugin.setup?.(store))
+    .filter((teardown): teardown is () => void => typeof teardown === 'function');
+
+  // Reads and writes requested over the event protocol go through the public API, plugins included
+  const answer = async (request: RequestEventDetail): Promise<Partial<ResponseEventDetail>> => {
+    const key = request.key as keyof T;
+    if (request.type === 'get') {
+      const value = await store.get(key);
+      return { value, revision: revisions.get(key) };
+    }
+    if (!requestWrites.includes(key)) {
+      throw new AccessError(
+        `Key "${String(key)}" isn't writable through request events - see \`requestWrites\``,
+        String(key)
+      );
+    }
+    if (request.type === 'set') {
+      await store.set(key, request.value as T[keyof T]);
+    } else {
+      await store.delete(key);
+    }
+    return { revision: revisions.get(key) };
+  };
+
+  const onRequest = (event: Event): void => {
+    const request = (event as CustomEvent<RequestEventDetail | undefined>).detail;
+    // Another store on the channel already answered, or the request is for another version
+    if (event.defaultPrevented || request?.protocol !== PROTOCOL_VERSION) return;
+    event.preventDefault();
+
+    const respond = (result: Partial<ResponseEventDetail>): void => {
+      const detail: ResponseEventDetail = {
+        protocol: PROTOCOL_VERSION,
+        type: 'response',
+        id: request.id,
+        ok: !result.error,
+        ...result,
+      };
+      window.dispatchEvent(new CustomEvent(responseEventName(channelName), { detail }));
+    };
+    answer(request).then(respond, (error) => respond({ error: toErrorDetail(error) }));
+  };
+  // Nothing buffered is lost when the page is closed or navigated away from
+  const onPageHide = (): void => {
+    settleWrites();
+  };
+
+  if (!ssr) {
+    window.addEventListener(requestEventName(channelName), onRequest);
+    if (writes) {
+      window.addEventListener('pagehide', onPageHide);
+    }
+  }
+
+  // Listed by devtools until destroyed
+  const unregister = ssr
+    ? () => {}
+    : registerStore(
+        `${dbName}/${storeName}`,
+        store as unknown as Store<Record<string, unknown>>,
+        (key) => derivations.isDerived(key as keyof T)
+      );
+
+  // Only the leader tab talks to the backend; destroy() ends the election and the engine
+  if (syncEngine) {
+    store.onLeader(syncEngine.start);
+  }
+
+  return store;
 };
 
 // ============================================================================
 // Standalone subscribe (for micro frontends without store reference)
 // ============================================================================
 
-export const subscribeToKey = <T>(
+/**
+ * Subscribe to a key by channel name - optionally to a selected slice of it - or, given
+ * a pattern such as `keyPattern('cart.*')`, to every matching key
+ */
+export interface SubscribeToKey {
+  <T>(channelName: string, key: string, listener: Listener<T>): Unsubscribe;
+  <T, S>(
+    channelName: string,
+    key: string,
+    listener: Listener<S>,
+    options: SubscribeOptions<T, S>
+  ): Unsubscribe;
+  <T extends Record<string, unknown>>(
+    channelName: string,
+    pattern: KeyPattern,
+    listener: ChangeListener<T>
+  ): Unsubscribe;
+}
+
+export const subscribeToKey = ((
   channelName: string,
-  key: string,
-  listener: Listener<T>
+  key: string | KeyPattern,
+  listener: Listener<unknown> | ChangeListener<Record<string, unknown>>,
+  options?: SubscribeOptions<unknown, unknown>
+): Unsubscribe => {
+  if (isPattern(key)) {
+    const match = createKeyMatcher(key.pattern);
+    return subscribeToAll(channelName, (value, oldValue, changed) => {
+      if (match(changed)) {
+        (listener as ChangeListener<Record<string, unknown>>)(value, oldValue, changed);
+      }
+    });
+  }
+
+  // Nothing is ever dispatched on the server
+  if (isServer()) {
+    return () => {};
+  }
+
+  const eventName = changeEventName(channelName, key);
+  const notify = options ? withSelector(listener as Listener<unknown>, options) : listener;
+
+  const handler = (event: Event) => {
+    const { value, oldValue } = (event as CustomEvent<ChangeEventDetail>).detail;
+    (notify as Listener<unknown>)(value, oldValue);
+  };
+
+  window.addEventListener(eventName, handler);
+
+  return () => {
+    window.removeEventListener(eventName, handler);
+  };
+}) as SubscribeToKey;
+
+/**
+ * Listen to every change on a channel without a store reference
+ */
+export const subscribeToAll = <T extends Record<string, unknown>>(
+  channelName: string,
+  listener: ChangeListener<T>
 ): Unsubscribe => {
-  const eventName = createEventName(channelName, key);
+  if (isServer()) {
+    return () => {};
+  }
+
+  const eventName = channelEventName(channelName);
 
   const handler = (event: Event) => {
-    const { value, oldValue } = (event as CustomEvent<{ value: T; oldValue: T | undefined }>).detail;
-    listener(value, oldValue);
+    const { key, value, oldValue } = (event as CustomEvent<ChangeEventDetail>).detail;
+    listener(value as T[keyof T], oldValue as T[keyof T], key);
   };
 
   window.addEventListener(eventName, handler);
@@ -358,3 +1866,18 @@ export const subscribeToKey = <T>(
     window.removeEventListener(eventName, handler);
   };
 };
+
+// ============================================================================
+// Server rendering helpers
+// ============================================================================
+
+/**
+ * Serialize a snapshot as JSON that is safe to embed inside an inline <script> tag
+ */
+export const serializeSnapshot = <T extends Record<string, unknown>>(
+  snapshot: StoreSnapshot<T>
+): string =>
+  JSON.stringify(snapshot)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
@@ -0,0 +1,157 @@
+/**
+ * Svelte bindings for mfe-store
+ * Optional - stores that follow the Svelte store contract, so `$value` works in components.
+ * No import from svelte, so they work with any version.
+ */
+
+import type { Store, Unsubscribe } from './store';
+import type { HistoryFilter } from './history';
+import type { HistoryState } from './bindings';
+import { createAllSource, createValueSource, readHistory, watchHistory } from './bindings';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/** The Svelte readable store contract */
+export interface Readable<V> {
+  subscribe: (run: (value: V) => void, invalidate?: () => void) => Unsubscribe;
+}
+
+/**
+ * A writable store for one key. `set` is what `$value = next` calls, so it never rejects -
+ * a failed write only shows up in `error`, as does a failed `update`. Await `write` or
+ * `modify` to get the rejection too.
+ */
+export interface StoreValue<V> extends Readable<V | undefined> {
+  set: (value: V) => Promise<void>;
+  write: (value: V) => Promise<void>;
+  update: (updater: (previous: V | undefined) => V) => Promise<V | undefined>;
+  modify: (updater: (previous: V | undefined) => V) => Promise<V | undefined>;
+  loading: Readable<boolean>;
+  /** The last failed load or write */
+  error: Readable<Error | undefined>;
+}
+
+export interface StoreAll<T extends Record<string, unknown>> extends Readable<Partial<T>> {
+  loading: Readable<boolean>;
+  error: Readable<Error | undefined>;
+}
+
+export interface StoreHistory extends Readable<HistoryState> {
+  undo: () => Promise<boolean>;
+  redo: () => Promise<boolean>;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+// Starts following the store with the first subscriber and stops after the last
+const createReadable = <S>(
+  read: () => S,
+  start: (set: (state: S) => void) => Unsubscribe
+): Readable<S> => {
+  const runs = new Set<(state: S) => void>();
+  let state: S;
+  let stop: Unsubscribe | undefined;
+
+  const set = (next: S): void => {
+    state = next;
+    runs.forEach((run) => run(next));
+  };
+
+  return {
+    subscribe: (run) => {
+      if (runs.size === 0) {
+        state = read();
+        stop = start(set);
+      }
+      runs.add(run);
+      run(state);
+      return () => {
+        runs.delete(run);
+        if (runs.size === 0) {
+          stop?.();
+          stop = undefined;
+        }
+      };
+    },
+  };
+};
+
+// A slice of a readable, only reported when it changes
+const select = <S, V>(source: Readable<S>, selector: (state: S) => V): Readable<V> => ({
+  subscribe: (run) => {
+    let initialized = false;
+    let last: V;
+    return source.subscribe((state) => {
+      const next = selector(state);
+      if (!initialized || !Object.is(last, next)) {
+        initialized = true;
+        last = next;
+        run(next);
+      }
+    });
+  },
+});
+
+// ============================================================================
+// Stores
+// ============================================================================
+
+/**
+ * Writable store for a single key
+ */
+export const storeValue = <T extends Record<string, unknown>, K extends keyof T>(
+  store: Store<T>,
+  key: K,
+  initialValue?: T[K]
+): StoreValue<T[K]> => {
+  const source = createValueSource(store, key, initialValue);
+  const state = createReadable(source.read, source.watch);
+  const write = (value: T[K]): Promise<void> => source.write(() => store.set(key, value));
+  const modify = (
+    updater: (previous: T[K] | undefined) => T[K]
+  ): Promise<T[K] | undefined> => source.write(() => store.update(key, updater));
+
+  return {
+    subscribe: select(state, ({ value }) => value).subscribe,
+    // The error is already in `error`, and nothing awaits an assignment to catch it
+    set: (value) => write(value).catch(() => undefined),
+    write,
+    update: (updater) => modify(updater).catch(() => undefined),
+    modify,
+    loading: select(state, ({ loading }) => loading),
+    error: select(state, ({ error }) => error),
+  };
+};
+
+/**
+ * Readable store of every value in the store
+ */
+export const storeAll = <T extends Record<string, unknown>>(store: Store<T>): StoreAll<T> => {
+  const source = createAllSource(store);
+  const state = createReadable(source.read, source.watch);
+
+  return {
+    subscribe: select(state, ({ values }) => values).subscribe,
+    loading: select(state, ({ loading }) => loading),
+    error: select(state, ({ error }) => error),
+  };
+};
+
+/**
+ * Readable `{ canUndo, canRedo }` for the store's history, optionally limited to some keys
+ */
+export const storeHistory = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter?: HistoryFilter<T>
+): StoreHistory => ({
+  ...createReadable(
+    () => readHistory(store, filter),
+    (set) => watchHistory(store, filter, set)
+  ),
+  undo: () => store.history.undo(filter),
+  redo: () => store.history.redo(filter),
+});
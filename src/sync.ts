@@ -0,0 +1,282 @@
+/**
+ * Remote sync for mfe-store
+ * Pushes the persisted outbox of local writes to a backend and pulls remote changes back
+ */
+
+import type { OutboxRecord, SyncStorage } from './storage';
+import type { Unsubscribe } from './store';
+import { AccessError, ValidationError } from './errors';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+/** Server-assigned version of a key, or position in the server's change log */
+export type SyncVersion = string | number;
+
+/**
+ * A local write sent to the backend - only the latest write per key is pushed
+ */
+export interface SyncEntry {
+  key: string;
+  type: 'set' | 'delete';
+  value?: unknown;
+  /** Local revision the write gave the key */
+  revision: number;
+  /** Epoch milliseconds of the write */
+  timestamp: number;
+  /** Remote version the write was based on - undefined if the key was never synced */
+  baseVersion?: SyncVersion;
+}
+
+/**
+ * The backend's current value for a key - undefined when it was deleted
+ */
+export interface RemoteChange {
+  key: string;
+  value: unknown;
+  version: SyncVersion;
+}
+
+export interface PushResult {
+  /** New version per accepted key */
+  versions?: Record<string, SyncVersion>;
+  /** Writes rejected because the key changed remotely since `baseVersion` */
+  conflicts?: RemoteChange[];
+}
+
+export interface PullResult {
+  /** Changes since the cursor passed to `pull` */
+  changes: RemoteChange[];
+  /** Cursor to pass to the next pull */
+  cursor?: SyncVersion;
+}
+
+/**
+ * Connection to the backend, e.g. over fetch or a WebSocket
+ */
+export interface SyncTransport {
+  push: (entries: SyncEntry[]) => Promise<PushResult>;
+  pull: (cursor: SyncVersion | undefined) => Promise<PullResult>;
+}
+
+/**
+ * Decides the value of a key written both locally and remotely. Returning the remote value
+ * accepts it; anything else is written locally and pushed on top of the remote version.
+ */
+export type ConflictResolver<T extends Record<string, unknown>> = <K extends keyof T>(
+  key: K,
+  local: T[K] | undefined,
+  remote: T[K] | undefined
+) => T[K] | undefined | Promise<T[K] | undefined>;
+
+export interface SyncOptions<T extends Record<string, unknown>> {
+  /** Keys whose local writes are recorded in the outbox and pushed */
+  keys: Array<keyof T>;
+  transport: SyncTransport;
+  /** Merge a conflicting key (default: the remote value wins) */
+  resolveConflict?: ConflictResolver<T>;
+  /** Milliseconds between sync rounds while this tab is the leader (default: 30000) */
+  interval?: number;
+}
+
+export interface StoreSync {
+  /** Push pending writes and pull remote changes now - rejects if the transport fails */
+  now: () => Promise<void>;
+  /** Number of local writes not yet pushed */
+  pending: () => Promise<number>;
+}
+
+/** What the sync engine needs from its store */
+export interface SyncHost {
+  storage: SyncStorage;
+  get: (key: string) => Promise<unknown>;
+  /** Apply values (undefined deletes), recording them in the outbox when `outbox` is set */
+  write: (values: Array<{ key: string; value: unknown }>, outbox: boolean) => Promise<void>;
+  subscribe: (key: string, listener: () => void) => Unsubscribe;
+  /** Report a remote value the store refused, which sync then skips */
+  report: (error: unknown, key: string) => void;
+}
+
+interface SyncState {
+  cursor?: SyncVersion;
+  versions: Record<string, SyncVersion>;
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/** StoreSync of a store without the `sync` option */
+export const idleSync: StoreSync = {
+  now: async () => {},
+  pending: async () => 0,
+};
+
+// Values come back from storage and the network as copies, so compare them structurally
+const isSameValue = (a: unknown, b: unknown): boolean =>
+  a === b || JSON.stringify(a) === JSON.stringify(b);
+
+const isOffline = (): boolean => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+const remoteWins: ConflictResolver<Record<string, unknown>> = (_, __, remote) => remote;
+
+// Refusals that retrying can't fix - a validator rejecting the value, or a derived key
+const isRefused = (error: unknown): boolean =>
+  error instanceof ValidationError || error instanceof AccessError;
+
+// ============================================================================
+// Sync engine
+// ============================================================================
+
+/**
+ * Sync engine for one store. `start` runs it in the background until the signal aborts -
+ * the store only starts it in the leader tab, so a single tab talks to the backend.
+ */
+export const createSync = <T extends Record<string, unknown>>(
+  options: SyncOptions<T>,
+  host: SyncHost
+) => {
+  const { transport, interval = 30000 } = options;
+  const resolveConflict = (options.resolveConflict ?? remoteWins) as ConflictResolver<
+    Record<string, unknown>
+  >;
+  const { storage } = host;
+  // Round waiting to start, and the end of the round before it - rounds never overlap
+  let queued: Promise<void> | null = null;
+  let tail: Promise<void> = Promise.resolve();
+
+  const readState = async (): Promise<SyncState> =>
+    ((await storage.readState()) as SyncState | undefined) ?? { versions: {} };
+
+  // Forget queued writes to `key` - a merge supersedes them
+  const dropPending = async (key: string): Promise<void> => {
+    const ids = (await storage.pending()).filter((entry) => entry.key === key).map(({ id }) => id);
+    if (ids.length > 0) {
+      await storage.acknowledge(ids);
+    }
+  };
+
+  // Write one merged value. A value the store refuses is reported and skipped, so it can't
+  // hold back every later change - storage failures still fail the round, to be retried.
+  const apply = async (key: string, value: unknown, outbox: boolean): Promise<void> => {
+    try {
+      await host.write([{ key, value }], outbox);
+    } catch (error) {
+      if (!isRefused(error)) throw error;
+      host.report(error, key);
+    }
+  };
+
+  const merge = async (remote: RemoteChange, state: SyncState, conflict: boolean) => {
+    const { key, version } = remote;
+    const local = await host.get(key);
+    state.versions[key] = version;
+
+    if (!conflict) {
+      if (!isSameValue(local, remote.value)) {
+        await apply(key, remote.value, false);
+      }
+      return;
+    }
+
+    const resolved = await resolveConflict(key, local, remote.value);
+    await dropPending(key);
+    if (isSameValue(resolved, remote.value)) {
+      await apply(key, remote.value, false);
+    } else {
+      // Pushed by the next round, based on the remote version
+      await apply(key, resolved, true);
+    }
+  };
+
+  const push = async (state: SyncState): Promise<void> => {
+    const entries = await storage.pending();
+    if (entries.length === 0) return;
+
+    const latest = new Map<string, OutboxRecord>();
+    entries.forEach((entry) => latest.set(entry.key, entry));
+    const result = await transport.push(
+      Array.from(latest.values(), ({ key, type, value, revision, timestamp }) => ({
+        key,
+        type,
+        value,
+        revision,
+        timestamp,
+        baseVersion: state.versions[key],
+      }))
+    );
+
+    Object.assign(state.versions, result.versions);
+    await storage.writeState(state);
+    await storage.acknowledge(entries.map(({ id }) => id));
+
+    for (const remote of result.conflicts ?? []) {
+      await merge(remote, state, true);
+    }
+  };
+
+  const pull = async (state: SyncState): Promise<void> => {
+    const { changes, cursor } = await transport.pull(state.cursor);
+    // Writes made while this round was running
+    const pending = new Set((await storage.pending()).map(({ key }) => key));
+
+    for (const remote of changes) {
+      // Our own push coming back
+      if (state.versions[remote.key] === remote.version) continue;
+      await merge(remote, state, pending.has(remote.key));
+    }
+    if (cursor !== undefined) {
+      state.cursor = cursor;
+    }
+  };
+
+  const round = async (): Promise<void> => {
+    const state = await readState();
+    await push(state);
+    await pull(state);
+    await storage.writeState(state);
+  };
+
+  // Resolves once a round that started after the call has finished
+  const now = (): Promise<void> => {
+    if (!queued) {
+      queued = tail.then(() => {
+        queued = null;
+        return round();
+      });
+      tail = queued.catch(() => undefined);
+    }
+    return queued;
+  };
+
+  const start = (signal: AbortSignal): void => {
+    // Failed rounds are retried on the next trigger
+    const runInBackground = (): void => {
+      if (signal.aborted || isOffline()) return;
+      now().catch(() => undefined);
+    };
+
+    const timer = setInterval(runInBackground, interval);
+    const unsubscribes = options.keys.map((key) => host.subscribe(key as string, runInBackground));
+    if (typeof window !== 'undefined') {
+      window.addEventListener('online', runInBackground);
+    }
+
+    signal.addEventListener('abort', () => {
+      clearInterval(timer);
+      unsubscribes.forEach((unsubscribe) => unsubscribe());
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('online', runInBackground);
+      }
+    });
+    runInBackground();
+  };
+
+  const sync: StoreSync = {
+    now,
+    pending: async () => (await storage.pending()).length,
+  };
+
+  return { sync, start };
+};
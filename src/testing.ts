@@ -0,0 +1,85 @@
+/**
+ * Testing helpers for mfe-store
+ * Kept out of the main entry so production bundles don't ship them
+ */
+
+import type { RemoteChange, SyncTransport, SyncVersion } from './sync';
+
+// ============================================================================
+// Sync server
+// ============================================================================
+
+export interface MemorySyncServer {
+  transport: SyncTransport;
+  /** Current remote value of a key */
+  get: (key: string) => unknown;
+  /** Write a key as another client would */
+  set: (key: string, value: unknown) => void;
+  delete: (key: string) => void;
+  /** While offline every push and pull rejects */
+  setOnline: (online: boolean) => void;
+}
+
+/**
+ * Backend that keeps everything in memory, for tests and prototypes. Versions are positions
+ * in its change log, and a push is rejected per key when `baseVersion` is not the latest.
+ */
+export const createMemorySyncServer = (): MemorySyncServer => {
+  const records = new Map<string, { value: unknown; version: number }>();
+  let sequence = 0;
+  let online = true;
+
+  const write = (key: string, value: unknown): number => {
+    sequence += 1;
+    records.set(key, { value: structuredClone(value), version: sequence });
+    return sequence;
+  };
+
+  const assertOnline = (): void => {
+    if (!online) {
+      throw new Error('Sync server is offline');
+    }
+  };
+
+  const transport: SyncTransport = {
+    push: async (entries) => {
+      assertOnline();
+      const versions: Record<string, SyncVersion> = {};
+      const conflicts: RemoteChange[] = [];
+
+      entries.forEach(({ key, type, value, baseVersion }) => {
+        const current = records.get(key);
+        if (current && current.version !== baseVersion) {
+          conflicts.push({ key, value: structuredClone(current.value), version: current.version });
+        } else {
+          versions[key] = write(key, type === 'set' ? value : undefined);
+        }
+      });
+      return { versions, conflicts };
+    },
+    pull: async (cursor) => {
+      assertOnline();
+      const since = typeof cursor === 'number' ? cursor : 0;
+      const changes = Array.from(records, ([key, { value, version }]) => ({
+        key,
+        value: structuredClone(value),
+        version,
+      })).filter(({ version }) => version > since);
+      return { changes, cursor: sequence };
+    },
+  };
+
+  return {
+    transport,
+    get: (key) => structuredClone(records.get(key)?.value),
+    set: (key, value) => {
+      write(key, value);
+    },
+    delete: (key) => {
+      write(key, undefined);
+    },
+    setOnline: (value) => {
+      online = value;
+    },
+  };
+};
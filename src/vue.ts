@@ -0,0 +1,145 @@
+/**
+ * Vue bindings for mfe-store
+ * Optional - only import if using Vue 3.3+
+ */
+
+import { getCurrentScope, onScopeDispose, shallowRef, toValue, watch } from 'vue';
+import type { MaybeRefOrGetter, Ref } from 'vue';
+import type { Store } from './store';
+import type { HistoryFilter } from './history';
+import type { ValueSource, ValueState } from './bindings';
+import { createAllSource, createValueSource, readHistory, watchHistory } from './bindings';
+
+// ============================================================================
+// Types
+// ============================================================================
+
+export interface UseStoreValueResult<V> {
+  value: Readonly<Ref<V | undefined>>;
+  /** Write through the store - rejects when a validator throws, and reports it as `error` */
+  set: (value: V) => Promise<void>;
+  loading: Readonly<Ref<boolean>>;
+  /** The last failed load or write */
+  error: Readonly<Ref<Error | undefined>>;
+}
+
+export interface UseStoreAllResult<T extends Record<string, unknown>> {
+  values: Readonly<Ref<Partial<T>>>;
+  loading: Readonly<Ref<boolean>>;
+  error: Readonly<Ref<Error | undefined>>;
+}
+
+export interface UseHistoryResult {
+  undo: () => Promise<boolean>;
+  redo: () => Promise<boolean>;
+  canUndo: Readonly<Ref<boolean>>;
+  canRedo: Readonly<Ref<boolean>>;
+}
+
+// ============================================================================
+// Composables
+// ============================================================================
+
+// Outside a component or effect scope nothing disposes, so the subscription lives on
+const stopWithScope = (stop: () => void): void => {
+  if (getCurrentScope()) {
+    onScopeDispose(stop);
+  }
+};
+
+/**
+ * Follow a single key. The key may be a ref or getter - the value switches with it.
+ * Stops with the component or effect scope it was called in.
+ */
+export const useStoreValue = <T extends Record<string, unknown>, K extends keyof T>(
+  store: Store<T>,
+  key: MaybeRefOrGetter<K>,
+  initialValue?: T[K]
+): UseStoreValueResult<T[K]> => {
+  const value = shallowRef<T[K] | undefined>();
+  const loading = shallowRef(true);
+  const error = shallowRef<Error | undefined>();
+  let source: ValueSource<T[K]>;
+
+  watch(
+    () => toValue(key),
+    (current, _previous, onCleanup) => {
+      const apply = (state: ValueState<T[K]>) => {
+        value.value = state.value;
+        loading.value = state.loading;
+        error.value = state.error;
+      };
+      source = createValueSource(store, current, initialValue);
+      apply(source.read());
+      onCleanup(source.watch(apply));
+    },
+    { immediate: true }
+  );
+
+  const set = (next: T[K]) => source.write(() => store.set(toValue(key), next));
+
+  return { value, set, loading, error };
+};
+
+/**
+ * Follow every value in the store
+ */
+export const useStoreAll = <T extends Record<string, unknown>>(
+  store: Store<T>
+): UseStoreAllResult<T> => {
+  const source = createAllSource(store);
+  const initial = source.read();
+  const values = shallowRef(initial.values);
+  const loading = shallowRef(initial.loading);
+  const error = shallowRef(initial.error);
+
+  stopWithScope(
+    source.watch((state) => {
+      values.value = state.values;
+      loading.value = state.loading;
+      error.value = state.error;
+    })
+  );
+
+  return { values, loading, error };
+};
+
+/**
+ * The store's undo/redo history, optionally limited to some keys
+ */
+export const useHistory = <T extends Record<string, unknown>>(
+  store: Store<T>,
+  filter?: HistoryFilter<T>
+): UseHistoryResult => {
+  const initial = readHistory(store, filter);
+  const canUndo = shallowRef(initial.canUndo);
+  const canRedo = shallowRef(initial.canRedo);
+
+  stopWithScope(
+    watchHistory(store, filter, (state) => {
+      canUndo.value = state.canUndo;
+      canRedo.value = state.canRedo;
+    })
+  );
+
+  return {
+    undo: () => store.history.undo(filter),
+    redo: () => store.history.redo(filter),
+    canUndo,
+    canRedo,
+  };
+};
+
+/**
+ * Factory to create typed composables for a specific store
+ */
+export const createStoreComposables = <T extends Record<string, unknown>>(store: Store<T>) => {
+  const useValue = <K extends keyof T>(key: MaybeRefOrGetter<K>, initialValue?: T[K]) =>
+    useStoreValue(store, key, initialValue);
+
+  const useAll = () => useStoreAll(store);
+
+  const useStoreHistory = (filter?: HistoryFilter<T>) => useHistory(store, filter);
+
+  return { useValue, useAll, useHistory: useStoreHistory };
+};
@@ -0,0 +1,28 @@
+/**
+ * API Test Site
+ * Exposes the library so tests can create stores with any options
+ */
+import * as mfeStore from 'mfe-store';
+import * as mfeDevtools from 'mfe-store/devtools';
+import * as mfeClient from 'mfe-store/client';
+import * as mfeVue from 'mfe-store/vue';
+import * as mfeSvelte from 'mfe-store/svelte';
+import * as mfeSolid from 'mfe-store/solid';
+import * as mfeAngular from 'mfe-store/angular';
+import * as mfeTesting from 'mfe-store/testing';
+import { effectScope } from 'vue';
+import { createRoot } from 'solid-js';
+
+// Make the API available globally for testing
+window.mfeStore = mfeStore;
+window.mfeDevtools = mfeDevtools;
+window.mfeClient = mfeClient;
+window.mfeTesting = mfeTesting;
+window.mfeBindings = {
+  vue: { ...mfeVue, effectScope },
+  svelte: mfeSvelte,
+  solid: { ...mfeSolid, createRoot },
+  angular: mfeAngular,
+};
+
+document.getElementById('api-root').textContent = 'ready';
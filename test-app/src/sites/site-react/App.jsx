@@ -1,11 +1,19 @@
-import { useState } from 'react';
+import { Component, Suspense, useState } from 'react';
 import { createStore } from 'mfe-store';
-import { createStoreHooks } from 'mfe-store/react';
+import {
+  createStoreHooks,
+  StoreProvider,
+  useStore,
+  useStoreAll,
+  useStoreValue,
+  useStoreValueSync,
+} from 'mfe-store/react';
 
 // Create store
 const store = createStore({
   dbName: 'react-test-store',
   channelName: 'react-test',
+  history: true,
   validators: {
     count: (value) => {
       if (typeof value !== 'number') {
@@ -15,14 +23,29 @@ const store = createStore({
   }
 });
 
+// Every read fails, for rendering load errors
+const offlineStore = createStore({
+  dbName: 'react-offline-store',
+  channelName: 'react-offline',
+  plugins: [
+    {
+      name: 'offline',
+      get: () => {
+        throw new Error('storage is offline');
+      },
+    },
+  ],
+});
+
 // Create typed hooks
-const { useValue } = createStoreHooks(store);
+const { useValue, useHistory } = createStoreHooks(store);
 
 // Make store available for testing
 window.reactStore = store;
 
 function Counter() {
-  const [count, setCount, loading] = useValue('count');
+  const [count, setCount, loading, hookError] = useValue('count');
+  const { undo, redo, canUndo, canRedo } = useHistory('count');
   const [error, setError] = useState(null);
 
   const increment = async () => {
@@ -43,6 +66,9 @@ function Counter() {
     }
   };
 
+  // The hook reports the error too, so there's nothing to catch it into
+  const setInvalidThroughHook = () => setCount('not a number').catch(() => {});
+
   const setInvalid = async () => {
     try {
       setError(null);
@@ -69,7 +95,17 @@ function Counter() {
         <button onClick={decrement} data-testid="decrement-btn">-</button>
         <button onClick={increment} data-testid="increment-btn">+</button>
         <button onClick={setInvalid} data-testid="set-invalid-btn">Set Invalid</button>
+        <button onClick={setInvalidThroughHook} data-testid="set-invalid-hook-btn">
+          Set Invalid (hook)
+        </button>
+        <button onClick={undo} disabled={!canUndo} data-testid="undo-btn">Undo</button>
+        <button onClick={redo} disabled={!canRedo} data-testid="redo-btn">Redo</button>
       </div>
+      {hookError && (
+        <div className="output-value" data-testid="hook-error" style={{ color: 'red' }}>
+          {hookError.message}
+        </div>
+      )}
       {error && (
         <div className="output" style={{ marginTop: '15px' }}>
           <label>Error:</label>
@@ -123,11 +159,61 @@ function UserProfile() {
   );
 }
 
+// Reads the store from StoreProvider and suspends until the value loads
+function SuspenseGreeting() {
+  const store = useStore();
+  const [user] = useStoreValue(store, 'user', undefined, { suspense: true });
+
+  return <div data-testid="suspense-user">{user ? `Hello, ${user.name}` : 'Hello, guest'}</div>;
+}
+
+function AllKeys() {
+  const [values, loading] = useStoreAll(useStore());
+
+  if (loading) {
+    return <div data-testid="all-loading">Loading...</div>;
+  }
+
+  return <div data-testid="all-keys">{Object.keys(values).sort().join(',') || '--'}</div>;
+}
+
+class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  render() {
+    if (this.state.error) {
+      return <div data-testid="boundary-error">{this.state.error.message}</div>;
+    }
+    return this.props.children;
+  }
+}
+
+// Throws its failed load to the error boundary above it
+function OfflineValue() {
+  const theme = useStoreValueSync(offlineStore, 'theme', 'light');
+
+  return <div data-testid="offline-theme">{theme}</div>;
+}
+
 export default function App() {
   return (
-    <div>
+    <StoreProvider store={store}>
       <Counter />
       <UserProfile />
-    </div>
+      <div style={{ marginTop: '30px' }}>
+        <h3>Context, Suspense and useStoreAll</h3>
+        <Suspense fallback={<div data-testid="suspense-fallback">Loading...</div>}>
+          <SuspenseGreeting />
+        </Suspense>
+        <AllKeys />
+        <ErrorBoundary>
+          <OfflineValue />
+        </ErrorBoundary>
+      </div>
+    </StoreProvider>
   );
 }
@@ -0,0 +1,196 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Framework Bindings', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('Vue composables load, follow changes and stop with their scope', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { useStoreValue, useStoreAll, effectScope } = window.mfeBindings.vue;
+      const store = window.mfeStore.createStore({ dbName: 'bindings-test' });
+      await store.set('count', 1);
+      // A second store, so the value still has to load
+      const reader = window.mfeStore.createStore({
+        dbName: 'bindings-test',
+        validators: {
+          count: (value) => {
+            if (typeof value !== 'number') throw new Error('count must be a number');
+          },
+        },
+      });
+
+      const scope = effectScope();
+      const { value, set, loading, error: reported } = scope.run(() =>
+        useStoreValue(reader, 'count')
+      );
+      const { values } = scope.run(() => useStoreAll(reader));
+      const before = loading.value;
+      await reader.ready();
+      await new Promise((resolve) => setTimeout(resolve));
+      const loaded = [value.value, loading.value];
+
+      await set(2);
+      const error = await set('two').catch((e) => e.message);
+      const afterSet = [value.value, values.value, reported.value?.message];
+
+      scope.stop();
+      await reader.set('count', 3);
+      const afterStop = value.value;
+
+      store.destroy();
+      reader.destroy();
+      return { before, loaded, error, afterSet, afterStop };
+    });
+
+    expect(result.before).toBe(true);
+    expect(result.loaded).toEqual([1, false]);
+    expect(result.error).toBe('count must be a number');
+    expect(result.afterSet).toEqual([2, { count: 2 }, 'count must be a number']);
+    expect(result.afterStop).toBe(2);
+  });
+
+  test('Svelte stores follow the store contract', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { storeValue, storeAll } = window.mfeBindings.svelte;
+      const store = window.mfeStore.createStore({
+        dbName: 'bindings-test',
+        validators: {
+          count: (value) => {
+            if (typeof value !== 'number') throw new Error('count must be a number');
+          },
+        },
+      });
+      await store.set('count', 1);
+
+      const count = storeValue(store, 'count');
+      const all = storeAll(store);
+      const seen = [];
+      const loading = [];
+      const keys = [];
+      const stopCount = count.subscribe((value) => seen.push(value));
+      const stopLoading = count.loading.subscribe((value) => loading.push(value));
+      const stopAll = all.subscribe((values) => keys.push(Object.keys(values)));
+
+      await count.set(2);
+      await count.update((value) => value + 1);
+      // set records the failure without rejecting, as `$count = 'four'` would
+      await count.set('four');
+      const recorded = [];
+      count.error.subscribe((value) => recorded.push(value?.message))();
+      const error = await count.write('four').catch((e) => e.message);
+      // update swallows the failure like set, modify rejects like write
+      const updated = await count.update(() => 'five');
+      const modifyError = await count.modify(() => 'five').catch((e) => e.message);
+      await store.set('label', 'ok');
+
+      stopCount();
+      stopLoading();
+      stopAll();
+      await store.set('count', 10);
+
+      store.destroy();
+      return { seen, loading, keys, recorded, error, updated, modifyError };
+    });
+
+    expect(result.seen).toEqual([1, 2, 3]);
+    expect(result.loading).toEqual([false]);
+    expect(result.keys.at(-1)).toEqual(['count', 'label']);
+    expect(result.recorded).toEqual(['count must be a number']);
+    expect(result.error).toBe('count must be a number');
+    expect(result.updated).toBeUndefined();
+    expect(result.modifyError).toBe('count must be a number');
+  });
+
+  test('Solid signals follow changes until their root is disposed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStoreValue, createRoot } = window.mfeBindings.solid;
+      const store = window.mfeStore.createStore({
+        dbName: 'bindings-test',
+        validators: {
+          count: (value) => {
+            if (typeof value !== 'number') throw new Error('count must be a number');
+          },
+        },
+      });
+
+      let dispose;
+      const [value, set, loading] = createRoot((disposeRoot) => {
+        dispose = disposeRoot;
+        return createStoreValue(store, 'count', 0);
+      });
+      const initial = [value(), loading()];
+      await store.ready();
+      await new Promise((resolve) => setTimeout(resolve));
+      const loaded = loading();
+
+      await set(5);
+      const error = await set(null).catch((e) => e.message);
+      const afterSet = value();
+
+      dispose();
+      await store.set('count', 6);
+      const afterDispose = value();
+
+      store.destroy();
+      return { initial, loaded, afterSet, error, afterDispose };
+    });
+
+    expect(result.initial).toEqual([0, true]);
+    expect(result.loaded).toBe(false);
+    expect(result.afterSet).toBe(5);
+    expect(result.error).toBe('count must be a number');
+    expect(result.afterDispose).toBe(5);
+  });
+
+  test('Angular signals and observables follow changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { storeSignal, fromStoreValue } = window.mfeBindings.angular;
+      const store = window.mfeStore.createStore({
+        dbName: 'bindings-test',
+        validators: {
+          count: (value) => {
+            if (typeof value !== 'number') throw new Error('count must be a number');
+          },
+        },
+      });
+      await store.set('count', 1);
+
+      // Stands in for a component's DestroyRef
+      const callbacks = [];
+      const destroyRef = { onDestroy: (callback) => callbacks.push(callback) };
+      const count = storeSignal(store, 'count', undefined, { destroyRef });
+      const states = [];
+      const subscription = fromStoreValue(store, 'count').subscribe((state) => states.push(state));
+
+      await count.set(2);
+      const error = await count.set('three').catch((e) => e.message);
+      const afterSet = [count.value(), count.loading()];
+
+      callbacks.forEach((callback) => callback());
+      subscription.unsubscribe();
+      await store.set('count', 4);
+      const afterDestroy = count.value();
+
+      store.destroy();
+      return { afterSet, error, afterDestroy, states: states.map(({ value }) => value) };
+    });
+
+    expect(result.afterSet).toEqual([2, false]);
+    expect(result.error).toBe('count must be a number');
+    expect(result.afterDestroy).toBe(2);
+    expect(result.states.at(-1)).toBe(2);
+    expect(result.states).not.toContain(4);
+  });
+});
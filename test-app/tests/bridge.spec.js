@@ -0,0 +1,237 @@
+import { test, expect } from '@playwright/test';
+
+// localhost and 127.0.0.1 are different origins served by the same dev server
+const HOST_ORIGIN = 'http://localhost:3000';
+const CHILD_ORIGIN = 'http://127.0.0.1:3000';
+
+test.describe('Cross-origin bridge', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+
+    // Expose a store on the host page, then embed a child from another origin
+    await page.evaluate(async (childOrigin) => {
+      const { createStore, exposeStore } = window.mfeStore;
+      window.hostStore = createStore({ dbName: 'bridge-test' });
+      await window.hostStore.set('theme', 'dark');
+      await window.hostStore.set('secret', 'token');
+      exposeStore(window.hostStore, {
+        allowedOrigins: [childOrigin],
+        keys: { theme: 'read', cart: 'readwrite' },
+      });
+
+      const iframe = document.createElement('iframe');
+      iframe.src = `${childOrigin}/api.html`;
+      await new Promise((resolve) => {
+        iframe.onload = resolve;
+        document.body.appendChild(iframe);
+      });
+    }, CHILD_ORIGIN);
+  });
+
+  const childFrame = async (page) => {
+    const frame = page.frames().find((f) => f.url().startsWith(CHILD_ORIGIN));
+    await expect(frame.getByTestId('api-ready')).toHaveText('ready');
+    return frame;
+  };
+
+  test('child reads and writes permitted keys', async ({ page }) => {
+    const frame = await childFrame(page);
+
+    const result = await frame.evaluate(async (hostOrigin) => {
+      const store = window.mfeStore.connectStore(window.parent, hostOrigin);
+      const theme = await store.get('theme');
+      await store.set('cart', { items: 2 });
+      const counted = await store.update('cart', (cart) => ({ items: cart.items + 1 }));
+      const all = await store.getAll();
+      store.destroy();
+      return { theme, counted, all };
+    }, HOST_ORIGIN);
+
+    expect(result.theme).toBe('dark');
+    expect(result.counted).toEqual({ items: 3 });
+    // Keys without a permission are not visible to the child
+    expect(result.all).toEqual({ theme: 'dark', cart: { items: 3 } });
+    expect(await page.evaluate(() => window.hostStore.get('cart'))).toEqual({ items: 3 });
+  });
+
+  test('child is denied keys it has no permission for', async ({ page }) => {
+    const frame = await childFrame(page);
+
+    const result = await frame.evaluate(async (hostOrigin) => {
+      const store = window.mfeStore.connectStore(window.parent, hostOrigin);
+      const errors = [];
+      for (const attempt of [() => store.set('theme', 'light'), () => store.get('secret')]) {
+        try {
+          await attempt();
+        } catch (error) {
+          errors.push(error.name);
+        }
+      }
+      store.destroy();
+      return errors;
+    }, HOST_ORIGIN);
+
+    expect(result).toEqual(['AccessError', 'AccessError']);
+    expect(await page.evaluate(() => window.hostStore.get('theme'))).toBe('dark');
+  });
+
+  test('host pushes changes to child subscribers', async ({ page }) => {
+    const frame = await childFrame(page);
+
+    await frame.evaluate(async (hostOrigin) => {
+      window.remoteStore = window.mfeStore.connectStore(window.parent, hostOrigin);
+      window.received = [];
+      window.remoteStore.subscribe('theme', (value) => window.received.push(value));
+      await window.remoteStore.ready(['theme']);
+    }, HOST_ORIGIN);
+
+    await page.evaluate(() => window.hostStore.set('theme', 'light'));
+
+    await expect.poll(() => frame.evaluate(() => window.received)).toEqual(['light']);
+    expect(await frame.evaluate(() => window.remoteStore.peek('theme'))).toBe('light');
+  });
+
+  test('a key the host has no value for becomes ready', async ({ page }) => {
+    const frame = await childFrame(page);
+
+    const result = await frame.evaluate(async (hostOrigin) => {
+      const store = window.mfeStore.connectStore(window.parent, hostOrigin);
+      const unsubscribe = store.subscribe('cart', () => {});
+      const before = store.isReady('cart');
+      await store.ready(['cart']);
+      const ready = { ready: store.isReady('cart'), value: store.peek('cart') };
+      unsubscribe();
+      const afterUnsubscribe = store.isReady('cart');
+      store.destroy();
+      return { before, ...ready, afterUnsubscribe };
+    }, HOST_ORIGIN);
+
+    expect(result).toEqual({ before: false, ready: true, afterUnsubscribe: false });
+  });
+
+  test('remote update retries when the key was rewritten, even with an equal value', async ({
+    page,
+  }) => {
+    await page.evaluate(async (childOrigin) => {
+      const { createStore, exposeStore } = window.mfeStore;
+      window.interfere = false;
+      const host = createStore({
+        dbName: 'bridge-cas-test',
+        plugins: [
+          {
+            name: 'concurrent-writer',
+            // Stands in for another tab writing the same value between the read and the write
+            set: async (ctx, next) => {
+              if (window.interfere) {
+                window.interfere = false;
+                await host.set('cart', { items: 1 });
+              }
+              return next();
+            },
+          },
+        ],
+      });
+      await host.set('cart', { items: 1 });
+      exposeStore(host, {
+        allowedOrigins: [childOrigin],
+        keys: { cart: 'readwrite' },
+        name: 'cas',
+      });
+      window.interfere = true;
+    }, CHILD_ORIGIN);
+    const frame = await childFrame(page);
+
+    const result = await frame.evaluate(async (hostOrigin) => {
+      const store = window.mfeStore.connectStore(window.parent, hostOrigin, { name: 'cas' });
+      let calls = 0;
+      const value = await store.update('cart', (cart) => {
+        calls++;
+        return { items: cart.items + 1 };
+      });
+      store.destroy();
+      return { value, calls };
+    }, HOST_ORIGIN);
+
+    expect(result).toEqual({ value: { items: 2 }, calls: 2 });
+  });
+
+  test('host releases the subscriptions of a removed iframe', async ({ page }) => {
+    // Count the host store's live subscriptions
+    await page.evaluate(() => {
+      const subscribe = window.hostStore.subscribe;
+      window.liveSubscriptions = 0;
+      window.hostStore.subscribe = (...args) => {
+        const unsubscribe = subscribe(...args);
+        window.liveSubscriptions++;
+        return () => {
+          window.liveSubscriptions--;
+          unsubscribe();
+        };
+      };
+    });
+    const frame = await childFrame(page);
+
+    await frame.evaluate(async (hostOrigin) => {
+      const store = window.mfeStore.connectStore(window.parent, hostOrigin);
+      store.subscribe('theme', () => {});
+      await store.ready(['theme']);
+    }, HOST_ORIGIN);
+    await expect.poll(() => page.evaluate(() => window.liveSubscriptions)).toBe(1);
+
+    // Removed without the child ever calling destroy()
+    const remaining = await page.evaluate(async () => {
+      document.querySelector('iframe').remove();
+      await window.hostStore.set('theme', 'light');
+      return window.liveSubscriptions;
+    });
+    expect(remaining).toBe(0);
+  });
+
+  test('messages from origins that are not allowed are ignored', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      // Same-origin caller is not in allowedOrigins
+      const store = window.mfeStore.connectStore(window, window.location.origin, {
+        timeout: 500,
+      });
+      try {
+        await store.get('theme');
+        return 'answered';
+      } catch (error) {
+        return error.message;
+      } finally {
+        store.destroy();
+      }
+    });
+
+    expect(result).toContain('No store "default" answered');
+  });
+
+  test('destroy stops connecting and rejects waiting requests', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      // A target that never answers, counting the connect attempts
+      const target = { posts: 0, postMessage: () => target.posts++ };
+      const store = window.mfeStore.connectStore(target, window.location.origin);
+      const request = store.get('theme').catch((error) => error.message);
+      await new Promise((resolve) => setTimeout(resolve, 250));
+
+      store.destroy();
+      const message = await request;
+      const posts = target.posts;
+      await new Promise((resolve) => setTimeout(resolve, 500));
+      return { message, stopped: target.posts === posts };
+    });
+
+    expect(result).toEqual({ message: 'Store connection destroyed', stopped: true });
+  });
+});
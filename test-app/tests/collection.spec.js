@@ -0,0 +1,123 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Collections', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('records are added, replaced, read and removed one at a time', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'collection-test' });
+      const cart = store.collection('cart', { keyPath: 'sku' });
+      await store.set('theme', 'dark');
+
+      await cart.add({ sku: 'apple', quantity: 1 });
+      await cart.put({ sku: 'apple', quantity: 3 });
+      await cart.add({ sku: 'pear', quantity: 2 });
+      let duplicate;
+      try {
+        await cart.add({ sku: 'pear', quantity: 5 });
+      } catch (error) {
+        duplicate = error.name;
+      }
+      await cart.remove('pear');
+      store.destroy();
+
+      // Records outlive the store, and live apart from its keys
+      const reader = window.mfeStore.createStore({ dbName: 'collection-test' });
+      const records = reader.collection('cart', { keyPath: 'sku' });
+      const apple = await records.get('apple');
+      const pear = await records.get('pear');
+      const values = await reader.getAll();
+      reader.destroy();
+      return { duplicate, apple, pear, values };
+    });
+
+    expect(result).toEqual({
+      duplicate: 'ConstraintError',
+      apple: { sku: 'apple', quantity: 3 },
+      values: { theme: 'dark' },
+    });
+  });
+
+  test('where queries by index with equals, between, limit and offset', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'collection-test' });
+      const notifications = store.collection('notifications', {
+        keyPath: 'id',
+        indexes: ['kind', 'createdAt'],
+      });
+      const kinds = ['mention', 'like', 'mention', 'follow', 'mention', 'like'];
+      for (const [i, kind] of kinds.entries()) {
+        await notifications.add({ id: `n${i}`, kind, createdAt: 100 - i });
+      }
+
+      const ids = (records) => records.map(({ id }) => id);
+      const byDate = notifications.where('createdAt');
+      const result = {
+        mentions: ids(await notifications.where('kind').equals('mention').toArray()),
+        between: ids(await byDate.between(96, 98).toArray()),
+        page: ids(await byDate.between(0, 100).offset(1).limit(2).toArray()),
+        all: ids(await notifications.all().limit(3).toArray()),
+      };
+      store.destroy();
+      return result;
+    });
+
+    expect(result).toEqual({
+      mentions: ['n0', 'n2', 'n4'],
+      between: ['n4', 'n3', 'n2'],
+      page: ['n4', 'n3'],
+      all: ['n0', 'n1', 'n2'],
+    });
+  });
+
+  test('subscribers receive record changes from this tab and others', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'collection-test' });
+      // Another store on the same channel stands in for another tab
+      const other = createStore({ dbName: 'collection-test' });
+      const local = [];
+      const remote = [];
+      store
+        .collection('cart', { keyPath: 'sku' })
+        .subscribe(({ type, key, value, oldValue }) => local.push([type, key, value, oldValue]));
+      other
+        .collection('cart', { keyPath: 'sku' })
+        .subscribe(({ type, key }) => remote.push([type, key]));
+
+      const cart = store.collection('cart', { keyPath: 'sku' });
+      await cart.add({ sku: 'apple', quantity: 1 });
+      await cart.put({ sku: 'apple', quantity: 2 });
+      await cart.remove('apple');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      store.destroy();
+      other.destroy();
+      return { local, remote };
+    });
+
+    expect(result.local).toEqual([
+      ['add', 'apple', { sku: 'apple', quantity: 1 }, undefined],
+      ['update', 'apple', { sku: 'apple', quantity: 2 }, { sku: 'apple', quantity: 1 }],
+      ['remove', 'apple', undefined, { sku: 'apple', quantity: 2 }],
+    ]);
+    expect(result.remote).toEqual([
+      ['add', 'apple'],
+      ['update', 'apple'],
+      ['remove', 'apple'],
+    ]);
+  });
+});
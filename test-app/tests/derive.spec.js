@@ -0,0 +1,151 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Derived Keys', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('recomputes when a dependency changes, here or in another tab', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'derive-test' });
+      // Another store on the same channel stands in for another tab
+      const other = window.mfeStore.createStore({ dbName: 'derive-test' });
+      await store.set('price', 10);
+      await store.set('quantity', 2);
+
+      store.derive('total', ['price', 'quantity'], (price, quantity) => price * quantity);
+      const initial = await store.get('total');
+
+      await store.set('quantity', 3);
+      const local = store.peek('total');
+
+      await other.set('price', 20);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const remote = store.peek('total');
+
+      store.destroy();
+      other.destroy();
+      return { initial, local, remote };
+    });
+
+    expect(result).toEqual({ initial: 20, local: 30, remote: 60 });
+  });
+
+  test('subscribe and subscribeToKey hear derived keys', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, subscribeToKey } = window.mfeStore;
+      const store = createStore({ dbName: 'derive-test', channelName: 'derive-channel' });
+      await store.set('first', 'Ada');
+      await store.set('last', 'Lovelace');
+      store.derive('fullName', ['first', 'last'], (first, last) => `${first} ${last}`);
+      await store.get('fullName');
+
+      const changes = [];
+      const events = [];
+      store.subscribe('fullName', (value, oldValue) => changes.push([value, oldValue]));
+      const unsubscribe = subscribeToKey('derive-channel', 'fullName', (value) =>
+        events.push(value)
+      );
+
+      await store.set('first', 'Augusta');
+
+      unsubscribe();
+      store.destroy();
+      return { changes, events };
+    });
+
+    expect(result.changes).toEqual([['Augusta Lovelace', 'Ada Lovelace']]);
+    expect(result.events).toEqual(['Augusta Lovelace']);
+  });
+
+  test('writes to a derived key are rejected with AccessError', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'derive-test' });
+      store.derive('double', ['count'], (count) => (count ?? 0) * 2);
+
+      const attempt = async (write) => {
+        try {
+          await write();
+          return null;
+        } catch (error) {
+          return error.name;
+        }
+      };
+      const errors = [
+        await attempt(() => store.set('double', 5)),
+        await attempt(() => store.delete('double')),
+        await attempt(() => store.update('double', () => 5)),
+        await attempt(() => store.transaction((tx) => tx.set('double', 5))),
+      ];
+
+      await store.set('count', 4);
+      const value = await store.get('double');
+      store.destroy();
+      return { errors, value };
+    });
+
+    expect(result.errors).toEqual(['AccessError', 'AccessError', 'AccessError', 'AccessError']);
+    expect(result.value).toBe(8);
+  });
+
+  test('memoized keys skip writes that leave their inputs unchanged', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'derive-test' });
+      await store.set('theme', 'dark');
+
+      let computed = 0;
+      store.derive(
+        'themeClass',
+        ['theme'],
+        (theme) => {
+          computed += 1;
+          return `theme-${theme}`;
+        },
+        { memoize: true }
+      );
+      await store.get('themeClass');
+
+      await store.set('theme', 'dark');
+      await store.set('theme', 'dark');
+      await store.set('theme', 'light');
+
+      const value = await store.get('themeClass');
+      store.destroy();
+      return { computed, value };
+    });
+
+    expect(result).toEqual({ computed: 2, value: 'theme-light' });
+  });
+
+  test('persisted keys are readable from stores that do not derive them', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'derive-test' });
+      await store.set('items', ['apple', 'pear']);
+      store.derive('itemCount', ['items'], (items) => items?.length ?? 0, { persist: true });
+      await store.get('itemCount');
+      await store.set('items', ['apple', 'pear', 'plum']);
+      // Persisting runs in the background
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      store.destroy();
+
+      const reader = createStore({ dbName: 'derive-test' });
+      const count = await reader.get('itemCount');
+      reader.destroy();
+      return count;
+    });
+
+    expect(result).toBe(3);
+  });
+});
@@ -0,0 +1,170 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Devtools', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('inspect reports local and broadcast changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const editor = createStore({ dbName: 'devtools-test' });
+      const viewer = createStore({ dbName: 'devtools-test' });
+      const local = [];
+      const remote = [];
+      editor.inspect((event) => local.push(event));
+      viewer.inspect((event) => remote.push(event));
+
+      await editor.set('title', 'Draft');
+      await editor.delete('title');
+      await editor.clear();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      editor.destroy();
+      viewer.destroy();
+      const describe = ({ type, key, value, origin }) => ({ type, key, value, origin });
+      return {
+        local: local.map(describe),
+        remote: remote.map(describe),
+        hasStack: local.every(({ stack }) => typeof stack === 'string' && stack.length > 0),
+      };
+    });
+
+    expect(result.local).toEqual([
+      { type: 'set', key: 'title', value: 'Draft', origin: 'local' },
+      { type: 'delete', key: 'title', value: undefined, origin: 'local' },
+      { type: 'clear', key: undefined, value: undefined, origin: 'local' },
+    ]);
+    expect(result.remote.map(({ type, origin }) => `${type}:${origin}`)).toEqual([
+      'set:broadcast',
+      'delete:broadcast',
+      'clear:broadcast',
+    ]);
+    expect(result.hasStack).toBe(true);
+  });
+
+  test('every store on the page is listed until destroyed', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const { createStore } = window.mfeStore;
+      const { listStores } = window.mfeDevtools;
+      const cart = createStore({ dbName: 'devtools-test', storeName: 'cart' });
+      const user = createStore({ dbName: 'devtools-test', storeName: 'user' });
+      const before = listStores().map(({ name }) => name);
+      cart.destroy();
+      const after = listStores().map(({ name }) => name);
+      user.destroy();
+      return { before, after };
+    });
+
+    expect(result.before).toEqual(['devtools-test/cart', 'devtools-test/user']);
+    expect(result.after).toEqual(['devtools-test/user']);
+  });
+
+  test('the overlay shows live values and edits them', async ({ page }) => {
+    await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'devtools-test' });
+      window.testStore = store;
+      window.mfeDevtools.mountDevtools();
+      await store.set('count', 1);
+    });
+
+    const devtools = page.getByTestId('devtools');
+    await expect(devtools.getByTestId('devtools-stores')).toContainText('devtools-test/store');
+    await expect(devtools.locator('tr[data-key="count"]')).toContainText('1');
+    await expect(devtools.getByTestId('devtools-timeline').locator('li')).toHaveCount(1);
+
+    await devtools.locator('tr[data-key="count"]').click();
+    await devtools.getByTestId('devtools-json').fill('42');
+    await devtools.getByTestId('devtools-save').click();
+
+    await expect(devtools.locator('tr[data-key="count"]')).toContainText('42');
+    expect(await page.evaluate(() => window.testStore.get('count'))).toBe(42);
+
+    // Invalid JSON is reported instead of written
+    await devtools.getByTestId('devtools-json').fill('{ nope');
+    await devtools.getByTestId('devtools-save').click();
+    await expect(devtools.getByTestId('devtools-error')).not.toBeEmpty();
+    expect(await page.evaluate(() => window.testStore.get('count'))).toBe(42);
+  });
+
+  test('travelling to a timeline entry restores the values at that point', async ({ page }) => {
+    await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'devtools-test' });
+      window.testStore = store;
+      window.mfeDevtools.mountDevtools();
+      await store.set('step', 'one');
+      await store.set('step', 'two');
+      await store.set('extra', true);
+    });
+
+    const timeline = page.getByTestId('devtools').getByTestId('devtools-timeline');
+    await expect(timeline.locator('li')).toHaveCount(3);
+    // Newest first - the last entry is the first write
+    await timeline.locator('li').last().getByTestId('devtools-travel').click();
+
+    await expect
+      .poll(() => page.evaluate(() => window.testStore.getAll()))
+      .toEqual({ step: 'one' });
+  });
+
+  test('travel leaves derived keys to recompute and shows failures', async ({ page }) => {
+    await page.evaluate(async () => {
+      window.strict = false;
+      const store = window.mfeStore.createStore({
+        dbName: 'devtools-test',
+        validators: {
+          step: (value) => {
+            if (window.strict && value === 'one') throw new Error('one is not allowed');
+          },
+        },
+      });
+      window.testStore = store;
+      store.derive('loud', ['step'], (step) => step?.toUpperCase());
+      window.mfeDevtools.mountDevtools();
+      await store.set('step', 'one');
+      await store.set('step', 'two');
+    });
+
+    const devtools = page.getByTestId('devtools');
+    const first = devtools
+      .getByTestId('devtools-timeline')
+      .locator('li', { hasText: /step = "one"/ })
+      .getByTestId('devtools-travel');
+
+    await page.evaluate(() => (window.strict = true));
+    await first.click();
+    await expect(devtools.getByTestId('devtools-error')).toHaveText('one is not allowed');
+    expect(await page.evaluate(() => window.testStore.get('step'))).toBe('two');
+
+    await page.evaluate(() => (window.strict = false));
+    await first.click();
+    await expect(devtools.getByTestId('devtools-error')).toBeEmpty();
+    await expect
+      .poll(() => page.evaluate(() => window.testStore.getAll()))
+      .toEqual({ step: 'one', loud: 'ONE' });
+  });
+
+  test('the overlay mounts again into a container it was removed from', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const container = document.body.appendChild(document.createElement('div'));
+      const unmount = window.mfeDevtools.mountDevtools({ container });
+      unmount();
+      const empty = container.shadowRoot.childNodes.length;
+      window.mfeDevtools.mountDevtools({ container });
+      return { empty, panels: container.shadowRoot.querySelectorAll('.panel').length };
+    });
+
+    expect(result).toEqual({ empty: 0, panels: 1 });
+  });
+});
@@ -0,0 +1,130 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Encryption at rest', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+
+    // Helpers shared by the tests below
+    await page.evaluate(() => {
+      window.createKey = async (id) => ({
+        id,
+        key: await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+          'encrypt',
+          'decrypt',
+        ]),
+      });
+      window.readRaw = (dbName, key) =>
+        new Promise((resolve, reject) => {
+          const request = indexedDB.open(dbName);
+          request.onerror = () => reject(request.error);
+          request.onsuccess = () => {
+            const db = request.result;
+            const get = db.transaction('store').objectStore('store').get(key);
+            get.onsuccess = () => {
+              db.close();
+              resolve(get.result);
+            };
+          };
+        });
+    });
+  });
+
+  test('encrypted keys are stored as ciphertext', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const key = await window.createKey('k1');
+      const store = window.mfeStore.createStore({
+        dbName: 'encryption-test',
+        encryption: { keys: ['user'], current: key },
+      });
+      await store.set('user', { name: 'Alice', email: 'alice@example.com' });
+      await store.set('theme', 'dark');
+      store.destroy();
+
+      const reader = window.mfeStore.createStore({
+        dbName: 'encryption-test',
+        encryption: { keys: ['user'], current: key },
+      });
+      const values = {
+        rawUser: await window.readRaw('encryption-test', 'user'),
+        rawTheme: await window.readRaw('encryption-test', 'theme'),
+        user: await reader.get('user'),
+      };
+      reader.destroy();
+      return values;
+    });
+
+    expect(result.rawUser.kid).toBe('k1');
+    expect(JSON.stringify(result.rawUser)).not.toContain('alice@example.com');
+    expect(result.rawTheme).toBe('dark');
+    expect(result.user).toEqual({ name: 'Alice', email: 'alice@example.com' });
+  });
+
+  test('rotated keys still decrypt and values are re-encrypted', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const oldKey = await window.createKey('k1');
+      const newKey = await window.createKey('k2');
+
+      const before = createStore({
+        dbName: 'encryption-test',
+        encryption: { keys: ['user'], current: oldKey },
+      });
+      await before.set('user', { name: 'Alice' });
+      before.destroy();
+
+      const after = createStore({
+        dbName: 'encryption-test',
+        encryption: { keys: ['user'], current: newKey, previous: [oldKey] },
+      });
+      const user = await after.get('user');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      after.destroy();
+
+      return { user, kid: (await window.readRaw('encryption-test', 'user')).kid };
+    });
+
+    expect(result.user).toEqual({ name: 'Alice' });
+    expect(result.kid).toBe('k2');
+  });
+
+  test('other tabs re-read encrypted values instead of receiving them', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const key = await window.createKey('k1');
+      const options = { dbName: 'encryption-test', encryption: { keys: ['user'], current: key } };
+
+      // Watch what actually crosses the channel
+      const messages = [];
+      const spy = new BroadcastChannel('encryption-test');
+      spy.onmessage = (event) => messages.push(event.data);
+
+      const tab1 = window.mfeStore.createStore(options);
+      const tab2 = window.mfeStore.createStore(options);
+      const received = [];
+      tab2.subscribe('user', (value) => received.push(value));
+
+      await tab1.set('user', { name: 'Alice' });
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      spy.close();
+      tab1.destroy();
+      tab2.destroy();
+      return { messages, received };
+    });
+
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0].reread).toBe(true);
+    expect(result.messages[0].value).toBeUndefined();
+    expect(result.received).toEqual([{ name: 'Alice' }]);
+  });
+});
@@ -0,0 +1,170 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Error Handling', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('validator errors surface as ValidationError through onError and events', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, ValidationError } = window.mfeStore;
+      const store = createStore({
+        dbName: 'errors-test',
+        validators: {
+          age: (value) => {
+            if (typeof value !== 'number') throw new TypeError('age must be a number');
+          },
+        },
+      });
+      const reported = [];
+      const events = [];
+      store.onError(({ error, operation, key }) => reported.push([operation, key, error.name]));
+      const onEvent = (event) => events.push(event.detail);
+      window.addEventListener('store-error:errors-test', onEvent);
+
+      let thrown;
+      try {
+        await store.set('age', 'old');
+      } catch (error) {
+        thrown = {
+          typed: error instanceof ValidationError,
+          message: error.message,
+          key: error.key,
+          cause: error.cause instanceof TypeError,
+        };
+      }
+
+      window.removeEventListener('store-error:errors-test', onEvent);
+      store.destroy();
+      return { thrown, reported, events };
+    });
+
+    expect(result.thrown).toEqual({
+      typed: true,
+      message: 'age must be a number',
+      key: 'age',
+      cause: true,
+    });
+    expect(result.reported).toEqual([['set', 'age', 'ValidationError']]);
+    expect(result.events).toHaveLength(1);
+    expect(result.events[0]).toMatchObject({
+      type: 'error',
+      operation: 'set',
+      key: 'age',
+      error: { name: 'ValidationError', message: 'age must be a number' },
+    });
+  });
+
+  test('a throwing onError listener affects neither the others nor the caller', async ({
+    page,
+  }) => {
+    const uncaught = [];
+    page.on('pageerror', (error) => uncaught.push(error.message));
+
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'errors-test',
+        validators: {
+          age: (value) => {
+            if (typeof value !== 'number') throw new Error('age must be a number');
+          },
+        },
+      });
+      const reported = [];
+      const events = [];
+      store.onError(() => {
+        throw new Error('broken listener');
+      });
+      store.onError(({ operation }) => reported.push(operation));
+      const onEvent = (event) => events.push(event.detail.operation);
+      window.addEventListener('store-error:errors-test', onEvent);
+
+      const message = await store.set('age', 'old').catch((error) => error.message);
+      // The listener's error is rethrown on a later task
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      window.removeEventListener('store-error:errors-test', onEvent);
+      store.destroy();
+      return { message, reported, events };
+    });
+
+    expect(result).toEqual({ message: 'age must be a number', reported: ['set'], events: ['set'] });
+    expect(uncaught).toEqual(['broken listener']);
+  });
+
+  test('a failed write rolls back the cache and notifies nobody', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, createMemoryAdapter, QuotaError } = window.mfeStore;
+      const inner = createMemoryAdapter();
+      let full = false;
+      const adapter = {
+        ...inner,
+        write: (keys, mutate) =>
+          full
+            ? Promise.reject(new DOMException('Quota exceeded', 'QuotaExceededError'))
+            : inner.write(keys, mutate),
+      };
+
+      const store = createStore({ dbName: 'errors-test', storage: adapter });
+      await store.set('draft', 'saved');
+      const heard = [];
+      store.subscribe('draft', (value) => heard.push(value));
+
+      full = true;
+      const errors = [];
+      for (const write of [() => store.set('draft', 'lost'), () => store.delete('draft')]) {
+        try {
+          await write();
+        } catch (error) {
+          errors.push(error instanceof QuotaError);
+        }
+      }
+
+      const value = store.peek('draft');
+      store.destroy();
+      return { errors, value, heard };
+    });
+
+    expect(result).toEqual({ errors: [true, true], value: 'saved', heard: [] });
+  });
+
+  test('a failed open is retried by the next operation', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, ConnectionError } = window.mfeStore;
+      // A connection that never gives way blocks the upgrade that adds the object store
+      const blocker = await new Promise((resolve) => {
+        const request = indexedDB.open('errors-retry-test', 1);
+        request.onsuccess = () => resolve(request.result);
+      });
+
+      const store = createStore({ dbName: 'errors-retry-test', upgradeTimeout: 300 });
+      let first;
+      try {
+        await store.set('theme', 'dark');
+      } catch (error) {
+        first = error instanceof ConnectionError;
+      }
+
+      blocker.close();
+      await store.set('theme', 'dark');
+      const theme = await store.get('theme');
+      store.destroy();
+      return { first, theme };
+    });
+
+    expect(result).toEqual({ first: true, theme: 'dark' });
+  });
+});
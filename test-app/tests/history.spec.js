@@ -0,0 +1,177 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Undo/redo history', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('undo and redo restore previous values', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'history-test', history: true });
+      const steps = [];
+
+      await store.set('title', 'Draft');
+      await store.set('title', 'Final');
+      await store.delete('title');
+
+      await store.history.undo();
+      steps.push(await store.get('title'));
+      await store.history.undo();
+      steps.push(await store.get('title'));
+      await store.history.redo();
+      steps.push(await store.get('title'));
+
+      const flags = { canUndo: store.history.canUndo(), canRedo: store.history.canRedo() };
+      store.destroy();
+      return { steps, flags };
+    });
+
+    expect(result.steps).toEqual(['Final', 'Draft', 'Final']);
+    expect(result.flags).toEqual({ canUndo: true, canRedo: true });
+  });
+
+  test('a transaction is undone as one step, or per key', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'history-test', history: true });
+
+      await store.transaction((tx) => {
+        tx.set('title', 'Form');
+        tx.set('fields', ['name']);
+      });
+      await store.transaction((tx) => {
+        tx.set('title', 'Signup form');
+        tx.set('fields', ['name', 'email']);
+      });
+
+      await store.history.undo('fields');
+      const perKey = await store.getAll();
+      await store.history.undo();
+      const group = await store.getAll();
+
+      store.destroy();
+      return { perKey, group };
+    });
+
+    expect(result.perKey).toEqual({ title: 'Signup form', fields: ['name'] });
+    // Undoes what is left of the second transaction
+    expect(result.group).toEqual({ title: 'Form', fields: ['name'] });
+  });
+
+  test('undo reaches subscribers and other tabs', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const editor = createStore({ dbName: 'history-test', history: true });
+      const viewer = createStore({ dbName: 'history-test' });
+      const local = [];
+      const remote = [];
+      editor.subscribe('title', (value) => local.push(value));
+      viewer.subscribe('title', (value) => remote.push(value));
+
+      await editor.set('title', 'One');
+      await editor.set('title', 'Two');
+      await editor.history.undo();
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      editor.destroy();
+      viewer.destroy();
+      return { local, remote };
+    });
+
+    expect(result.local).toEqual(['One', 'Two', 'One']);
+    expect(result.remote).toEqual(['One', 'Two', 'One']);
+  });
+
+  test('history is bounded by its limit', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'history-test',
+        history: { limit: 2 },
+      });
+
+      for (const value of [1, 2, 3, 4]) {
+        await store.set('count', value);
+      }
+      const undone = [];
+      while (await store.history.undo()) {
+        undone.push(await store.get('count'));
+      }
+
+      store.destroy();
+      return undone;
+    });
+
+    expect(result).toEqual([3, 2]);
+  });
+
+  test('a failed undo keeps its step where it was', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      let offline = false;
+      const guard = (ctx, next) => {
+        if (offline) throw new Error('offline');
+        return next();
+      };
+      const store = window.mfeStore.createStore({
+        dbName: 'history-test',
+        history: true,
+        plugins: [{ name: 'offline', set: guard, delete: guard }],
+      });
+
+      await store.set('title', 'Draft');
+      await store.transaction((tx) => {
+        tx.set('title', 'Final');
+        tx.set('tags', ['news']);
+      });
+
+      offline = true;
+      const error = await store.history.undo('tags').catch((e) => e.message);
+      offline = false;
+      // The whole transaction is still the latest step
+      await store.history.undo();
+      const values = await store.getAll();
+
+      store.destroy();
+      return { error, values };
+    });
+
+    expect(result.error).toBe('offline');
+    expect(result.values).toEqual({ title: 'Draft' });
+  });
+
+  test('undo and redo keep the ttl of the values they restore', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'history-test', history: true });
+
+      await store.set('session', 'first', { ttl: 60000 });
+      await store.set('session', 'second');
+      await store.history.undo();
+      const undone = (await store.exportSnapshot()).expiresAt?.session;
+      await store.history.redo();
+      const redone = (await store.exportSnapshot()).expiresAt?.session;
+
+      // A value whose ttl has run out meanwhile is restored as gone
+      await store.set('code', 'short-lived', { ttl: 50 });
+      await store.set('code', 'replaced');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await store.history.undo();
+      const code = await store.get('code');
+
+      store.destroy();
+      return { undone, redone, code };
+    });
+
+    expect(result.undone).toBeGreaterThan(Date.now());
+    expect(result.redone).toBeUndefined();
+    expect(result.code).toBeUndefined();
+  });
+});
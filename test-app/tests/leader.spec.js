@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Leader election', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  for (const mode of ['Web Locks', 'heartbeat fallback']) {
+    test(`exactly one tab leads and leadership moves on close (${mode})`, async ({ page }) => {
+      if (mode === 'heartbeat fallback') {
+        await page.evaluate(() => {
+          Object.defineProperty(navigator, 'locks', { value: undefined, configurable: true });
+        });
+      }
+
+      // Three "tabs" on one channel - which one leads before and after the leader closes
+      const result = await page.evaluate(async () => {
+        const { createStore } = window.mfeStore;
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        const events = [];
+        const tabs = ['a', 'b', 'c'].map((name) => {
+          const store = createStore({ dbName: 'leader-test' });
+          store.onLeader((signal) => {
+            events.push(`${name}:start`);
+            signal.addEventListener('abort', () => events.push(`${name}:stop`));
+          });
+          return { name, store };
+        });
+
+        await sleep(1000);
+        const first = tabs.filter(({ store }) => store.isLeader()).map(({ name }) => name);
+
+        const leader = tabs.find(({ store }) => store.isLeader());
+        leader.store.destroy();
+        await sleep(1000);
+        const second = tabs
+          .filter((tab) => tab !== leader && tab.store.isLeader())
+          .map(({ name }) => name);
+
+        tabs.forEach(({ store }) => store.destroy());
+        return { first, second, leader: leader.name, events };
+      });
+
+      expect(result.first).toHaveLength(1);
+      expect(result.second).toHaveLength(1);
+      expect(result.second[0]).not.toBe(result.leader);
+      expect(result.events.slice(0, 3)).toEqual([
+        `${result.leader}:start`,
+        `${result.leader}:stop`,
+        `${result.second[0]}:start`,
+      ]);
+    });
+  }
+
+  test('unsubscribing the last callback hands leadership over', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+      const first = createStore({ dbName: 'leader-test' });
+      const second = createStore({ dbName: 'leader-test' });
+      const stopFirst = first.onLeader(() => {});
+      await sleep(200);
+      second.onLeader(() => {});
+      await sleep(200);
+      const before = [first.isLeader(), second.isLeader()];
+
+      stopFirst();
+      await sleep(200);
+      const after = [first.isLeader(), second.isLeader()];
+
+      first.destroy();
+      second.destroy();
+      return { before, after };
+    });
+
+    expect(result.before).toEqual([true, false]);
+    expect(result.after).toEqual([false, true]);
+  });
+
+  test('stores on different channels elect separate leaders', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const shell = createStore({ dbName: 'leader-test', channelName: 'shell' });
+      const checkout = createStore({ dbName: 'leader-test', channelName: 'checkout' });
+      shell.onLeader(() => {});
+      checkout.onLeader(() => {});
+      await new Promise((resolve) => setTimeout(resolve, 200));
+
+      const leaders = [shell.isLeader(), checkout.isLeader()];
+      shell.destroy();
+      checkout.destroy();
+      return leaders;
+    });
+
+    expect(result).toEqual([true, true]);
+  });
+});
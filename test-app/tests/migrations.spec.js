@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Schema migrations', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('renames, transforms and drops keys when the version increases', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+
+      const v1 = createStore({ dbName: 'migration-test' });
+      await v1.set('userName', 'alice');
+      await v1.set('cart', ['a', 'b']);
+      await v1.set('legacy', true);
+      v1.destroy();
+
+      const v2 = createStore({
+        dbName: 'migration-test',
+        version: 2,
+        migrations: {
+          2: (ctx) => {
+            ctx.rename('userName', 'user');
+            ctx.transform('user', (name) => ({ name }));
+            ctx.transform('cart', (items) => ({ items }));
+            ctx.drop('legacy');
+          },
+        },
+      });
+      const all = await v2.getAll();
+      v2.destroy();
+      return all;
+    });
+
+    expect(result).toEqual({
+      user: { name: 'alice' },
+      cart: { items: ['a', 'b'] },
+    });
+  });
+
+  test('runs each pending migration in order', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+
+      const v1 = createStore({ dbName: 'migration-test' });
+      await v1.set('count', 1);
+      v1.destroy();
+
+      const v3 = createStore({
+        dbName: 'migration-test',
+        version: 3,
+        migrations: {
+          2: (ctx) => ctx.transform('count', (n) => n * 10),
+          3: (ctx) => ctx.transform('count', (n) => n + 1),
+        },
+      });
+      const count = await v3.get('count');
+      v3.destroy();
+      return count;
+    });
+
+    expect(result).toBe(11);
+  });
+
+  test('an open tab at the old version does not block the upgrade', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+
+      // Keep the old store open, as another tab would
+      const oldTab = createStore({ dbName: 'migration-test', channelName: 'old-tab' });
+      await oldTab.set('theme', 'dark');
+
+      const newTab = createStore({
+        dbName: 'migration-test',
+        channelName: 'new-tab',
+        version: 2,
+        upgradeTimeout: 2000,
+        migrations: {
+          2: (ctx) => ctx.transform('theme', (theme) => ({ mode: theme })),
+        },
+      });
+      const theme = await newTab.get('theme');
+      oldTab.destroy();
+      newTab.destroy();
+      return theme;
+    });
+
+    expect(result).toEqual({ mode: 'dark' });
+  });
+});
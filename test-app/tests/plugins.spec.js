@@ -0,0 +1,242 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Plugins', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('plugins run in registration order around each operation', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const calls = [];
+      const tracer = (name) => ({
+        name,
+        set: async (ctx, next) => {
+          calls.push(`${name}:before:${ctx.key}`);
+          await next();
+          calls.push(`${name}:after:${ctx.key}`);
+        },
+      });
+      const store = window.mfeStore.createStore({
+        dbName: 'plugins-test',
+        plugins: [tracer('outer'), tracer('inner')],
+      });
+
+      await store.set('theme', 'dark');
+      store.destroy();
+      return calls;
+    });
+
+    expect(result).toEqual([
+      'outer:before:theme',
+      'inner:before:theme',
+      'inner:after:theme',
+      'outer:after:theme',
+    ]);
+  });
+
+  test('plugins can change values and block operations', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'plugins-test',
+        plugins: [
+          {
+            name: 'normalize',
+            set: (ctx, next) => {
+              if (typeof ctx.value === 'string') ctx.value = ctx.value.trim();
+              return next();
+            },
+            get: async (ctx, next) => {
+              const value = await next();
+              return ctx.key === 'token' && value ? '***' : value;
+            },
+          },
+          {
+            name: 'guard',
+            delete: (ctx, next) => {
+              if (ctx.key === 'token') throw new Error('token is read-only');
+              return next();
+            },
+            // Never calls next(), so clear does nothing
+            clear: () => {},
+          },
+        ],
+      });
+
+      await store.set('name', '  Alice  ');
+      await store.set('token', 'secret');
+      let deleteError = null;
+      try {
+        await store.delete('token');
+      } catch (error) {
+        deleteError = error.message;
+      }
+      await store.clear();
+
+      const values = {
+        name: await store.get('name'),
+        token: await store.get('token'),
+        stored: await store.getAll(),
+        deleteError,
+      };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.name).toBe('Alice');
+    expect(result.token).toBe('***');
+    // getAll passes every value through the get middleware too
+    expect(result.stored).toEqual({ name: 'Alice', token: '***' });
+    expect(result.deleteError).toBe('token is read-only');
+  });
+
+  test('set and delete middleware cover transactions, update, undo and imports', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const seen = [];
+      const store = window.mfeStore.createStore({
+        dbName: 'plugins-test',
+        history: true,
+        plugins: [
+          {
+            name: 'guard',
+            set: (ctx, next) => {
+              seen.push(`set:${ctx.key}`);
+              if (ctx.key === 'locked') return undefined;
+              if (typeof ctx.value === 'string') ctx.value = ctx.value.trim();
+              return next();
+            },
+            delete: (ctx, next) => {
+              seen.push(`delete:${ctx.key}`);
+              if (ctx.key === 'token') throw new Error('token is read-only');
+              return next();
+            },
+          },
+        ],
+      });
+
+      await store.set('token', 'secret');
+      await store.transaction((tx) => {
+        tx.set('name', '  Alice  ');
+        tx.set('locked', 'nope');
+      });
+      const updated = await store.update('locked', () => 'still nope');
+      await store.update('count', (count) => (count ?? 0) + 1);
+      const rejected = [];
+      for (const write of [
+        () => store.transaction((tx) => tx.delete('token')),
+        () => store.update('token', () => undefined),
+      ]) {
+        await write().catch((error) => rejected.push(error.message));
+      }
+      await store.history.undo();
+      const doc = await store.exportSnapshot();
+      await store.importSnapshot(
+        { ...doc, values: { name: '  Bob  ', locked: 'nope' } },
+        { mode: 'replace' }
+      ).catch((error) => rejected.push(error.message));
+
+      const values = await store.getAll();
+      store.destroy();
+      return { updated, rejected, values, seen };
+    });
+
+    expect(result.updated).toBeUndefined();
+    expect(result.rejected).toEqual([
+      'token is read-only',
+      'token is read-only',
+      'token is read-only',
+    ]);
+    // Undo removed count; the blocked import changed nothing
+    expect(result.values).toEqual({ token: 'secret', name: 'Alice' });
+    expect(result.seen).toEqual([
+      'set:token',
+      'set:name',
+      'set:locked',
+      'set:locked',
+      'set:count',
+      'delete:token',
+      'delete:token',
+      'delete:count',
+      'set:name',
+      'set:locked',
+      'delete:token',
+    ]);
+  });
+
+  test('plugins see messages from other tabs', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const received = [];
+      const receiver = createStore({
+        dbName: 'plugins-test',
+        plugins: [
+          {
+            name: 'filter',
+            message: (ctx, next) => {
+              received.push(ctx.message.type);
+              // Drop remote writes to `draft`
+              return ctx.message.key === 'draft' ? undefined : next();
+            },
+          },
+        ],
+      });
+      const sender = createStore({ dbName: 'plugins-test' });
+
+      await sender.set('draft', 'unsaved');
+      await sender.set('theme', 'dark');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const values = {
+        received,
+        draft: receiver.peek('draft'),
+        theme: receiver.peek('theme'),
+      };
+      sender.destroy();
+      receiver.destroy();
+      return values;
+    });
+
+    expect(result.received).toEqual(['set', 'set']);
+    expect(result.draft).toBeUndefined();
+    expect(result.theme).toBe('dark');
+  });
+
+  test('setup receives the store and its cleanup runs on destroy', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const events = [];
+      const store = window.mfeStore.createStore({
+        dbName: 'plugins-test',
+        plugins: [
+          {
+            name: 'observer',
+            setup: (s) => {
+              const unsubscribe = s.subscribe('theme', (value) => events.push(value));
+              return () => {
+                unsubscribe();
+                events.push('cleanup');
+              };
+            },
+          },
+        ],
+      });
+
+      await store.set('theme', 'dark');
+      store.destroy();
+      return events;
+    });
+
+    expect(result).toEqual(['dark', 'cleanup']);
+  });
+});
@@ -0,0 +1,192 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Event Protocol', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('change events carry origin, tab, timestamp and revision', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, PROTOCOL_VERSION } = window.mfeStore;
+      const editor = createStore({ dbName: 'protocol-test' });
+      const viewer = createStore({ dbName: 'protocol-test' });
+      const events = [];
+      window.addEventListener('store:protocol-test:title', (event) => events.push(event.detail));
+
+      await editor.set('title', 'Draft');
+      await editor.set('title', 'Final');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      editor.destroy();
+      viewer.destroy();
+      // Both stores share the channel, so the viewer re-dispatches what it hears
+      const local = events.filter(({ meta }) => meta.origin === 'local');
+      const remote = events.filter(({ meta }) => meta.origin === 'broadcast');
+      return { local, remote, version: PROTOCOL_VERSION };
+    });
+
+    expect(result.local).toHaveLength(2);
+    const [first, second] = result.local;
+    expect(first).toMatchObject({
+      protocol: result.version,
+      type: 'change',
+      key: 'title',
+      value: 'Draft',
+      meta: { origin: 'local' },
+    });
+    expect(typeof first.meta.tab).toBe('string');
+    expect(typeof first.meta.timestamp).toBe('number');
+    expect(second.meta.revision).toBeGreaterThan(first.meta.revision);
+
+    // The other store hears the same changes, from the same tab, over the broadcast channel
+    expect(result.remote.map(({ value }) => value)).toEqual(['Draft', 'Final']);
+    expect(result.remote[1].meta).toMatchObject({
+      tab: second.meta.tab,
+      revision: second.meta.revision,
+    });
+  });
+
+  test('a client reads, writes and watches a store it did not create', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'protocol-test',
+        channelName: 'shop',
+        requestWrites: ['cart'],
+      });
+      const client = window.mfeClient.createClient('shop');
+      const heard = [];
+      const all = [];
+      client.subscribe('cart', (value, oldValue, meta) => heard.push([value, meta.origin]));
+      client.subscribeAll((value, oldValue, key) => all.push(key));
+
+      await store.set('cart', ['apple']);
+      const read = await client.get('cart');
+      await client.set('cart', ['apple', 'pear']);
+      const written = await store.get('cart');
+      await client.delete('cart');
+      const deleted = await store.get('cart');
+      const missing = await client.get('cart');
+
+      store.destroy();
+      return { read, written, deleted, missing, heard, all };
+    });
+
+    expect(result.read).toEqual(['apple']);
+    expect(result.written).toEqual(['apple', 'pear']);
+    expect(result.deleted).toBeUndefined();
+    expect(result.missing).toBeUndefined();
+    expect(result.heard).toEqual([
+      [['apple'], 'local'],
+      [['apple', 'pear'], 'local'],
+      [undefined, 'local'],
+    ]);
+    expect(result.all).toEqual(['cart', 'cart', 'cart']);
+  });
+
+  test('store errors reach the client', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'protocol-test',
+        channelName: 'checked',
+        requestWrites: ['age'],
+        validators: {
+          age: (value) => {
+            if (typeof value !== 'number') {
+              throw new TypeError('age must be a number');
+            }
+          },
+        },
+      });
+      const client = window.mfeClient.createClient('checked');
+
+      const error = await client
+        .set('age', 'old')
+        .catch(({ name, message }) => ({ name, message }));
+      const stored = await store.get('age');
+
+      store.destroy();
+      return { error, stored };
+    });
+
+    expect(result.error).toEqual({ name: 'TypeError', message: 'age must be a number' });
+    expect(result.stored).toBeUndefined();
+  });
+
+  test('writes to keys not listed in requestWrites are rejected', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'protocol-test',
+        channelName: 'guarded',
+        ownership: { session: 'shell' },
+        requestWrites: ['cart'],
+      });
+      await store.set('session', 'token');
+      await store.set('checkout:step', 2);
+      const client = window.mfeClient.createClient('guarded');
+
+      const reject = (promise) => promise.then(() => 'ok', ({ name }) => name);
+      const result = {
+        cart: await reject(client.set('cart', ['apple'])),
+        session: await reject(client.set('session', 'forged')),
+        scoped: await reject(client.delete('checkout:step')),
+        read: await client.get('session'),
+        values: await store.getAll(),
+      };
+      store.destroy();
+      return result;
+    });
+
+    expect(result).toEqual({
+      cart: 'ok',
+      session: 'AccessError',
+      scoped: 'AccessError',
+      read: 'token',
+      values: { cart: ['apple'], session: 'token', 'checkout:step': 2 },
+    });
+  });
+
+  test("a channel name containing ':' doesn't collide with another channel's keys", async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, subscribeToKey, subscribeToAll } = window.mfeStore;
+      const store = createStore({ dbName: 'protocol-test', channelName: 'shop:cart' });
+      const wrongKey = [];
+      const channel = [];
+      const raw = [];
+      // Channel `shop`, key `cart` - would have heard every change on channel `shop:cart`
+      subscribeToKey('shop', 'cart', (value) => wrongKey.push(value));
+      subscribeToAll('shop:cart', (value, oldValue, key) => channel.push(key));
+      window.addEventListener('store:shop%3Acart:items', (event) => raw.push(event.detail.value));
+
+      await store.set('items', ['apple']);
+
+      store.destroy();
+      return { wrongKey, channel, raw };
+    });
+
+    expect(result.wrongKey).toEqual([]);
+    expect(result.channel).toEqual(['items']);
+    expect(result.raw).toEqual([['apple']]);
+  });
+
+  test('requests time out when no store answers', async ({ page }) => {
+    const message = await page.evaluate(async () => {
+      const client = window.mfeClient.createClient('nobody', { timeout: 50 });
+      return client.get('anything').catch((error) => error.message);
+    });
+
+    expect(message).toContain('nobody');
+  });
+});
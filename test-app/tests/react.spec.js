@@ -82,4 +82,75 @@ test.describe('React Integration', () => {
     // Should persist
     await expect(page.getByTestId('count-value')).toHaveText('2');
   });
+
+  test('useHistory undoes and redoes changes', async ({ page }) => {
+    await page.goto('/react.html');
+
+    await expect(page.getByTestId('count-value')).toHaveText('0');
+    await expect(page.getByTestId('undo-btn')).toBeDisabled();
+
+    await page.getByTestId('increment-btn').click();
+    await expect(page.getByTestId('count-value')).toHaveText('1');
+    await page.getByTestId('increment-btn').click();
+    await expect(page.getByTestId('count-value')).toHaveText('2');
+
+    // Undo
+    await page.getByTestId('undo-btn').click();
+    await expect(page.getByTestId('count-value')).toHaveText('1');
+    await expect(page.getByTestId('redo-btn')).toBeEnabled();
+
+    // Redo
+    await page.getByTestId('redo-btn').click();
+    await expect(page.getByTestId('count-value')).toHaveText('2');
+    await expect(page.getByTestId('redo-btn')).toBeDisabled();
+  });
+
+  test('the hook reports rejected writes as error', async ({ page }) => {
+    await page.goto('/react.html');
+    await expect(page.getByTestId('count-value')).toHaveText('0');
+
+    await page.getByTestId('set-invalid-hook-btn').click();
+    await expect(page.getByTestId('hook-error')).toContainText('count must be a number');
+
+    // A successful write clears it
+    await page.getByTestId('increment-btn').click();
+    await expect(page.getByTestId('count-value')).toHaveText('1');
+    await expect(page.getByTestId('hook-error')).toHaveCount(0);
+  });
+
+  test('suspense and context hooks render the stored value', async ({ page }) => {
+    await page.goto('/react.html');
+    await expect(page.getByTestId('suspense-user')).toHaveText('Hello, guest');
+
+    await page.getByTestId('user-input').fill('Alice');
+    await page.getByTestId('set-user-btn').click();
+    await expect(page.getByTestId('suspense-user')).toHaveText('Hello, Alice');
+
+    // After a reload the component suspends instead of rendering a loading state
+    await page.reload();
+    await expect(page.getByTestId('suspense-user')).toHaveText('Hello, Alice');
+    await expect(page.getByTestId('suspense-fallback')).toHaveCount(0);
+  });
+
+  test('useStoreAll follows changes to any key', async ({ page }) => {
+    await page.goto('/react.html');
+    await expect(page.getByTestId('all-keys')).toHaveText('--');
+
+    await page.getByTestId('increment-btn').click();
+    await expect(page.getByTestId('all-keys')).toHaveText('count');
+
+    await page.getByTestId('user-input').fill('Alice');
+    await page.getByTestId('set-user-btn').click();
+    await expect(page.getByTestId('all-keys')).toHaveText('count,user');
+
+    await page.getByTestId('clear-user-btn').click();
+    await expect(page.getByTestId('all-keys')).toHaveText('count');
+  });
+
+  test('useStoreValueSync throws a failed load to the error boundary', async ({ page }) => {
+    await page.goto('/react.html');
+
+    await expect(page.getByTestId('boundary-error')).toHaveText('storage is offline');
+    await expect(page.getByTestId('offline-theme')).toHaveCount(0);
+  });
 });
@@ -0,0 +1,93 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Synchronous reads', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('ready() preloads values for peek and getSnapshot', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const writer = createStore({ dbName: 'ready-test' });
+      await writer.set('theme', 'dark');
+      await writer.set('user', { name: 'Alice' });
+      writer.destroy();
+
+      const store = createStore({ dbName: 'ready-test' });
+      const before = { peek: store.peek('theme'), ready: store.isReady() };
+      await store.ready();
+      const after = {
+        peek: store.peek('theme'),
+        ready: store.isReady(),
+        snapshot: store.getSnapshot(),
+      };
+      store.destroy();
+      return { before, after };
+    });
+
+    expect(result.before).toEqual({ peek: undefined, ready: false });
+    expect(result.after).toEqual({
+      peek: 'dark',
+      ready: true,
+      snapshot: { theme: 'dark', user: { name: 'Alice' } },
+    });
+  });
+
+  test('ready(keys) loads only the given keys', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const writer = createStore({ dbName: 'ready-test' });
+      await writer.set('theme', 'dark');
+      await writer.set('user', { name: 'Alice' });
+      writer.destroy();
+
+      const store = createStore({ dbName: 'ready-test' });
+      await store.ready(['theme', 'missing']);
+      const result = {
+        theme: store.peek('theme'),
+        user: store.peek('user'),
+        themeReady: store.isReady('theme'),
+        missingReady: store.isReady('missing'),
+        userReady: store.isReady('user'),
+      };
+      store.destroy();
+      return result;
+    });
+
+    expect(result).toEqual({
+      theme: 'dark',
+      user: undefined,
+      themeReady: true,
+      missingReady: true,
+      userReady: false,
+    });
+  });
+
+  test('getSnapshot keeps its identity until a value changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'ready-test' });
+      await store.set('count', 1);
+
+      const first = store.getSnapshot();
+      const same = first === store.getSnapshot();
+      await store.set('count', 2);
+      const changed = first !== store.getSnapshot();
+      store.destroy();
+      return { same, changed };
+    });
+
+    expect(result).toEqual({ same: true, changed: true });
+  });
+});
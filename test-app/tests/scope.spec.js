@@ -0,0 +1,202 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Scopes', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('scopes namespace their keys', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'scope-test' });
+      const checkout = store.scope('checkout');
+      const search = store.scope('search');
+
+      await checkout.set('state', { step: 2 });
+      await search.set('state', { query: 'shoes' });
+
+      const values = {
+        checkout: await checkout.get('state'),
+        search: await search.get('state'),
+        root: await store.getAll(),
+      };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.checkout).toEqual({ step: 2 });
+    expect(result.search).toEqual({ query: 'shoes' });
+    expect(result.root).toEqual({
+      'checkout:state': { step: 2 },
+      'search:state': { query: 'shoes' },
+    });
+  });
+
+  test('clear only removes the scope namespace', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'scope-test',
+        ownership: { session: 'shell' },
+      });
+      await store.scope('shell').set('session', { token: 'abc' });
+      await store.scope('search').set('query', 'shoes');
+
+      const checkout = store.scope('checkout');
+      await checkout.set('cart', [1, 2]);
+      await checkout.clear();
+
+      const values = { checkout: await checkout.getAll(), root: await store.getAll() };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.checkout).toEqual({ session: { token: 'abc' } });
+    expect(result.root).toEqual({ session: { token: 'abc' }, 'search:query': 'shoes' });
+  });
+
+  test('writes to shared keys from other scopes are rejected', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, AccessError } = window.mfeStore;
+      const store = createStore({
+        dbName: 'scope-test',
+        ownership: { session: 'shell' },
+      });
+      await store.scope('shell').set('session', { token: 'abc' });
+
+      const checkout = store.scope('checkout');
+      const errors = [];
+      for (const attempt of [
+        () => checkout.set('session', { token: 'evil' }),
+        () => checkout.delete('session'),
+        () => checkout.transaction((tx) => tx.set('session', null)),
+      ]) {
+        try {
+          await attempt();
+        } catch (error) {
+          errors.push({ typed: error instanceof AccessError, key: error.key, scope: error.scope });
+        }
+      }
+
+      const values = { errors, session: await checkout.get('session') };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.errors).toEqual(
+      Array(3).fill({ typed: true, key: 'session', scope: 'checkout' })
+    );
+    // Shared keys stay readable from every scope
+    expect(result.session).toEqual({ token: 'abc' });
+  });
+
+  test('a scope can only derive shared keys it owns', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, AccessError } = window.mfeStore;
+      const store = createStore({
+        dbName: 'scope-test',
+        ownership: { session: 'shell' },
+      });
+      const checkout = store.scope('checkout');
+      await checkout.set('cart', [1, 2]);
+
+      let error;
+      try {
+        checkout.derive('session', ['cart'], (cart) => ({ token: String(cart?.length) }));
+      } catch (caught) {
+        error = { typed: caught instanceof AccessError, key: caught.key, scope: caught.scope };
+      }
+      // The owner can still write the key
+      await store.scope('shell').set('session', { token: 'abc' });
+
+      const values = { error, session: await store.get('session') };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.error).toEqual({ typed: true, key: 'session', scope: 'checkout' });
+    expect(result.session).toEqual({ token: 'abc' });
+  });
+
+  test("a scope's history skips shared keys it doesn't own", async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'scope-test',
+        history: true,
+        ownership: { session: 'shell' },
+      });
+      const checkout = store.scope('checkout');
+      const shell = store.scope('shell');
+
+      await checkout.set('cart', [1]);
+      await shell.set('session', { token: 'abc' });
+
+      await checkout.history.undo();
+      const values = {
+        cart: await checkout.get('cart'),
+        session: await store.get('session'),
+        checkoutCanUndo: checkout.history.canUndo(),
+        shellCanUndo: shell.history.canUndo(),
+      };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.cart).toBeUndefined();
+    expect(result.session).toEqual({ token: 'abc' });
+    expect(result.checkoutCanUndo).toBe(false);
+    expect(result.shellCanUndo).toBe(true);
+  });
+
+  test("hydrate skips shared keys the scope doesn't own", async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({
+        dbName: 'scope-test',
+        ownership: { session: 'shell' },
+      });
+      await store.scope('shell').set('session', { token: 'abc' });
+
+      store.scope('checkout').hydrate({
+        values: { cart: [1, 2], session: { token: 'forged' } },
+      });
+
+      const values = {
+        cart: await store.get('checkout:cart'),
+        session: await store.get('session'),
+      };
+      store.destroy();
+      return values;
+    });
+
+    expect(result.cart).toEqual([1, 2]);
+    expect(result.session).toEqual({ token: 'abc' });
+  });
+
+  test('subscribers of a scoped key receive changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'scope-test' });
+      const checkout = store.scope('checkout');
+      const received = [];
+      checkout.subscribe('cart', (value) => received.push(value));
+
+      await store.set('checkout:cart', [1]);
+      await checkout.update('cart', (cart) => [...cart, 2]);
+      checkout.destroy();
+      await checkout.set('cart', []);
+
+      store.destroy();
+      return received;
+    });
+
+    expect(result).toEqual([[1], [1, 2]]);
+  });
+});
@@ -0,0 +1,196 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Snapshots', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('dates, maps, sets, blobs and typed arrays survive a JSON round-trip', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'snapshot-test' });
+      await store.set('savedAt', new Date('2024-01-02T03:04:05.000Z'));
+      await store.set('cart', new Map([['apple', { quantity: 2, tags: new Set(['fruit']) }]]));
+      await store.set('avatar', new Blob(['png'], { type: 'image/png' }));
+      await store.set('samples', new Float32Array([0.5, 1.5]));
+      await store.set('stats', { best: Infinity, $type: 'mine' });
+      const text = JSON.stringify(await store.exportSnapshot());
+      store.destroy();
+
+      const target = createStore({ dbName: 'snapshot-target' });
+      await target.importSnapshot(JSON.parse(text));
+      const reader = createStore({ dbName: 'snapshot-target' });
+      const values = await reader.getAll();
+      const result = {
+        format: JSON.parse(text).format,
+        savedAt: values.savedAt instanceof Date && values.savedAt.toISOString(),
+        cart: Array.from(values.cart, ([sku, { quantity, tags }]) => [sku, quantity, [...tags]]),
+        avatar: [values.avatar.type, await values.avatar.text()],
+        samples: values.samples instanceof Float32Array && Array.from(values.samples),
+        stats: values.stats,
+      };
+      target.destroy();
+      reader.destroy();
+      return result;
+    });
+
+    expect(result).toEqual({
+      format: 'mfe-store-snapshot',
+      savedAt: '2024-01-02T03:04:05.000Z',
+      cart: [['apple', 2, ['fruit']]],
+      avatar: ['image/png', 'png'],
+      samples: [0.5, 1.5],
+      stats: { best: Infinity, $type: 'mine' },
+    });
+  });
+
+  test('an object held twice is exported twice, and a cycle is rejected', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'snapshot-test' });
+      const address = { city: 'Oslo' };
+      await store.set('order', {
+        billing: address,
+        shipping: address,
+        stops: [address, address],
+      });
+      const doc = JSON.parse(JSON.stringify(await store.exportSnapshot()));
+
+      const loop = { name: 'loop' };
+      loop.self = loop;
+      await store.set('loop', loop);
+      let cycle;
+      try {
+        await store.exportSnapshot();
+      } catch (error) {
+        cycle = error.message;
+      }
+      store.destroy();
+      return { order: doc.values.order, cycle };
+    });
+
+    expect(result).toEqual({
+      order: {
+        billing: { city: 'Oslo' },
+        shipping: { city: 'Oslo' },
+        stops: [{ city: 'Oslo' }, { city: 'Oslo' }],
+      },
+      cycle: "A value that contains itself can't be exported",
+    });
+  });
+
+  test('replace deletes missing keys, and a rejected value changes nothing', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, ValidationError } = window.mfeStore;
+      const store = createStore({
+        dbName: 'snapshot-test',
+        validators: {
+          age: (value) => {
+            if (typeof value !== 'number') throw new TypeError('age must be a number');
+          },
+        },
+      });
+      await store.set('theme', 'dark');
+      const doc = await store.exportSnapshot();
+      await store.set('draft', 'unsaved');
+
+      await store.importSnapshot({ ...doc, values: { ...doc.values, age: 30 } });
+      const merged = await store.getAll();
+
+      let rejected;
+      try {
+        await store.importSnapshot(
+          { ...doc, values: { theme: 'light', age: 'old' } },
+          { mode: 'replace' }
+        );
+      } catch (error) {
+        rejected = error instanceof ValidationError;
+      }
+      const afterRejected = await store.getAll();
+
+      await store.importSnapshot(doc, { mode: 'replace' });
+      const replaced = await store.getAll();
+      store.destroy();
+      return { merged, rejected, afterRejected, replaced };
+    });
+
+    expect(result).toEqual({
+      merged: { theme: 'dark', draft: 'unsaved', age: 30 },
+      rejected: true,
+      afterRejected: { theme: 'dark', draft: 'unsaved', age: 30 },
+      replaced: { theme: 'dark' },
+    });
+  });
+
+  test('replace keeps encrypted keys that the export left out', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const key = {
+        id: 'k1',
+        key: await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+          'encrypt',
+          'decrypt',
+        ]),
+      };
+      const store = window.mfeStore.createStore({
+        dbName: 'snapshot-test',
+        encryption: { keys: ['user'], current: key },
+      });
+      await store.set('user', { name: 'Alice' });
+      await store.set('theme', 'dark');
+      await store.set('draft', 'unsaved');
+      const doc = await store.exportSnapshot({ keys: ['user', 'theme'] });
+
+      await store.importSnapshot(doc, { mode: 'replace' });
+      const values = await store.getAll();
+      store.destroy();
+      return { exported: Object.keys(doc.values), values };
+    });
+
+    expect(result).toEqual({
+      exported: ['theme'],
+      values: { user: { name: 'Alice' }, theme: 'dark' },
+    });
+  });
+
+  test('imported values reach subscribers in this tab and others', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'snapshot-test' });
+      // Another store on the same channel stands in for another tab
+      const other = createStore({ dbName: 'snapshot-test' });
+      await store.set('theme', 'dark');
+      await store.set('draft', 'unsaved');
+      await other.ready();
+
+      const local = [];
+      const remote = [];
+      store.subscribeAll((value, oldValue, key) => local.push([key, value]));
+      other.subscribeAll((value, oldValue, key) => remote.push([key, value]));
+
+      const doc = await store.exportSnapshot({ keys: ['theme'] });
+      await store.importSnapshot({ ...doc, values: { theme: 'light' } }, { mode: 'replace' });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      store.destroy();
+      other.destroy();
+      return { local, remote };
+    });
+
+    expect(result.local).toEqual([
+      ['theme', 'light'],
+      ['draft', undefined],
+    ]);
+    expect(result.remote).toEqual(result.local);
+  });
+});
@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Server-side rendering', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('SSR-mode stores stay in memory and do not broadcast', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const server = createStore({ dbName: 'ssr-test', channelName: 'ssr', ssr: true });
+      const client = createStore({ dbName: 'ssr-test', channelName: 'ssr' });
+
+      let received = false;
+      client.subscribe('user', () => { received = true; });
+      await server.set('user', { name: 'Alice' });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const serverUser = await server.get('user');
+      const clientUser = await client.get('user');
+      server.destroy();
+      client.destroy();
+      return { serverUser, clientUser, received };
+    });
+
+    expect(result.serverUser).toEqual({ name: 'Alice' });
+    expect(result.clientUser).toBeUndefined();
+    expect(result.received).toBe(false);
+  });
+
+  test('hydrate seeds values from a serialized snapshot', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, serializeSnapshot } = window.mfeStore;
+      const server = createStore({ dbName: 'ssr-test', ssr: true });
+      await server.set('user', { name: '</script>Alice' });
+      const html = serializeSnapshot(await server.dehydrate());
+      server.destroy();
+
+      const client = createStore({ dbName: 'ssr-test' });
+      client.hydrate(JSON.parse(html));
+      const user = await client.get('user');
+      client.destroy();
+      return { html, user };
+    });
+
+    expect(result.html).not.toContain('</script>');
+    expect(result.user).toEqual({ name: '</script>Alice' });
+  });
+});
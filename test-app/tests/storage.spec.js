@@ -0,0 +1,191 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Storage backends', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB and Web Storage before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+      localStorage.clear();
+      sessionStorage.clear();
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  for (const storage of ['localStorage', 'sessionStorage']) {
+    test(`${storage} store persists values`, async ({ page }) => {
+      const result = await page.evaluate(async (storage) => {
+        const { createStore } = window.mfeStore;
+        const store = createStore({ dbName: 'storage-test', storage });
+        await store.set('user', { name: 'Alice' });
+        await store.update('count', (count) => (count ?? 0) + 1);
+        store.destroy();
+
+        const reopened = createStore({ dbName: 'storage-test', storage });
+        const all = await reopened.getAll();
+        reopened.destroy();
+        return { all, raw: window[storage].getItem('storage-test/store:user') };
+      }, storage);
+
+      expect(result.all).toEqual({ user: { name: 'Alice' }, count: 1 });
+      expect(JSON.parse(result.raw)).toEqual({ name: 'Alice' });
+    });
+  }
+
+  test('memory store keeps values for its lifetime only', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'storage-test', storage: 'memory' });
+      await store.set('theme', 'dark');
+      const theme = await store.get('theme');
+      store.destroy();
+
+      const fresh = createStore({ dbName: 'storage-test', storage: 'memory' });
+      const after = await fresh.get('theme');
+      fresh.destroy();
+      return { theme, after, databases: (await indexedDB.databases()).length };
+    });
+
+    expect(result).toEqual({ theme: 'dark', after: undefined, databases: 0 });
+  });
+
+  test('custom adapters receive every write', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, createMemoryAdapter } = window.mfeStore;
+      const inner = createMemoryAdapter();
+      const writes = [];
+      const adapter = {
+        ...inner,
+        write: (keys, mutate) =>
+          inner.write(keys, (current, metas) => {
+            const operations = mutate(current, metas);
+            writes.push(...operations.map(({ type, key }) => `${type}:${key}`));
+            return operations;
+          }),
+      };
+
+      const store = createStore({ storage: adapter });
+      await store.set('a', 1);
+      await store.delete('a');
+      store.destroy();
+      return writes;
+    });
+
+    expect(result).toEqual(['set:a', 'delete:a']);
+  });
+
+  test('stores in the same database get their own object stores', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const cart = createStore({ dbName: 'shared-db', storeName: 'cart' });
+      await cart.set('items', ['apple']);
+      // Added by upgrading the database the cart store already has open
+      const user = createStore({ dbName: 'shared-db', storeName: 'user' });
+      await user.set('name', 'Ada');
+      await cart.set('total', 3);
+
+      const values = { cart: await cart.getAll(), user: await user.getAll() };
+      cart.destroy();
+      user.destroy();
+      return values;
+    });
+
+    expect(result).toEqual({ cart: { items: ['apple'], total: 3 }, user: { name: 'Ada' } });
+  });
+
+  test('declared object stores are created in one upgrade', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, defineDatabase } = window.mfeStore;
+      defineDatabase('declared-db', ['cart', 'user', 'settings']);
+
+      const cart = createStore({ dbName: 'declared-db', storeName: 'cart' });
+      await cart.set('items', ['apple']);
+      const user = createStore({ dbName: 'declared-db', storeName: 'user' });
+      await user.set('name', 'Ada');
+      cart.destroy();
+      user.destroy();
+
+      const db = (await indexedDB.databases()).find(({ name }) => name === 'declared-db');
+      return db.version;
+    });
+
+    expect(result).toBe(1);
+  });
+
+  test('a store keeps working after another store in its database is destroyed', async ({
+    page,
+  }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const first = createStore({ dbName: 'refcount-db' });
+      const second = createStore({ dbName: 'refcount-db' });
+      await first.set('theme', 'dark');
+      first.destroy();
+
+      await second.set('locale', 'en');
+      const values = await second.getAll();
+      second.destroy();
+      return values;
+    });
+
+    expect(result).toEqual({ theme: 'dark', locale: 'en' });
+  });
+
+  test('withFallback switches when the backend is unavailable', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, createMemoryAdapter, withFallback } = window.mfeStore;
+      // A primary whose opens fail with the given error, and that has no outbox. With
+      // `afterOpen`, the first open succeeds and the next one fails.
+      const run = async (name, { afterOpen = false } = {}) => {
+        const errors = afterOpen ? [] : [name];
+        const primary = { ...createMemoryAdapter(), sync: undefined };
+        primary.open = () =>
+          errors.length > 0
+            ? Promise.reject(new DOMException('Open failed', errors.shift()))
+            : Promise.resolve();
+        let fellBack = false;
+        const adapter = withFallback(primary, () => {
+          fellBack = true;
+          return createMemoryAdapter();
+        });
+
+        if (afterOpen) {
+          const earlier = createStore({ storage: adapter });
+          await earlier.set('theme', 'dark');
+          earlier.destroy();
+          errors.push(name);
+        }
+
+        const store = createStore({ storage: adapter });
+        const first = await store.set('theme', 'dark').then(() => 'ok', ({ name }) => name);
+        await store.set('theme', 'light');
+        const stored = (await primary.get('theme'))?.value;
+        store.destroy();
+        return { first, fellBack, stored, sync: adapter.sync };
+      };
+
+      return {
+        // Firefox private browsing
+        invalidState: await run('InvalidStateError'),
+        unavailable: await run('SecurityError'),
+        transient: await run('InvalidStateError', { afterOpen: true }),
+        unavailableLater: await run('SecurityError', { afterOpen: true }),
+      };
+    });
+
+    expect(result.invalidState).toEqual({ first: 'ok', fellBack: true });
+    expect(result.unavailable).toEqual({ first: 'ok', fellBack: true });
+    expect(result.transient).toEqual({
+      first: 'ConnectionError',
+      fellBack: false,
+      stored: 'light',
+    });
+    expect(result.unavailableLater).toEqual({ first: 'ok', fellBack: true, stored: 'dark' });
+  });
+});
@@ -0,0 +1,128 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Subscriptions', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('patterns and subscribeAll receive the keys they match', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, keyPattern } = window.mfeStore;
+      const store = createStore({ dbName: 'subscribe-test' });
+      const cart = [];
+      const all = [];
+      const starred = [];
+      store.subscribe(keyPattern('cart.*'), (value, oldValue, key) => cart.push([key, value]));
+      store.subscribeAll((value, oldValue, key) => all.push(key));
+      // A plain key containing `*` is still an exact key
+      store.subscribe('cart.*', (value) => starred.push(value));
+
+      await store.set('cart.items', ['apple']);
+      await store.set('user', 'Ada');
+      await store.set('cart.total', 3);
+      await store.delete('cart.items');
+      await store.set('cart.*', 'literal');
+
+      store.destroy();
+      return { cart, all, starred };
+    });
+
+    expect(result.cart).toEqual([
+      ['cart.items', ['apple']],
+      ['cart.total', 3],
+      ['cart.items', undefined],
+      ['cart.*', 'literal'],
+    ]);
+    expect(result.all).toEqual(['cart.items', 'user', 'cart.total', 'cart.items', 'cart.*']);
+    expect(result.starred).toEqual(['literal']);
+  });
+
+  test('selector subscriptions fire only when the slice changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const store = window.mfeStore.createStore({ dbName: 'subscribe-test' });
+      const names = [];
+      const tags = [];
+      store.subscribe('user', (name, previous) => names.push([name, previous]), {
+        selector: (user) => user?.name,
+      });
+      store.subscribe('user', (value) => tags.push(value), {
+        selector: (user) => user?.tags ?? [],
+        equals: (a, b) => a.join() === b.join(),
+      });
+
+      await store.set('user', { name: 'Ada', tags: ['admin'] });
+      await store.set('user', { name: 'Ada', tags: ['admin'] });
+      await store.set('user', { name: 'Ada', tags: ['admin', 'dev'] });
+      await store.set('user', { name: 'Grace', tags: ['admin', 'dev'] });
+
+      store.destroy();
+      return { names, tags };
+    });
+
+    expect(result.names).toEqual([
+      ['Ada', undefined],
+      ['Grace', 'Ada'],
+    ]);
+    expect(result.tags).toEqual([['admin'], ['admin', 'dev']]);
+  });
+
+  test('clear notifies every stored key, not only subscribed ones', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, subscribeToKey } = window.mfeStore;
+      const writer = createStore({ dbName: 'subscribe-test' });
+      await writer.set('theme', 'dark');
+      await writer.set('locale', 'en');
+      writer.destroy();
+
+      // A fresh store that never read either key clears them
+      const store = createStore({ dbName: 'subscribe-test' });
+      const heard = [];
+      subscribeToKey('subscribe-test', 'theme', (value, oldValue) => {
+        heard.push([value, oldValue]);
+      });
+      await store.clear();
+
+      store.destroy();
+      return heard;
+    });
+
+    expect(result).toEqual([[undefined, 'dark']]);
+  });
+
+  test('subscribeToKey and subscribeToAll support patterns and selectors', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, subscribeToKey, subscribeToAll, keyPattern } = window.mfeStore;
+      const store = createStore({ dbName: 'subscribe-test', channelName: 'shop' });
+      const cart = [];
+      const counts = [];
+      const all = [];
+      subscribeToKey('shop', keyPattern('cart.*'), (value, oldValue, key) => cart.push(key));
+      subscribeToKey('shop', 'cart.items', (count) => counts.push(count), {
+        selector: (items) => items?.length ?? 0,
+      });
+      subscribeToAll('shop', (value, oldValue, key) => all.push(key));
+
+      await store.set('cart.items', ['apple']);
+      await store.set('cart.items', ['pear']);
+      await store.set('user', 'Ada');
+
+      store.destroy();
+      return { cart, counts, all };
+    });
+
+    expect(result.cart).toEqual(['cart.items', 'cart.items']);
+    expect(result.counts).toEqual([1]);
+    expect(result.all).toEqual(['cart.items', 'cart.items', 'user']);
+  });
+});
@@ -0,0 +1,181 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Offline sync', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('local writes are queued in the outbox and pushed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const { createMemorySyncServer } = window.mfeTesting;
+      const server = createMemorySyncServer();
+      const store = createStore({
+        dbName: 'sync-test',
+        sync: { keys: ['todos'], transport: server.transport },
+      });
+
+      server.setOnline(false);
+      await store.set('todos', ['Write tests']);
+      await store.set('todos', ['Write tests', 'Ship']);
+      await store.set('draft', 'not synced');
+      const queued = await store.sync.pending();
+
+      server.setOnline(true);
+      await store.sync.now();
+      const remaining = await store.sync.pending();
+
+      store.destroy();
+      return { queued, remaining, remote: server.get('todos'), draft: server.get('draft') };
+    });
+
+    expect(result.queued).toBe(2);
+    expect(result.remaining).toBe(0);
+    expect(result.remote).toEqual(['Write tests', 'Ship']);
+    expect(result.draft).toBeUndefined();
+  });
+
+  test('remote changes are pulled into the store and its subscribers', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const { createMemorySyncServer } = window.mfeTesting;
+      const server = createMemorySyncServer();
+      const store = createStore({
+        dbName: 'sync-test',
+        sync: { keys: ['todos'], transport: server.transport },
+      });
+      const received = [];
+      store.subscribe('todos', (value) => received.push(value));
+
+      server.set('todos', ['From another device']);
+      await store.sync.now();
+      server.delete('todos');
+      await store.sync.now();
+
+      const pending = await store.sync.pending();
+      store.destroy();
+      return { received, pending };
+    });
+
+    expect(result.received).toEqual([['From another device'], undefined]);
+    // Applying remote values doesn't queue them to be pushed back
+    expect(result.pending).toBe(0);
+  });
+
+  test('resolveConflict merges keys changed on both sides', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const { createMemorySyncServer } = window.mfeTesting;
+      const server = createMemorySyncServer();
+      const store = createStore({
+        dbName: 'sync-test',
+        sync: {
+          keys: ['tags', 'title'],
+          transport: server.transport,
+          resolveConflict: (key, local, remote) =>
+            key === 'tags' ? [...new Set([...(remote ?? []), ...local])] : remote,
+        },
+      });
+
+      await store.set('tags', ['work']);
+      await store.set('title', 'Local');
+      await store.sync.now();
+
+      server.set('tags', ['work', 'home']);
+      server.set('title', 'Remote');
+      await store.set('tags', ['work', 'urgent']);
+      await store.set('title', 'Local edit');
+      await store.sync.now();
+      const local = [await store.get('tags'), await store.get('title')];
+
+      // The merged value is pushed on top of the remote version
+      await store.sync.now();
+      store.destroy();
+      return { local, remote: [server.get('tags'), server.get('title')] };
+    });
+
+    expect(result.local).toEqual([['work', 'home', 'urgent'], 'Remote']);
+    expect(result.remote).toEqual([['work', 'home', 'urgent'], 'Remote']);
+  });
+
+  test('remote values the store refuses are reported and skipped', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const { createMemorySyncServer } = window.mfeTesting;
+      const server = createMemorySyncServer();
+      const store = createStore({
+        dbName: 'sync-test',
+        sync: { keys: ['todos', 'title'], transport: server.transport },
+        validators: {
+          todos: (value) => {
+            if (!Array.isArray(value)) throw new Error('todos must be a list');
+          },
+        },
+      });
+      const errors = [];
+      store.onError(({ error, operation, key }) => errors.push([operation, key, error.name]));
+
+      server.set('todos', 'not a list');
+      server.set('title', 'Remote');
+      await store.sync.now();
+      const afterInvalid = [await store.get('todos'), await store.get('title')];
+
+      // The cursor moved past the refused value, so later changes still arrive
+      server.set('todos', ['Fixed']);
+      await store.sync.now();
+      const todos = await store.get('todos');
+
+      store.destroy();
+      return { afterInvalid, todos, errors };
+    });
+
+    expect(result.afterInvalid).toEqual([undefined, 'Remote']);
+    expect(result.todos).toEqual(['Fixed']);
+    expect(result.errors).toEqual([['sync', 'todos', 'ValidationError']]);
+  });
+
+  test('writes made offline survive a reload and are pushed once online', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const { createMemorySyncServer } = window.mfeTesting;
+      const server = createMemorySyncServer();
+      const options = {
+        dbName: 'sync-test',
+        sync: { keys: ['todos'], transport: server.transport },
+      };
+
+      server.setOnline(false);
+      const before = createStore(options);
+      await before.set('todos', ['Offline']);
+      const failed = await before.sync.now().then(
+        () => false,
+        () => true
+      );
+      before.destroy();
+
+      // A fresh store on the same database stands in for the reloaded page
+      server.setOnline(true);
+      const after = createStore(options);
+      const queued = await after.sync.pending();
+      await after.sync.now();
+
+      after.destroy();
+      return { failed, queued, remote: server.get('todos') };
+    });
+
+    expect(result.failed).toBe(true);
+    expect(result.queued).toBe(1);
+    expect(result.remote).toEqual(['Offline']);
+  });
+});
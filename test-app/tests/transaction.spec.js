@@ -0,0 +1,101 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Transactions', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('commits multiple keys together', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'transaction-test' });
+      await store.set('draft', 'pending');
+
+      const returned = await store.transaction(async (tx) => {
+        tx.set('user', { name: 'Alice' });
+        tx.set('cart', ['book']);
+        tx.delete('draft');
+        return (await tx.get('cart')).length;
+      });
+
+      store.destroy();
+      const reopened = createStore({ dbName: 'transaction-test' });
+      const all = await reopened.getAll();
+      reopened.destroy();
+      return { returned, all };
+    });
+
+    expect(result.returned).toBe(1);
+    expect(result.all).toEqual({ user: { name: 'Alice' }, cart: ['book'] });
+  });
+
+  test('a failing validator rejects every write', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({
+        dbName: 'transaction-test',
+        validators: {
+          cart: (value) => {
+            if (!Array.isArray(value)) throw new Error('cart must be an array');
+          },
+        },
+      });
+      await store.set('user', { name: 'Alice' });
+
+      let error = null;
+      try {
+        await store.transaction((tx) => {
+          tx.set('user', { name: 'Bob' });
+          tx.set('cart', 'not an array');
+        });
+      } catch (err) {
+        error = err.message;
+      }
+
+      const user = await store.get('user');
+      store.destroy();
+      return { error, user };
+    });
+
+    expect(result.error).toBe('cart must be an array');
+    expect(result.user).toEqual({ name: 'Alice' });
+  });
+
+  test('other tabs receive the committed changes', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const writer = createStore({ dbName: 'transaction-test', channelName: 'tx' });
+      const reader = createStore({ dbName: 'transaction-test', channelName: 'tx' });
+
+      const received = new Promise((resolve) => {
+        const seen = {};
+        const done = () => Object.keys(seen).length === 2 && resolve(seen);
+        reader.subscribe('user', (value) => { seen.user = value; done(); });
+        reader.subscribe('cart', (value) => { seen.cart = value; done(); });
+      });
+
+      await writer.transaction((tx) => {
+        tx.set('user', { name: 'Alice' });
+        tx.set('cart', ['book']);
+      });
+
+      const seen = await received;
+      writer.destroy();
+      reader.destroy();
+      return seen;
+    });
+
+    expect(result).toEqual({ user: { name: 'Alice' }, cart: ['book'] });
+  });
+});
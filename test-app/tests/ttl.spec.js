@@ -0,0 +1,119 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Expiring keys', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('expired keys are removed and subscribers notified', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'ttl-test' });
+      const notifications = [];
+      store.subscribe('token', (value) => notifications.push(value));
+
+      await store.set('token', 'abc', { ttl: 200 });
+      await store.set('user', 'Alice');
+      const before = await store.get('token');
+
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      const after = await store.get('token');
+      const all = await store.getAll();
+      store.destroy();
+      return { before, after, all, notifications };
+    });
+
+    expect(result.before).toBe('abc');
+    expect(result.after).toBeUndefined();
+    expect(result.all).toEqual({ user: 'Alice' });
+    expect(result.notifications).toEqual(['abc', undefined]);
+  });
+
+  test('defaultTtl applies to every write', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'ttl-test', defaultTtl: 200 });
+      await store.set('flags', { beta: true });
+      await store.set('session', 'long', { ttl: 60000 });
+
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      const all = await store.getAll();
+      store.destroy();
+      return all;
+    });
+
+    expect(result).toEqual({ session: 'long' });
+  });
+
+  test('other tabs drop the key when it expires', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const writer = createStore({ dbName: 'ttl-test', channelName: 'ttl' });
+      const reader = createStore({ dbName: 'ttl-test', channelName: 'ttl' });
+      const notifications = [];
+      reader.subscribe('token', (value) => notifications.push(value));
+
+      await writer.set('token', 'abc', { ttl: 200 });
+      await new Promise((resolve) => setTimeout(resolve, 400));
+
+      writer.destroy();
+      reader.destroy();
+      return notifications;
+    });
+
+    expect(result).toEqual(['abc', undefined]);
+  });
+
+  test('update treats an expired value as missing', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const writer = createStore({ dbName: 'ttl-test' });
+      await writer.set('count', 5, { ttl: 50 });
+      writer.destroy();
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      // The record is still stored - nothing has swept it yet
+      const store = createStore({ dbName: 'ttl-test' });
+      const seen = [];
+      const count = await store.update('count', (value) => {
+        seen.push(value);
+        return (value ?? 0) + 1;
+      });
+      store.destroy();
+      return { seen, count };
+    });
+
+    expect(result).toEqual({ seen: [undefined], count: 1 });
+  });
+
+  test('subscribers hear about a key that expires before it was read', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const writer = createStore({ dbName: 'ttl-test' });
+      await writer.set('token', 'abc', { ttl: 100 });
+      writer.destroy();
+
+      // defaultTtl starts the sweep straight away
+      const store = createStore({ dbName: 'ttl-test', defaultTtl: 60000, sweepInterval: 50 });
+      const notifications = [];
+      store.subscribe('token', (value, oldValue) => notifications.push([value, oldValue]));
+      await new Promise((resolve) => setTimeout(resolve, 400));
+
+      store.destroy();
+      return notifications;
+    });
+
+    expect(result).toEqual([[undefined, undefined]]);
+  });
+});
@@ -0,0 +1,77 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Atomic updates', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('concurrent updates from two stores do not lose increments', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const tabA = createStore({ dbName: 'update-test', channelName: 'update' });
+      const tabB = createStore({ dbName: 'update-test', channelName: 'update' });
+
+      const increment = (store) => store.update('count', (count) => (count ?? 0) + 1);
+      await Promise.all(
+        Array.from({ length: 10 }, () => [increment(tabA), increment(tabB)]).flat()
+      );
+
+      tabA.destroy();
+      tabB.destroy();
+      const reopened = createStore({ dbName: 'update-test' });
+      const count = await reopened.get('count');
+      reopened.destroy();
+      return count;
+    });
+
+    expect(result).toBe(20);
+  });
+
+  test('returning undefined deletes the key', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'update-test' });
+      await store.set('draft', 'hello');
+
+      const returned = await store.update('draft', () => undefined);
+      const all = await store.getAll();
+      store.destroy();
+      return { returned, all };
+    });
+
+    expect(result.returned).toBeUndefined();
+    expect(result.all).toEqual({});
+  });
+
+  test('stale broadcasts do not overwrite newer values', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({ dbName: 'update-test', channelName: 'stale' });
+      await store.set('count', 1);
+      await store.set('count', 2);
+
+      // Simulate a delayed message from another tab about an older revision
+      const otherTab = new BroadcastChannel('stale');
+      otherTab.postMessage({ type: 'set', key: 'count', value: 99, revision: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      otherTab.close();
+
+      const count = await store.get('count');
+      store.destroy();
+      return count;
+    });
+
+    expect(result).toBe(2);
+  });
+});
@@ -0,0 +1,166 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('Write-Behind', () => {
+  test.beforeEach(async ({ page }) => {
+    // Clear IndexedDB before each test
+    await page.goto('/api.html');
+    await page.evaluate(async () => {
+      const dbs = await indexedDB.databases();
+      for (const db of dbs) {
+        if (db.name) {
+          indexedDB.deleteDatabase(db.name);
+        }
+      }
+    });
+    await page.reload();
+    await expect(page.getByTestId('api-ready')).toHaveText('ready');
+  });
+
+  test('rapid writes reach subscribers at once and persist as one batch', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, createMemoryAdapter } = window.mfeStore;
+      const inner = createMemoryAdapter();
+      let transactions = 0;
+      const adapter = {
+        ...inner,
+        write: (keys, mutate) => {
+          transactions += 1;
+          return inner.write(keys, mutate);
+        },
+      };
+
+      const store = createStore({
+        dbName: 'writebehind-test',
+        storage: adapter,
+        writeBehind: true,
+      });
+      // Another store on the same channel stands in for another tab
+      const other = createStore({ dbName: 'writebehind-test', storage: 'memory' });
+      const heard = [];
+      const events = [];
+      const messages = [];
+      store.subscribe('volume', (value) => heard.push(value));
+      const onEvent = (event) => events.push(event.detail.value);
+      window.addEventListener('store:writebehind-test:volume', onEvent);
+      other.subscribeAll((value, oldValue, key) => messages.push([key, value]));
+
+      for (let volume = 1; volume <= 10; volume++) {
+        store.set('volume', volume);
+      }
+      store.set('muted', false);
+      const immediate = store.peek('volume');
+
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      const stored = (await inner.get('volume')).value;
+
+      window.removeEventListener('store:writebehind-test:volume', onEvent);
+      store.destroy();
+      other.destroy();
+      return { immediate, heard: heard.length, events, messages, transactions, stored };
+    });
+
+    expect(result.immediate).toBe(10);
+    expect(result.heard).toBe(10);
+    expect(result.events).toEqual([10]);
+    expect(result.messages).toEqual([
+      ['volume', 10],
+      ['muted', false],
+    ]);
+    expect(result.transactions).toBe(1);
+    expect(result.stored).toBe(10);
+  });
+
+  test('flush persists buffered writes straight away', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore } = window.mfeStore;
+      const store = createStore({
+        dbName: 'writebehind-test',
+        writeBehind: { keys: ['position'], interval: 60000 },
+      });
+      store.set('position', { x: 10, y: 20 });
+      store.set('position', { x: 15, y: 25 });
+      await store.flush();
+      store.destroy();
+
+      const reader = createStore({ dbName: 'writebehind-test' });
+      const position = await reader.get('position');
+      reader.destroy();
+      return position;
+    });
+
+    expect(result).toEqual({ x: 15, y: 25 });
+  });
+
+  test('clear waits for a batch that is already committing', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, createMemoryAdapter } = window.mfeStore;
+      const inner = createMemoryAdapter();
+      // A slow backend, so the batch is still committing when clear starts
+      const adapter = {
+        ...inner,
+        write: async (keys, mutate) => {
+          await new Promise((resolve) => setTimeout(resolve, 100));
+          return inner.write(keys, mutate);
+        },
+      };
+
+      const store = createStore({
+        dbName: 'writebehind-test',
+        storage: adapter,
+        writeBehind: { interval: 60000 },
+      });
+      await store.set('draft', 'unsaved');
+      const flushing = store.flush();
+      await store.clear();
+      await flushing;
+
+      const stored = (await inner.get('draft'))?.value;
+      const value = store.peek('draft');
+      store.destroy();
+      return { stored, value };
+    });
+
+    expect(result).toEqual({ stored: undefined, value: undefined });
+  });
+
+  test('a failed flush rolls the cache back and reports the error', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createStore, createMemoryAdapter, QuotaError } = window.mfeStore;
+      const inner = createMemoryAdapter();
+      const adapter = {
+        ...inner,
+        write: () => Promise.reject(new DOMException('Quota exceeded', 'QuotaExceededError')),
+      };
+
+      const store = createStore({
+        dbName: 'writebehind-test',
+        storage: adapter,
+        writeBehind: { interval: 60000 },
+      });
+      const heard = [];
+      const reported = [];
+      store.subscribe('draft', (value) => heard.push(value));
+      store.onError(({ operation, key, error }) => reported.push([operation, key, error.name]));
+
+      store.set('draft', 'first');
+      store.set('draft', 'second');
+      let rejected;
+      try {
+        await store.flush();
+      } catch (error) {
+        rejected = error instanceof QuotaError;
+      }
+
+      const value = store.peek('draft');
+      store.destroy();
+      return { rejected, value, heard, reported };
+    });
+
+    expect(result).toEqual({
+      rejected: true,
+      value: undefined,
+      heard: ['first', 'second', undefined],
+      reported: [['set', 'draft', 'QuotaError']],
+    });
+  });
+});
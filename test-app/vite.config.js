@@ -10,10 +10,13 @@ export default defineConfig({
         main: resolve(__dirname, 'index.html'),
         validation: resolve(__dirname, 'validation.html'),
         react: resolve(__dirname, 'react.html'),
+        api: resolve(__dirname, 'api.html'),
       },
     },
   },
   server: {
     port: 3000,
+    // Listen on every address so bridge tests can use 127.0.0.1 as a second origin
+    host: true,
   },
 });